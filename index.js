@@ -1,7 +1,11 @@
+require('dotenv').config();
+
 const { Telegraf, session, Scenes: { Stage, BaseScene }, Markup } = require('telegraf');
 const { Sequelize, DataTypes } = require('sequelize');
-const { TelegramClient } = require('telegram');
+const { TelegramClient, Api } = require('telegram');
 const { StringSession } = require('telegram/sessions');
+const { CustomFile } = require('telegram/client/uploads');
+const bigInt = require('big-integer');
 const input = require('input');
 const crypto = require('crypto');
 const path = require('path');
@@ -9,6 +13,7 @@ const fs = require('fs').promises;
 const os = require('os');
 const winston = require('winston');
 const AsyncLock = require('async-lock');
+const QRCode = require('qrcode');
 
 // Setup logging
 const logger = winston.createLogger({
@@ -25,6 +30,136 @@ const logger = winston.createLogger({
   ]
 });
 
+// Message rendering
+// Every text and caption the bot sends is parsed as HTML. Build messages
+// with the html tag: values interpolated into it are escaped, so a phone
+// number, group title or error message can't break the markup, while the
+// output of html and joinHtml is inserted as is. Plain string literals
+// need no tag unless they contain <, > or &.
+class HtmlString extends String {}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function renderHtmlValue(value) {
+  return value instanceof HtmlString ? String(value) : escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return new HtmlString(
+    strings.reduce((result, literal, i) => result + renderHtmlValue(values[i - 1]) + literal)
+  );
+}
+
+function joinHtml(items, separator = '\n') {
+  return new HtmlString(items.map(renderHtmlValue).join(separator));
+}
+
+// Field holding the text of each Bot API method that takes a parse mode
+const HTML_TEXT_FIELDS = {
+  sendMessage: 'text',
+  editMessageText: 'text',
+  sendPhoto: 'caption',
+  sendDocument: 'caption',
+  editMessageCaption: 'caption'
+};
+
+// Makes HTML the default parse mode of a Telegram client. Callers that pass
+// their own parse mode or entities are left alone. HtmlString texts are
+// turned into plain strings: uploads are sent as multipart forms, which
+// drop fields that are not primitives.
+function useHtmlParseMode(telegram) {
+  if (telegram.htmlParseMode) return telegram;
+
+  const callApi = telegram.callApi.bind(telegram);
+  telegram.callApi = (method, payload = {}, options) => {
+    const field = HTML_TEXT_FIELDS[method];
+    if (field && payload[field] instanceof HtmlString) {
+      payload = { ...payload, [field]: String(payload[field]) };
+    }
+    if (field && payload[field] !== undefined && !payload.parse_mode && !payload.entities && !payload.caption_entities) {
+      payload = { ...payload, parse_mode: 'HTML' };
+    }
+    return callApi(method, payload, options);
+  };
+  telegram.htmlParseMode = true;
+  return telegram;
+}
+
+// Localization
+// Texts shown to users live in one catalog per language under locales/,
+// addressed by dotted keys. t() returns HTML: {name} placeholders are filled
+// from params and escaped like html values. Button labels and callback
+// alerts are not parsed, so they use tPlain(). A message given as
+// { one, few, many, other } forms is picked by params.count with the
+// language's plural rules. Keys missing from a catalog fall back to English.
+const LOCALE_CATALOGS = {
+  en: require('./locales/en.json'),
+  ru: require('./locales/ru.json')
+};
+const FALLBACK_LOCALE = 'en';
+const pluralRules = new Map();
+
+// Catalog code for a Telegram language code such as 'ru' or 'pt-br', if there is one
+function matchLocale(languageCode) {
+  if (!languageCode) return null;
+  const code = languageCode.toLowerCase();
+  if (LOCALE_CATALOGS[code]) return code;
+  const base = code.split('-')[0];
+  return LOCALE_CATALOGS[base] ? base : null;
+}
+
+// Used for users whose Telegram language has no catalog
+const DEFAULT_LOCALE = matchLocale(process.env.DEFAULT_LANGUAGE) || FALLBACK_LOCALE;
+
+function lookUpMessage(locale, key) {
+  return key.split('.').reduce((node, part) => (node ? node[part] : undefined), LOCALE_CATALOGS[locale]);
+}
+
+function selectPluralForm(locale, forms, count) {
+  if (!pluralRules.has(locale)) {
+    pluralRules.set(locale, new Intl.PluralRules(locale));
+  }
+  return forms[pluralRules.get(locale).select(Number(count) || 0)] ?? forms.other;
+}
+
+function formatMessage(locale, key, params, renderValue) {
+  let messageLocale = LOCALE_CATALOGS[locale] ? locale : DEFAULT_LOCALE;
+  let message = lookUpMessage(messageLocale, key);
+  if (message === undefined) {
+    messageLocale = FALLBACK_LOCALE;
+    message = lookUpMessage(messageLocale, key);
+  }
+  if (message === undefined) {
+    logger.warn(`Missing message ${key}`);
+    return key;
+  }
+  if (typeof message === 'object') {
+    message = selectPluralForm(messageLocale, message, params.count);
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? renderValue(params[name]) : placeholder));
+}
+
+function t(locale, key, params = {}) {
+  return new HtmlString(formatMessage(locale, key, params, renderHtmlValue));
+}
+
+function tPlain(locale, key, params = {}) {
+  return formatMessage(locale, key, params, String);
+}
+
+function formatDate(date, locale) {
+  return date.toLocaleDateString(locale);
+}
+
+function formatDateTime(date, locale) {
+  return date.toLocaleString(locale);
+}
+
 // Database setup
 const sequelize = new Sequelize({
   dialect: 'sqlite',
@@ -85,6 +220,21 @@ const UserAccount = sequelize.define('UserAccount', {
   },
   owner_username: {
     type: DataTypes.STRING
+  },
+  data_key: {
+    type: DataTypes.TEXT
+  },
+  paused_until: {
+    type: DataTypes.DATE
+  },
+  health_status: {
+    type: DataTypes.STRING
+  },
+  status_reason: {
+    type: DataTypes.STRING
+  },
+  last_checked_at: {
+    type: DataTypes.DATE
   }
 }, {
   tableName: 'user_accounts',
@@ -116,6 +266,25 @@ const CreatedGroup = sequelize.define('CreatedGroup', {
   created_by_user: {
     type: DataTypes.BIGINT
   },
+  account_id: {
+    type: DataTypes.INTEGER
+  },
+  owner_user_id: {
+    type: DataTypes.BIGINT
+  },
+  access_hash: {
+    type: DataTypes.STRING
+  },
+  permission_profile_id: {
+    type: DataTypes.INTEGER
+  },
+  about: {
+    type: DataTypes.TEXT
+  },
+  history_visible: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
   created_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
@@ -131,1240 +300,6679 @@ const CreatedGroup = sequelize.define('CreatedGroup', {
 }, {
   tableName: 'created_groups',
   indexes: [
-    { fields: ['created_by_user'] }
+    { fields: ['created_by_user'] },
+    { fields: ['owner_user_id'] },
+    { fields: ['account_id'] }
   ]
 });
 
-// Initialize database
-async function initDatabase() {
-  try {
-    await sequelize.sync();
-    logger.info('✅ Database initialized successfully');
-  } catch (error) {
-    logger.error('❌ Database initialization failed:', error);
-    throw error;
+const BackgroundJob = sequelize.define('BackgroundJob', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'queued'
+  },
+  user_id: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  chat_id: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  status_message_id: {
+    type: DataTypes.INTEGER
+  },
+  account_id: {
+    type: DataTypes.INTEGER
+  },
+  // Language of the user who queued the job, for its status messages
+  locale: {
+    type: DataTypes.STRING
+  },
+  payload: {
+    type: DataTypes.JSON
+  },
+  result: {
+    type: DataTypes.JSON
+  },
+  progress_current: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  progress_total: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  error: {
+    type: DataTypes.TEXT
+  },
+  cancel_requested: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  started_at: {
+    type: DataTypes.DATE
+  },
+  finished_at: {
+    type: DataTypes.DATE
   }
-}
-
-// Bot token from environment variable
-const BOT_TOKEN = process.env.BOT_TOKEN || '7558633348:AAFE8w35Egwot45wUX2eVunfBUeMdlfg0Rs';
-
-// Admin configuration
-const ADMIN_USERNAMES = ['mwmeyu'];
-const ADMIN_USER_IDS = new Set();
-
-// User sessions management
-const userSessions = new Map();
-const sessionLock = new AsyncLock();
-
-// Group name templates
-const GROUP_NAME_TEMPLATES = [
-  'Global Chat {number}',
-  'Friends Zone {number}',
-  'Discussion Hub {number}',
-  'Chat Group {number}',
-  'Community {number}',
-  'Talk Room {number}',
-  'Connect {number}',
-  'Social Hub {number}',
-  'Network {number}',
-  'Unity {number}'
-];
-
-// Helper functions
-function isAdmin(userId, username = null) {
-  if (ADMIN_USER_IDS.has(userId)) return true;
-  if (username && ADMIN_USERNAMES.includes(username.toLowerCase())) return true;
-  return false;
-}
-
-function getUsernameFromCtx(ctx) {
-  return ctx.from?.username || null;
-}
-
-function generateGroupName() {
-  const template = GROUP_NAME_TEMPLATES[Math.floor(Math.random() * GROUP_NAME_TEMPLATES.length)];
-  const number = Math.floor(1000 + Math.random() * 9000);
-  return template.replace('{number}', number);
-}
-
-async function getUserSession(userId) {
-  return new Promise((resolve) => {
-    sessionLock.acquire(userId.toString(), () => {
-      resolve(userSessions.get(userId) || {});
-    });
-  });
-}
-
-async function setUserSession(userId, key, value) {
-  return new Promise((resolve) => {
-    sessionLock.acquire(userId.toString(), () => {
-      if (!userSessions.has(userId)) {
-        userSessions.set(userId, {});
-      }
-      userSessions.get(userId)[key] = value;
-      resolve();
-    });
-  });
-}
-
-async function clearUserSession(userId) {
-  return new Promise((resolve) => {
-    sessionLock.acquire(userId.toString(), () => {
-      userSessions.delete(userId);
-      resolve();
-    });
-  });
-}
+}, {
+  tableName: 'background_jobs',
+  indexes: [
+    { fields: ['status'] },
+    { fields: ['user_id'] }
+  ]
+});
 
-// Telegram User Account Manager
-class UserAccountManager {
-  constructor(phone, apiId, apiHash) {
-    this.phone = phone;
-    this.api_id = apiId;
-    this.api_hash = apiHash;
-    this.session_string = null;
-    this.client = null;
-    this.is_connected = false;
+const PermissionProfile = sequelize.define('PermissionProfile', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  key: {
+    type: DataTypes.STRING,
+    unique: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.STRING
+  },
+  banned_rights: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  slow_mode_seconds: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  is_builtin: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  created_by_user: {
+    type: DataTypes.BIGINT
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
   }
+}, {
+  tableName: 'permission_profiles'
+});
 
-  async connect() {
-    if (!this.is_connected) {
-      const stringSession = new StringSession(this.session_string || '');
-      this.client = new TelegramClient(
-        stringSession,
-        parseInt(this.api_id),
-        this.api_hash,
-        {
-          connectionRetries: 5,
-          timeout: 30,
-          autoReconnect: true
-        }
-      );
-      
-      await this.client.connect();
-      this.is_connected = true;
-    }
+const GroupInviteLink = sequelize.define('GroupInviteLink', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  group_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  link: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  expires_at: {
+    type: DataTypes.DATE
+  },
+  usage_limit: {
+    type: DataTypes.INTEGER
+  },
+  request_needed: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  usage_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  pending_requests: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  is_revoked: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  created_by_user: {
+    type: DataTypes.BIGINT
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  revoked_at: {
+    type: DataTypes.DATE
+  },
+  synced_at: {
+    type: DataTypes.DATE
   }
+}, {
+  tableName: 'group_invite_links',
+  indexes: [
+    { fields: ['group_id'] },
+    { fields: ['link'] }
+  ]
+});
 
-  async disconnect() {
-    if (this.is_connected && this.client) {
-      await this.client.disconnect();
+const AuditEvent = sequelize.define('AuditEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  actor_id: {
+    type: DataTypes.BIGINT
+  },
+  actor_username: {
+    type: DataTypes.STRING
+  },
+  action: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  account_id: {
+    type: DataTypes.INTEGER
+  },
+  account_phone: {
+    type: DataTypes.STRING
+  },
+  group_id: {
+    type: DataTypes.INTEGER
+  },
+  group_name: {
+    type: DataTypes.STRING
+  },
+  outcome: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'success'
+  },
+  error: {
+    type: DataTypes.TEXT
+  },
+  details: {
+    type: DataTypes.JSON
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'audit_events',
+  indexes: [
+    { fields: ['actor_id'] },
+    { fields: ['action'] },
+    { fields: ['account_id'] },
+    { fields: ['created_at'] }
+  ]
+});
+
+const UserRole = sequelize.define('UserRole', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    unique: true
+  },
+  username: {
+    type: DataTypes.STRING
+  },
+  role: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  granted_by: {
+    type: DataTypes.BIGINT
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'user_roles'
+});
+
+const BotUser = sequelize.define('BotUser', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    unique: true
+  },
+  username: {
+    type: DataTypes.STRING
+  },
+  first_name: {
+    type: DataTypes.STRING
+  },
+  // Catalog chosen with /language; null follows the Telegram app language
+  language: {
+    type: DataTypes.STRING
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  decided_by: {
+    type: DataTypes.BIGINT
+  },
+  decided_at: {
+    type: DataTypes.DATE
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'bot_users'
+});
+
+// Limits for one user, one role or everyone ('default'); a null column
+// falls through to the next level and -1 means unlimited
+const QuotaLimit = sequelize.define('QuotaLimit', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  scope: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  subject: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  max_accounts: {
+    type: DataTypes.INTEGER
+  },
+  groups_per_day: {
+    type: DataTypes.INTEGER
+  },
+  messages_per_day: {
+    type: DataTypes.INTEGER
+  },
+  updated_by: {
+    type: DataTypes.BIGINT
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'quota_limits',
+  indexes: [
+    { unique: true, fields: ['scope', 'subject'] }
+  ]
+});
+
+// Daily counters; day is the UTC date the usage was reserved on
+const QuotaUsage = sequelize.define('QuotaUsage', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  metric: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  day: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'quota_usage',
+  indexes: [
+    { unique: true, fields: ['user_id', 'metric', 'day'] }
+  ]
+});
+
+// Per-user flow state (key flow:<user_id>) and Telegraf scene state (key
+// scene:<session key>), encrypted with the master key
+const ConversationState = sequelize.define('ConversationState', {
+  key: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'conversation_states',
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['expires_at'] }
+  ]
+});
+
+// Credential encryption
+// Every account row gets its own random data key. The data key encrypts
+// api_hash and session_string and is itself stored wrapped by the master key
+// derived from ACCOUNT_ENCRYPTION_KEY with scrypt. Data keys wrapped by the
+// older v1 master key (a plain SHA-256 of the secret) are rewrapped on startup.
+const ENCRYPTED_ACCOUNT_FIELDS = ['api_hash', 'session_string'];
+const ENCRYPTED_VALUE_PREFIX = 'enc:v1:';
+const WRAPPED_KEY_PREFIX = 'v2';
+const LEGACY_WRAPPED_KEY_PREFIX = 'v1';
+// Fixed so the same secret always gives the same key; the secret is what stays private
+const MASTER_KEY_SALT = 'telegram-group-bot:account-encryption';
+
+const masterKeys = new Map();
+
+// scrypt is slow on purpose, so each secret is derived once
+function deriveMasterKey(secret) {
+  if (!masterKeys.has(secret)) {
+    masterKeys.set(secret, crypto.scryptSync(secret, MASTER_KEY_SALT, 32));
+  }
+  return masterKeys.get(secret);
+}
+
+function deriveLegacyMasterKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function getMasterKeyId(masterKey) {
+  return crypto.createHash('sha256').update(masterKey).digest('hex').slice(0, 8);
+}
+
+function getEncryptionSecret() {
+  const secret = process.env.ACCOUNT_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('ACCOUNT_ENCRYPTION_KEY is not set');
+  }
+  return secret;
+}
+
+function getMasterKey() {
+  return deriveMasterKey(getEncryptionSecret());
+}
+
+function aesEncrypt(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+function aesDecrypt(key, payload) {
+  const [iv, tag, ciphertext] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function wrapDataKey(dataKey, masterKey) {
+  return `${WRAPPED_KEY_PREFIX}:${getMasterKeyId(masterKey)}:${aesEncrypt(masterKey, dataKey)}`;
+}
+
+function getWrappedKeyId(wrappedKey) {
+  return wrappedKey.split(':')[1];
+}
+
+function isLegacyWrappedKey(wrappedKey) {
+  return wrappedKey.split(':')[0] === LEGACY_WRAPPED_KEY_PREFIX;
+}
+
+// legacyKey opens data keys wrapped before the master key came from scrypt
+function unwrapDataKey(wrappedKey, masterKey, legacyKey = null) {
+  const [version, keyId, payload] = wrappedKey.split(':');
+  const key = version === LEGACY_WRAPPED_KEY_PREFIX ? legacyKey : masterKey;
+  if (version !== WRAPPED_KEY_PREFIX && !(version === LEGACY_WRAPPED_KEY_PREFIX && legacyKey)) {
+    throw new Error(`Unsupported data key version: ${version}`);
+  }
+  if (keyId !== getMasterKeyId(key)) {
+    throw new Error(`Data key was wrapped with a different master key (${keyId})`);
+  }
+  return aesDecrypt(key, payload);
+}
+
+function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_VALUE_PREFIX);
+}
+
+function encryptValue(dataKey, value) {
+  return ENCRYPTED_VALUE_PREFIX + aesEncrypt(dataKey, Buffer.from(value, 'utf8'));
+}
+
+function decryptValue(dataKey, value) {
+  if (!isEncryptedValue(value)) return value;
+  return aesDecrypt(dataKey, value.slice(ENCRYPTED_VALUE_PREFIX.length)).toString('utf8');
+}
+
+// Encrypts any plaintext credential fields on the instance in place
+function sealAccountSecrets(account, masterKey = getMasterKey()) {
+  const pending = ENCRYPTED_ACCOUNT_FIELDS.filter(field => {
+    const value = account.get(field);
+    return value && !isEncryptedValue(value);
+  });
+  if (!pending.length) return;
+
+  let dataKey;
+  if (account.data_key) {
+    dataKey = unwrapDataKey(account.data_key, masterKey);
+  } else {
+    dataKey = crypto.randomBytes(32);
+    account.data_key = wrapDataKey(dataKey, masterKey);
+  }
+
+  for (const field of pending) {
+    account.set(field, encryptValue(dataKey, account.get(field)));
+  }
+}
+
+function openAccountSecrets(account, masterKey = getMasterKey(), legacyKey = null) {
+  if (!account.data_key) {
+    return {
+      api_hash: account.api_hash,
+      session_string: account.session_string
+    };
+  }
+
+  const dataKey = unwrapDataKey(account.data_key, masterKey, legacyKey);
+  return {
+    api_hash: decryptValue(dataKey, account.api_hash),
+    session_string: account.session_string ? decryptValue(dataKey, account.session_string) : null
+  };
+}
+
+UserAccount.beforeSave((account) => sealAccountSecrets(account));
+
+// A static UserAccount.update() skips instance hooks, so one that writes
+// credentials runs them per row to have the values sealed
+UserAccount.beforeBulkUpdate((options) => {
+  if (ENCRYPTED_ACCOUNT_FIELDS.some(field => options.attributes[field] !== undefined)) {
+    options.individualHooks = true;
+  }
+});
+
+// One-time migration for rows stored before encryption was introduced, or
+// whose data key is still wrapped by the v1 master key
+async function migrateAccountEncryption() {
+  const secret = getEncryptionSecret();
+  const masterKey = deriveMasterKey(secret);
+  const legacyKey = deriveLegacyMasterKey(secret);
+
+  const accounts = await UserAccount.findAll();
+  let migrated = 0;
+
+  for (const account of accounts) {
+    if (account.data_key) {
+      const legacy = isLegacyWrappedKey(account.data_key);
+      if (getWrappedKeyId(account.data_key) !== getMasterKeyId(legacy ? legacyKey : masterKey)) {
+        throw new Error(
+          `ACCOUNT_ENCRYPTION_KEY does not match the key used for account ${account.id}`
+        );
+      }
+      if (legacy) {
+        account.data_key = wrapDataKey(unwrapDataKey(account.data_key, masterKey, legacyKey), masterKey);
+      }
+    }
+
+    const needsSealing = ENCRYPTED_ACCOUNT_FIELDS.some(field => {
+      const value = account.get(field);
+      return value && !isEncryptedValue(value);
+    });
+
+    if (needsSealing) {
+      sealAccountSecrets(account, masterKey);
+    }
+    if (account.changed()) {
+      await account.save({ hooks: false });
+      migrated++;
+    }
+  }
+
+  if (migrated) {
+    logger.info(`🔐 Encrypted credentials for ${migrated} existing accounts`);
+  }
+}
+
+// Re-encrypts every account under a fresh data key wrapped by the new master key
+async function rotateEncryptionKey(oldSecret, newSecret) {
+  const oldKey = deriveMasterKey(oldSecret);
+  const oldLegacyKey = deriveLegacyMasterKey(oldSecret);
+  const newKey = deriveMasterKey(newSecret);
+  const newKeyId = getMasterKeyId(newKey);
+
+  let rotated = 0;
+  let skipped = 0;
+
+  await sequelize.transaction(async (transaction) => {
+    const accounts = await UserAccount.findAll({ transaction });
+
+    for (const account of accounts) {
+      if (account.data_key && getWrappedKeyId(account.data_key) === newKeyId) {
+        skipped++;
+        continue;
+      }
+
+      const secrets = openAccountSecrets(account, oldKey, oldLegacyKey);
+      const dataKey = crypto.randomBytes(32);
+
+      account.data_key = wrapDataKey(dataKey, newKey);
+      account.api_hash = encryptValue(dataKey, secrets.api_hash);
+      account.session_string = secrets.session_string
+        ? encryptValue(dataKey, secrets.session_string)
+        : null;
+
+      await account.save({ hooks: false, transaction });
+      rotated++;
+    }
+  });
+
+  return { rotated, skipped };
+}
+
+// Permission profiles
+// A profile lists the member rights to ban (chatBannedRights flags) plus a
+// slow-mode delay. Built-in profiles are re-synced from this list on startup.
+const BANNED_RIGHT_FLAGS = [
+  'send_messages',
+  'send_media',
+  'send_stickers',
+  'send_gifs',
+  'send_games',
+  'send_inline',
+  'embed_links',
+  'send_polls',
+  'change_info',
+  'invite_users',
+  'pin_messages'
+];
+
+const DEFAULT_PERMISSION_PROFILE_KEY = 'open';
+
+const BUILTIN_PERMISSION_PROFILES = [
+  {
+    key: 'open',
+    name: '🔓 Open',
+    description: 'Members can do everything',
+    banned_rights: [],
+    slow_mode_seconds: 0
+  },
+  {
+    key: 'announcements',
+    name: '📢 Read-only announcements',
+    description: 'Only admins can post',
+    banned_rights: [...BANNED_RIGHT_FLAGS],
+    slow_mode_seconds: 0
+  },
+  {
+    key: 'text_only',
+    name: '✍️ Text only, no links',
+    description: 'No media, stickers, GIFs, inline bots, polls or link previews',
+    banned_rights: ['send_media', 'send_stickers', 'send_gifs', 'send_games', 'send_inline', 'embed_links', 'send_polls'],
+    slow_mode_seconds: 0
+  },
+  {
+    key: 'no_invite',
+    name: '🚷 Members can\'t invite',
+    description: 'Members cannot add users, change group info or pin messages',
+    banned_rights: ['invite_users', 'change_info', 'pin_messages'],
+    slow_mode_seconds: 0
+  },
+  {
+    key: 'slow_chat',
+    name: '🐢 Slow chat',
+    description: 'Everything allowed, one message per member every 30 seconds',
+    banned_rights: [],
+    slow_mode_seconds: 30
+  }
+];
+
+async function seedPermissionProfiles() {
+  for (const definition of BUILTIN_PERMISSION_PROFILES) {
+    const [profile, created] = await PermissionProfile.findOrCreate({
+      where: { key: definition.key },
+      defaults: { ...definition, is_builtin: true }
+    });
+    if (!created) {
+      await profile.update({ ...definition, is_builtin: true });
+    }
+  }
+}
+
+// Falls back to the open profile when no profile was chosen
+async function getPermissionProfile(profileId) {
+  if (profileId) {
+    const profile = await PermissionProfile.findByPk(profileId);
+    if (profile) return profile;
+  }
+  return PermissionProfile.findOne({ where: { key: DEFAULT_PERMISSION_PROFILE_KEY } });
+}
+
+// Profiles store the snake_case TL flag names; Api.ChatBannedRights takes them camelCased
+function buildChatBannedRights(bannedRights = []) {
+  const rights = { untilDate: 0, viewMessages: false };
+  for (const flag of BANNED_RIGHT_FLAGS) {
+    rights[flag.replace(/_(\w)/g, (match, letter) => letter.toUpperCase())] = bannedRights.includes(flag);
+  }
+  return new Api.ChatBannedRights(rights);
+}
+
+function formatPermissionProfile(profile, locale = FALLBACK_LOCALE) {
+  if (!profile) return tPlain(locale, 'common.unknown');
+  return profile.slow_mode_seconds
+    ? tPlain(locale, 'permissions.slowMode', {
+      name: profile.name,
+      duration: formatDuration(profile.slow_mode_seconds, locale)
+    })
+    : profile.name;
+}
+
+// Adds columns introduced after a table was first created (sync() never alters)
+async function addMissingColumns(model) {
+  const queryInterface = sequelize.getQueryInterface();
+  const tableName = model.getTableName();
+  const existing = await queryInterface.describeTable(tableName);
+
+  for (const attribute of Object.values(model.rawAttributes)) {
+    if (existing[attribute.field]) continue;
+
+    await queryInterface.addColumn(tableName, attribute.field, {
+      type: attribute.type,
+      allowNull: attribute.allowNull !== false,
+      defaultValue: attribute.defaultValue
+    });
+    logger.info(`Added column ${tableName}.${attribute.field}`);
+  }
+}
+
+// Initialize database
+async function initDatabase() {
+  try {
+    await sequelize.sync();
+    for (const model of Object.values(sequelize.models)) {
+      await addMissingColumns(model);
+    }
+    await migrateAccountEncryption();
+    await seedPermissionProfiles();
+    await bootstrapAdminRole();
+    await loadUserRoles();
+    await loadBotUsers();
+    await seedQuotaLimits();
+    logger.info('✅ Database initialized successfully');
+  } catch (error) {
+    logger.error('❌ Database initialization failed:', error);
+    throw error;
+  }
+}
+
+// Bot token from environment variable
+const BOT_TOKEN = process.env.BOT_TOKEN || '7558633348:AAFE8w35Egwot45wUX2eVunfBUeMdlfg0Rs';
+
+// Roles
+// Roles are stored by numeric Telegram user ID (usernames can change) and
+// every privileged check asks for a capability rather than a role name.
+// Users without a role only see and use their own accounts and groups.
+const ROLE_CAPABILITIES = {
+  viewer: ['view_all', 'view_audit'],
+  operator: ['view_all', 'use_all_accounts'],
+  admin: ['view_all', 'view_audit', 'use_all_accounts', 'manage_accounts', 'manage_roles', 'manage_users']
+};
+const ROLE_ICONS = { viewer: '👁', operator: '🛠', admin: '👑' };
+// First admin, created at startup while no admin role exists yet
+const BOOTSTRAP_ADMIN_ID = process.env.BOOTSTRAP_ADMIN_ID || null;
+// user_id -> role, loaded at startup and kept in step by /grantrole and /revokerole
+const userRoles = new Map();
+
+// Access control
+// In 'approval' mode people who message the bot for the first time stay
+// pending until an admin approves them; in 'open' mode they are approved
+// straight away. Suspension blocks a user in either mode.
+const ACCESS_MODE = process.env.ACCESS_MODE === 'approval' ? 'approval' : 'open';
+// user_id -> access status, loaded at startup
+const botUserStatuses = new Map();
+// user_id -> language chosen with /language, loaded at startup
+const userLanguages = new Map();
+
+// Quotas
+// Metric names are the /setquota keywords; their labels are in the catalogs under quota.labels
+const UNLIMITED = -1;
+const QUOTA_METRICS = {
+  accounts: { column: 'max_accounts', daily: false },
+  groups: { column: 'groups_per_day', daily: true },
+  messages: { column: 'messages_per_day', daily: true }
+};
+// Used when no user, role or default row sets a limit
+const QUOTA_ENV_DEFAULTS = {
+  accounts: parseInt(process.env.QUOTA_MAX_ACCOUNTS || '10'),
+  groups: parseInt(process.env.QUOTA_GROUPS_PER_DAY || '50'),
+  messages: parseInt(process.env.QUOTA_MESSAGES_PER_DAY || '500')
+};
+const quotaLock = new AsyncLock();
+
+// User sessions management
+// Flow state is cached here and written through to ConversationState so a
+// restart does not drop an in-progress flow. A flow expires after
+// CONVERSATION_TTL_MINUTES without any update from the user.
+const userSessions = new Map();
+const sessionLock = new AsyncLock();
+const CONVERSATION_TTL_MS = parseFloat(process.env.CONVERSATION_TTL_MINUTES || '30') * 60 * 1000;
+const CONVERSATION_SWEEP_INTERVAL_MS = 60 * 1000;
+// user_id -> { expiresAt, storedAt }: when the user's flow expires and when
+// that expiry was last written to ConversationState. Activity within a sweep
+// interval of the last write only moves expiresAt; the sweeper writes it back
+// before expiring a flow the database thinks is stale.
+const conversationExpiries = new Map();
+// Command that starts each scene, for "start again with ..." notices
+const SCENE_COMMANDS = {
+  addAccount: '/addaccount',
+  createSingle: '/creategroup',
+  sendMessage: '/sendmessage',
+  editGroup: '/mygroups'
+};
+let conversationSweepTimer = null;
+
+// Group name templates
+const GROUP_NAME_TEMPLATES = [
+  'Global Chat {number}',
+  'Friends Zone {number}',
+  'Discussion Hub {number}',
+  'Chat Group {number}',
+  'Community {number}',
+  'Talk Room {number}',
+  'Connect {number}',
+  'Social Hub {number}',
+  'Network {number}',
+  'Unity {number}'
+];
+
+// Helper functions
+function buildAdminPanelKeyboard(ctx) {
+  const userId = ctx.from.id;
+  const keyboard = [
+    [Markup.button.callback(ctx.tPlain('admin.buttons.stats'), 'admin_stats')],
+    [Markup.button.callback(ctx.tPlain('admin.buttons.users'), 'admin_list_users')],
+    [Markup.button.callback(ctx.tPlain('admin.buttons.accounts'), 'admin_list_all_accounts')]
+  ];
+  if (hasCapability(userId, 'manage_accounts')) {
+    keyboard.push(
+      [Markup.button.callback(ctx.tPlain('admin.buttons.toggle'), 'admin_toggle_account')],
+      [Markup.button.callback(ctx.tPlain('admin.buttons.ban'), 'admin_ban_account')],
+      [Markup.button.callback(ctx.tPlain('admin.buttons.delete'), 'admin_delete_account')]
+    );
+  }
+  if (hasCapability(userId, 'view_audit')) {
+    keyboard.push([Markup.button.callback(ctx.tPlain('admin.buttons.audit'), 'audit_page_0')]);
+  }
+  if (hasCapability(userId, 'manage_roles')) {
+    keyboard.push([Markup.button.callback(ctx.tPlain('admin.buttons.roles'), 'admin_roles')]);
+  }
+  if (hasCapability(userId, 'manage_users')) {
+    keyboard.push([Markup.button.callback(ctx.tPlain('admin.buttons.accessRequests'), 'access_requests')]);
+  }
+  keyboard.push([Markup.button.callback(ctx.tPlain('admin.buttons.mainMenu'), 'main_menu')]);
+  return keyboard;
+}
+
+// Prev/next row for paginated inline keyboards; callback data is `${prefix}_${page}${suffix}`
+function buildPageNavigation(prefix, page, totalPages, suffix = '', locale = FALLBACK_LOCALE) {
+  const row = [];
+  if (page > 0) {
+    row.push(Markup.button.callback(tPlain(locale, 'common.prev'), `${prefix}_${page - 1}${suffix}`));
+  }
+  if (totalPages > 1) {
+    row.push(Markup.button.callback(`${page + 1}/${totalPages}`, 'noop'));
+  }
+  if (page < totalPages - 1) {
+    row.push(Markup.button.callback(tPlain(locale, 'common.next'), `${prefix}_${page + 1}${suffix}`));
+  }
+  return row;
+}
+
+// Paginated lists
+// A list is shown one page per message. Entries are { text, buttons, section }
+// objects, all parts optional: text goes in the message body, buttons is one
+// keyboard row (or a function of the page number returning one, for buttons
+// that lead back to the same page), and a section heading is printed before
+// the first entry of each section and repeated when a page starts inside one.
+// A page takes entries until it holds pageSize of them or the next one would
+// push the message past Telegram's length limit. The page number travels in
+// callback data via buildPageNavigation, so handlers rebuild the list and
+// pick the page. Header, footer, section and entry texts are message HTML like
+// any reply text; callers clip free text so one entry stays far below the limit.
+// Where pages break depends on the texts, so such lists load every entry.
+// Button-only lists fetch just the shown page with pageWindow's limit and
+// offset and pass their row count as total.
+const MESSAGE_TEXT_LIMIT = 4096;
+const LIST_PAGE_SIZE = 8;
+
+function renderListEntry(entry, withSection) {
+  const text = entry.text ? String(entry.text) : '';
+  return withSection && entry.section ? `${entry.section}\n${text}` : text;
+}
+
+function paginateList(entries, budget, pageSize, separator) {
+  const pages = [];
+  let current = null;
+
+  for (const entry of entries) {
+    const previous = current && current.entries[current.entries.length - 1];
+    let text = renderListEntry(entry, !previous || String(previous.section) !== String(entry.section));
+    const length = text ? text.length + separator.length : 0;
+
+    if (!current || current.entries.length >= pageSize || current.length + length > budget) {
+      current = { entries: [], texts: [], length: 0 };
+      pages.push(current);
+      text = renderListEntry(entry, true);
+    }
+
+    current.entries.push(entry);
+    if (text) {
+      current.texts.push(text);
+      current.length += text.length + separator.length;
+    }
+  }
+  return pages;
+}
+
+// Clamps page for a list of total rows; limit and offset fetch that page
+function pageWindow(total, page, pageSize = LIST_PAGE_SIZE) {
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  page = Math.min(Math.max(page, 0), totalPages - 1);
+  return { page, totalPages, limit: pageSize, offset: page * pageSize };
+}
+
+// Returns { text, keyboard, page, totalPages } for one page; `rows` are extra
+// keyboard rows placed below the navigation. With total set, entries are
+// only the rows of that page.
+function buildListPage(ctx, {
+  header, entries, page, prefix, suffix = '', footer = '', rows = [], separator = '\n', pageSize = LIST_PAGE_SIZE,
+  total = null
+}) {
+  let current;
+  let totalPages;
+  if (total === null) {
+    // Room left after the header, the footer and the blank lines between them
+    const budget = MESSAGE_TEXT_LIMIT - String(header).length - String(footer).length - 4;
+    const pages = paginateList(entries, budget, pageSize, separator);
+    totalPages = Math.max(1, pages.length);
+    page = Math.min(Math.max(page, 0), totalPages - 1);
+    current = pages[page];
+  } else {
+    ({ page, totalPages } = pageWindow(total, page, pageSize));
+    current = paginateList(entries, Infinity, pageSize, separator)[0];
+  }
+  current = current || { entries: [], texts: [] };
+  const text = [String(header), current.texts.join(separator), String(footer)]
+    .filter(part => part.length)
+    .join('\n\n');
+
+  const keyboard = current.entries
+    .filter(entry => entry.buttons)
+    .map(entry => (typeof entry.buttons === 'function' ? entry.buttons(page) : entry.buttons));
+  const navigation = buildPageNavigation(prefix, page, totalPages, suffix, ctx.locale);
+  if (navigation.length) keyboard.push(navigation);
+  keyboard.push(...rows);
+
+  return { text, keyboard, page, totalPages };
+}
+
+async function showListPage(ctx, listPage, edit = true) {
+  const extra = Markup.inlineKeyboard(listPage.keyboard);
+  if (edit) {
+    await ctx.editMessageText(listPage.text, extra);
+  } else {
+    await ctx.reply(listPage.text, extra);
+  }
+}
+
+function formatAccountStatus(account) {
+  const status = account.is_active ? '🟢' : '🔴';
+  const banned = account.is_banned ? ' 🚫' : '';
+  return `${status}${banned}`;
+}
+
+// Stores a successful createGroupWithFeatures result in the group inventory
+async function recordCreatedGroup(account, result, userId, extra = {}) {
+  try {
+    const group = await CreatedGroup.create({
+      ...extra,
+      group_name: result.title,
+      chat_id: result.chat_id,
+      access_hash: result.access_hash,
+      invite_link: result.invite_link,
+      account_id: account.id,
+      created_by_account: account.phone,
+      created_by_user: userId,
+      owner_user_id: account.owner_user_id,
+      member_count: result.total_members
+    });
+    if (result.invite_link) {
+      await GroupInviteLink.create({ group_id: group.id, link: result.invite_link, created_by_user: userId });
+    }
+    return group;
+  } catch (error) {
+    logger.error(`Failed to record created group ${result.chat_id}:`, error);
+    return null;
+  }
+}
+
+// Writes an audit event. actor is ctx.from (or { id } for jobs, null for the
+// CLI). Failures are logged and never interrupt the action being audited.
+async function recordAudit(actor, action, options = {}) {
+  const { account = null, group = null, outcome = 'success', error = null, details = null } = options;
+  try {
+    await AuditEvent.create({
+      actor_id: actor ? actor.id : null,
+      actor_username: actor ? actor.username || null : null,
+      action,
+      account_id: account ? account.id : null,
+      account_phone: account ? account.phone : null,
+      group_id: group ? group.id : null,
+      group_name: group ? group.group_name : null,
+      outcome,
+      error: error ? error.message || String(error) : null,
+      details
+    });
+  } catch (auditError) {
+    logger.error(`Failed to record audit event ${action}:`, auditError);
+  }
+}
+
+async function loadUserRoles() {
+  const roles = await UserRole.findAll();
+  userRoles.clear();
+  for (const role of roles) {
+    userRoles.set(String(role.user_id), role.role);
+  }
+  logger.info(`Loaded ${roles.length} user role(s)`);
+}
+
+async function bootstrapAdminRole() {
+  if (await UserRole.count({ where: { role: 'admin' } })) return;
+
+  if (!BOOTSTRAP_ADMIN_ID || !/^\d+$/.test(BOOTSTRAP_ADMIN_ID)) {
+    logger.warn('No admin role exists. Set BOOTSTRAP_ADMIN_ID to a Telegram user ID to create the first admin.');
+    return;
+  }
+
+  await UserRole.upsert({ user_id: BOOTSTRAP_ADMIN_ID, role: 'admin', granted_by: null, updated_at: new Date() });
+  await recordAudit(null, 'admin.role_grant', { details: { user_id: BOOTSTRAP_ADMIN_ID, role: 'admin', bootstrap: true } });
+  logger.info(`👑 Bootstrapped admin role for user ${BOOTSTRAP_ADMIN_ID}`);
+}
+
+function formatRoleCounts(locale = FALLBACK_LOCALE) {
+  const counts = {};
+  for (const role of userRoles.values()) {
+    counts[role] = (counts[role] || 0) + 1;
+  }
+  return joinHtml(
+    Object.keys(ROLE_CAPABILITIES).map(role => html`${ROLE_ICONS[role]} ${t(locale, `roles.counts.${role}`, { count: counts[role] || 0 })}`),
+    ', '
+  );
+}
+
+function getUserRole(userId) {
+  return userRoles.get(String(userId)) || null;
+}
+
+function hasCapability(userId, capability) {
+  const role = getUserRole(userId);
+  return Boolean(role && ROLE_CAPABILITIES[role].includes(capability));
+}
+
+function formatRole(role, locale = FALLBACK_LOCALE) {
+  return role ? html`${ROLE_ICONS[role]} ${t(locale, `roles.names.${role}`)}` : t(locale, 'roles.names.user');
+}
+
+// Approves everyone who already owns an account so switching to approval
+// mode never locks out existing users
+async function loadBotUsers() {
+  const owners = await UserAccount.findAll({
+    attributes: ['owner_user_id', [Sequelize.fn('MAX', Sequelize.col('owner_username')), 'owner_username']],
+    group: ['owner_user_id'],
+    raw: true
+  });
+  const known = new Set((await BotUser.findAll({ attributes: ['user_id'], raw: true })).map(user => String(user.user_id)));
+  for (const owner of owners) {
+    if (known.has(String(owner.owner_user_id))) continue;
+    await BotUser.create({
+      user_id: owner.owner_user_id,
+      username: owner.owner_username,
+      status: 'approved',
+      decided_at: new Date()
+    });
+  }
+
+  botUserStatuses.clear();
+  userLanguages.clear();
+  for (const user of await BotUser.findAll()) {
+    botUserStatuses.set(String(user.user_id), user.status);
+    if (user.language) {
+      userLanguages.set(String(user.user_id), user.language);
+    }
+  }
+  logger.info(`Loaded ${botUserStatuses.size} bot user(s), access mode: ${ACCESS_MODE}`);
+}
+
+function getAccessStatus(userId) {
+  return botUserStatuses.get(String(userId)) || null;
+}
+
+async function setAccessStatus(userId, status, decidedBy) {
+  await BotUser.update(
+    { status, decided_by: decidedBy, decided_at: new Date(), updated_at: new Date() },
+    { where: { user_id: userId } }
+  );
+  botUserStatuses.set(String(userId), status);
+}
+
+function formatAccessStatus(status, locale = FALLBACK_LOCALE) {
+  return t(locale, `access.status.${status || 'unknown'}`);
+}
+
+// Language for a user: their /language choice, else the language of their
+// Telegram app when there is a catalog for it
+function getUserLocale(userId, languageCode = null) {
+  return userLanguages.get(String(userId)) || matchLocale(languageCode) || DEFAULT_LOCALE;
+}
+
+// null goes back to following the Telegram app. Role holders skip access
+// approval and may have no row yet; theirs is created approved.
+async function setUserLanguage(user, language) {
+  const [row, created] = await BotUser.findOrCreate({
+    where: { user_id: user.id },
+    defaults: {
+      username: user.username || null,
+      first_name: user.first_name || null,
+      status: 'approved',
+      decided_at: new Date()
+    }
+  });
+  await row.update({ language, updated_at: new Date() });
+  if (created) {
+    botUserStatuses.set(String(user.id), row.status);
+  }
+  if (language) {
+    userLanguages.set(String(user.id), language);
+  } else {
+    userLanguages.delete(String(user.id));
+  }
+}
+
+// Sets the language of the update; handlers translate with ctx.t and ctx.tPlain
+async function detectLocale(ctx, next) {
+  ctx.locale = ctx.from ? getUserLocale(ctx.from.id, ctx.from.language_code) : DEFAULT_LOCALE;
+  ctx.t = (key, params) => t(ctx.locale, key, params);
+  ctx.tPlain = (key, params) => tPlain(ctx.locale, key, params);
+  await next();
+}
+
+async function notifyAccessAdmins(user) {
+  const admins = [...userRoles.keys()].filter(userId => hasCapability(userId, 'manage_users'));
+
+  for (const adminId of admins) {
+    const locale = getUserLocale(adminId);
+    const name = user.username ? `@${user.username}` : user.first_name || tPlain(locale, 'common.unknown');
+    try {
+      await bot.telegram.sendMessage(
+        adminId,
+        t(locale, 'access.requestNotice', { name, userId: user.user_id }),
+        Markup.inlineKeyboard([[
+          Markup.button.callback(tPlain(locale, 'access.approve'), `access_approve_${user.user_id}_notice`),
+          Markup.button.callback(tPlain(locale, 'access.deny'), `access_deny_${user.user_id}_notice`)
+        ]])
+      );
+    } catch (error) {
+      logger.warn(`Could not notify admin ${adminId} about access request ${user.user_id}: ${error.message}`);
+    }
+  }
+}
+
+// Lets approved users and role holders through; registers first-time users
+// and answers everyone else with why they are blocked
+async function requireApprovedUser(ctx, next) {
+  if (!ctx.from || getUserRole(ctx.from.id)) return next();
+
+  let status = getAccessStatus(ctx.from.id);
+  if (!status) {
+    status = ACCESS_MODE === 'approval' ? 'pending' : 'approved';
+    const [user, created] = await BotUser.findOrCreate({
+      where: { user_id: ctx.from.id },
+      defaults: {
+        username: ctx.from.username || null,
+        first_name: ctx.from.first_name || null,
+        status,
+        decided_at: status === 'approved' ? new Date() : null
+      }
+    });
+    status = user.status;
+    botUserStatuses.set(String(ctx.from.id), status);
+
+    if (created && status === 'pending') {
+      logger.info(`Access requested by user ${ctx.from.id}`);
+      await recordAudit(ctx.from, 'access.request');
+      await notifyAccessAdmins(user);
+    }
+  }
+
+  if (status === 'approved') return next();
+
+  if (ctx.callbackQuery) {
+    await ctx.answerCbQuery(ctx.tPlain(`access.blocked.${status}`), { show_alert: true });
+  } else if (ctx.chat && ctx.chat.type === 'private') {
+    await ctx.reply(ctx.t(`access.blocked.${status}`));
+  }
+}
+
+class QuotaExceededError extends Error {
+  constructor(metric, limit, used, resetsAt) {
+    // For logs; users get formatQuotaError in their own language
+    super(formatQuotaError({ metric, limit, used, resetsAt }, FALLBACK_LOCALE, tPlain));
+    this.name = 'QuotaExceededError';
+    this.metric = metric;
+    this.limit = limit;
+    this.used = used;
+    this.resetsAt = resetsAt;
+  }
+}
+
+// format is t, or tPlain for callback alerts
+function formatQuotaError(error, locale, format = t) {
+  return format(locale, error.resetsAt ? 'quota.reachedDaily' : 'quota.reachedAccounts', {
+    metric: tPlain(locale, `quota.metrics.${error.metric}`),
+    used: error.used,
+    limit: error.limit,
+    resetsAt: error.resetsAt ? formatDateTime(error.resetsAt, locale) : null
+  });
+}
+
+// Admins are unlimited unless someone sets a limit on the role
+async function seedQuotaLimits() {
+  await QuotaLimit.findOrCreate({
+    where: { scope: 'role', subject: 'admin' },
+    defaults: { max_accounts: UNLIMITED, groups_per_day: UNLIMITED, messages_per_day: UNLIMITED }
+  });
+}
+
+function getQuotaDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function getQuotaResetTime() {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+}
+
+// Effective limit per metric (null = unlimited), most specific level first
+async function getQuotaLimits(userId) {
+  const role = getUserRole(userId);
+  const levels = [{ scope: 'user', subject: String(userId) }];
+  if (role) levels.push({ scope: 'role', subject: role });
+  levels.push({ scope: 'default', subject: '*' });
+
+  const rows = await QuotaLimit.findAll({ where: { [Sequelize.Op.or]: levels } });
+  const ordered = levels.map(level => rows.find(row => row.scope === level.scope && row.subject === level.subject));
+
+  const limits = {};
+  for (const [metric, { column }] of Object.entries(QUOTA_METRICS)) {
+    const row = ordered.find(candidate => candidate && candidate[column] !== null);
+    const limit = row ? row[column] : QUOTA_ENV_DEFAULTS[metric];
+    limits[metric] = limit === UNLIMITED ? null : limit;
+  }
+  return limits;
+}
+
+async function getQuotaUsage(userId, metric) {
+  if (!QUOTA_METRICS[metric].daily) {
+    return UserAccount.count({ where: { owner_user_id: userId } });
+  }
+  const usage = await QuotaUsage.findOne({ where: { user_id: userId, metric, day: getQuotaDay() } });
+  return usage ? usage.count : 0;
+}
+
+// Throws QuotaExceededError when `amount` more would go over the limit
+async function checkQuota(userId, metric, amount = 1) {
+  const limit = (await getQuotaLimits(userId))[metric];
+  const used = await getQuotaUsage(userId, metric);
+  if (limit !== null && used + amount > limit) {
+    throw new QuotaExceededError(metric, limit, used, QUOTA_METRICS[metric].daily ? getQuotaResetTime() : null);
+  }
+  return { limit, used };
+}
+
+// Counts daily usage up front so parallel jobs cannot overshoot; give back
+// whatever was not used with refundQuota
+async function reserveQuota(userId, metric, amount = 1) {
+  return quotaLock.acquire(String(userId), async () => {
+    await checkQuota(userId, metric, amount);
+    const [usage] = await QuotaUsage.findOrCreate({
+      where: { user_id: userId, metric, day: getQuotaDay() },
+      defaults: { count: 0 }
+    });
+    await usage.increment('count', { by: amount });
+  });
+}
+
+async function refundQuota(userId, metric, amount, day = getQuotaDay()) {
+  if (amount <= 0) return;
+  await quotaLock.acquire(String(userId), async () => {
+    const usage = await QuotaUsage.findOne({ where: { user_id: userId, metric, day } });
+    if (usage) {
+      await usage.update({ count: Math.max(0, usage.count - amount) });
+    }
+  });
+}
+
+// Replies with the quota error and returns true when the user is over quota
+async function replyIfQuotaReached(ctx, metric, amount = 1, edit = false) {
+  try {
+    await checkQuota(ctx.from.id, metric, amount);
+    return false;
+  } catch (error) {
+    if (!(error instanceof QuotaExceededError)) throw error;
+    const text = html`📛 ${formatQuotaError(error, ctx.locale)}`;
+    if (edit) {
+      await ctx.editMessageText(text);
+    } else {
+      await ctx.reply(text);
+    }
+    return true;
+  }
+}
+
+async function formatQuotaUsage(userId, locale = FALLBACK_LOCALE) {
+  const limits = await getQuotaLimits(userId);
+  const lines = [];
+  for (const metric of Object.keys(QUOTA_METRICS)) {
+    const used = await getQuotaUsage(userId, metric);
+    lines.push(html`${t(locale, `quota.labels.${metric}`)}: ${used}/${limits[metric] === null ? '∞' : limits[metric]}`);
+  }
+  lines.push(t(locale, 'quota.resetsAt', { time: formatDateTime(getQuotaResetTime(), locale) }));
+  return joinHtml(lines);
+}
+
+// Users manage the groups they created or own; operators and admins manage any group
+function canManageGroup(userId, group) {
+  return hasCapability(userId, 'use_all_accounts') ||
+    String(group.created_by_user) === String(userId) ||
+    String(group.owner_user_id) === String(userId);
+}
+
+function getUsernameFromCtx(ctx) {
+  return ctx.from?.username || null;
+}
+
+function generateGroupName() {
+  const template = GROUP_NAME_TEMPLATES[Math.floor(Math.random() * GROUP_NAME_TEMPLATES.length)];
+  const number = Math.floor(1000 + Math.random() * 9000);
+  return template.replace('{number}', number);
+}
+
+// Options collected by the creation wizard; /quickcreate uses them as-is
+const DEFAULT_GROUP_OPTIONS = {
+  about: '',
+  photo_file_id: null,
+  welcome_text: 'hello',
+  history_visible: true,
+  permission_profile_id: null
+};
+
+function formatGroupFeatures(options, locale) {
+  const lines = [];
+  if (options.about) lines.push(t(locale, 'createGroup.features.about'));
+  if (options.photo_file_id) lines.push(t(locale, 'createGroup.features.photo'));
+  lines.push(options.welcome_text
+    ? t(locale, 'createGroup.features.welcome', { text: options.welcome_text.substring(0, 50) })
+    : t(locale, 'createGroup.features.noWelcome'));
+  lines.push(t(locale, 'createGroup.features.permissions', {
+    profile: options.permission_profile_name || tPlain(locale, 'createGroup.defaultProfile')
+  }));
+  lines.push(t(locale, options.history_visible ? 'createGroup.features.historyVisible' : 'createGroup.features.historyHidden'));
+  return joinHtml(lines);
+}
+
+// Downloads a file users sent to the bot (Bot API limit: 20 MB)
+async function downloadBotFile(fileId) {
+  const link = await bot.telegram.getFileLink(fileId);
+  const response = await fetch(link.href);
+  if (!response.ok) {
+    throw new Error(`File download failed: ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Bots can only download files up to 20 MB through getFile
+const BOT_DOWNLOAD_LIMIT_BYTES = 20 * 1024 * 1024;
+
+// Bot API entity type -> MTProto constructor. Offsets and lengths are UTF-16
+// code units in both APIs, so they carry over unchanged.
+const MTPROTO_ENTITY_TYPES = {
+  mention: 'messageEntityMention',
+  hashtag: 'messageEntityHashtag',
+  cashtag: 'messageEntityCashtag',
+  bot_command: 'messageEntityBotCommand',
+  url: 'messageEntityUrl',
+  email: 'messageEntityEmail',
+  phone_number: 'messageEntityPhone',
+  bold: 'messageEntityBold',
+  italic: 'messageEntityItalic',
+  underline: 'messageEntityUnderline',
+  strikethrough: 'messageEntityStrike',
+  spoiler: 'messageEntitySpoiler',
+  blockquote: 'messageEntityBlockquote',
+  expandable_blockquote: 'messageEntityBlockquote',
+  code: 'messageEntityCode',
+  pre: 'messageEntityPre',
+  text_link: 'messageEntityTextUrl',
+  custom_emoji: 'messageEntityCustomEmoji'
+};
+
+// text_mention is dropped: the sending account has no access hash for the
+// mentioned user, so the name is sent as plain text
+function toMtprotoEntities(entities = []) {
+  const converted = [];
+  for (const entity of entities) {
+    const constructor = MTPROTO_ENTITY_TYPES[entity.type];
+    if (!constructor) continue;
+
+    const mtproto = { _: constructor, offset: entity.offset, length: entity.length };
+    if (entity.type === 'pre') mtproto.language = entity.language || '';
+    if (entity.type === 'text_link') mtproto.url = entity.url;
+    if (entity.type === 'custom_emoji') mtproto.document_id = entity.custom_emoji_id;
+    if (entity.type === 'expandable_blockquote') mtproto.collapsed = true;
+    converted.push(mtproto);
+  }
+  return converted;
+}
+
+// Collects text, entities and media from a message or album into a
+// serializable job payload; error is a sendMessage.contentErrors key
+function extractMessageContent(messages) {
+  const content = { text: '', entities: [], media: [] };
+
+  for (const message of messages) {
+    if (!content.text && (message.text || message.caption)) {
+      content.text = message.text || message.caption;
+      content.entities = message.entities || message.caption_entities || [];
+    }
+
+    if (message.photo) {
+      const photo = message.photo[message.photo.length - 1];
+      content.media.push({ type: 'photo', file_id: photo.file_id, file_name: 'photo.jpg', file_size: photo.file_size });
+    } else if (message.video) {
+      content.media.push({
+        type: 'video',
+        file_id: message.video.file_id,
+        file_name: message.video.file_name || 'video.mp4',
+        file_size: message.video.file_size
+      });
+    } else if (message.document) {
+      content.media.push({
+        type: 'document',
+        file_id: message.document.file_id,
+        file_name: message.document.file_name || 'file',
+        file_size: message.document.file_size
+      });
+    } else if (!message.text) {
+      return { error: 'unsupported' };
+    }
+  }
+
+  if (!content.text.trim() && !content.media.length) {
+    return { error: 'empty' };
+  }
+  if (content.media.some(item => item.file_size > BOT_DOWNLOAD_LIMIT_BYTES)) {
+    return { error: 'tooLarge' };
+  }
+  return content;
+}
+
+function describeMessageContent(content, locale) {
+  const { media = [], text = '' } = content;
+  let label = '';
+  if (media.length > 1) {
+    label = tPlain(locale, 'sendMessage.content.album', { count: media.length });
+  } else if (media.length === 1) {
+    label = tPlain(locale, `sendMessage.content.${media[0].type}`);
+  }
+  return [label, text].filter(Boolean).join(': ');
+}
+
+// Login clients are stored as their (pre-auth) session string and database
+// rows by primary key, so both come back as live objects after a restart
+function serializeSessionValue(value) {
+  if (value instanceof UserAccountManager) {
+    return { __manager: value.toSessionState() };
+  }
+  if (value instanceof Sequelize.Model) {
+    return { __model: value.constructor.name, id: value.id };
+  }
+  if (Array.isArray(value)) {
+    return value.map(serializeSessionValue);
+  }
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serializeSessionValue(item)]));
+  }
+  return value;
+}
+
+async function deserializeSessionValue(value) {
+  if (Array.isArray(value)) {
+    return Promise.all(value.map(deserializeSessionValue));
+  }
+  if (value && typeof value === 'object') {
+    if (value.__manager) return UserAccountManager.fromSessionState(value.__manager);
+    if (value.__model) return sequelize.models[value.__model].findByPk(value.id);
+    const entries = await Promise.all(
+      Object.entries(value).map(async ([key, item]) => [key, await deserializeSessionValue(item)])
+    );
+    return Object.fromEntries(entries);
+  }
+  return value;
+}
+
+async function readConversationState(key) {
+  const row = await ConversationState.findByPk(key);
+  if (!row) return null;
+
+  try {
+    return JSON.parse(aesDecrypt(getMasterKey(), row.payload).toString('utf8'));
+  } catch (error) {
+    // Written under a previous ACCOUNT_ENCRYPTION_KEY
+    logger.warn(`Dropping unreadable conversation state ${key}: ${error.message}`);
+    await row.destroy();
+    return null;
+  }
+}
+
+async function writeConversationState(key, userId, data) {
+  await ConversationState.upsert({
+    key,
+    user_id: userId,
+    payload: aesEncrypt(getMasterKey(), Buffer.from(JSON.stringify(data), 'utf8')),
+    expires_at: new Date(Date.now() + CONVERSATION_TTL_MS),
+    updated_at: new Date()
+  });
+}
+
+// Callers hold sessionLock for userId
+async function loadUserSession(userId) {
+  let data = userSessions.get(String(userId));
+  if (!data) {
+    const stored = await readConversationState(`flow:${userId}`);
+    data = stored ? await deserializeSessionValue(stored) : {};
+    userSessions.set(String(userId), data);
+  }
+  return data;
+}
+
+async function getUserSession(userId) {
+  return sessionLock.acquire(String(userId), () => loadUserSession(userId));
+}
+
+async function setUserSession(userId, key, value) {
+  await sessionLock.acquire(String(userId), async () => {
+    const data = await loadUserSession(userId);
+    data[key] = value;
+    await writeConversationState(`flow:${userId}`, userId, serializeSessionValue(data));
+  });
+}
+
+async function clearUserSession(userId) {
+  await sessionLock.acquire(String(userId), async () => {
+    releaseAccountHolds(userId);
+    userSessions.delete(String(userId));
+    await ConversationState.destroy({ where: { key: `flow:${userId}` } });
+  });
+}
+
+function collectSessionManagers(value, found = []) {
+  if (value instanceof UserAccountManager) {
+    found.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectSessionManagers(item, found));
+  } else if (value && typeof value === 'object' && value.constructor === Object) {
+    Object.values(value).forEach(item => collectSessionManagers(item, found));
+  }
+  return found;
+}
+
+// Ends a user's flow and scene: closes any login client the flow held, drops
+// the stored state and tells the user if they were in the middle of something.
+// Callers hold sessionLock for userId.
+async function expireConversation(userId, reason = 'expired') {
+  const flow = await loadUserSession(userId);
+  for (const manager of collectSessionManagers(flow)) {
+    await manager.disconnect().catch(() => {});
+  }
+
+  let scene = null;
+  const sceneRows = await ConversationState.findAll({
+    where: { user_id: userId, key: { [Sequelize.Op.like]: 'scene:%' } },
+    attributes: ['key']
+  });
+  for (const row of sceneRows) {
+    const state = await readConversationState(row.key);
+    if (state && state.__scenes && state.__scenes.current) {
+      scene = state.__scenes.current;
+    }
+  }
+
+  releaseAccountHolds(userId);
+  userSessions.delete(String(userId));
+  conversationExpiries.delete(String(userId));
+  for (const key of sceneStateSnapshots.keys()) {
+    if (key.startsWith(`${userId}:`)) sceneStateSnapshots.delete(key);
+  }
+  await ConversationState.destroy({ where: { user_id: userId } });
+  if (!flow.step && !scene) return;
+
+  const locale = getUserLocale(userId);
+  const command = SCENE_COMMANDS[scene];
+  const key = reason === 'restart' ? 'flow.interrupted' : 'flow.expired';
+  const text = html`${t(locale, command ? key : `${key}Previous`, {
+    command,
+    duration: formatDuration(CONVERSATION_TTL_MS / 1000, locale)
+  })} ${command ? t(locale, 'flow.startAgainWith', { command }) : t(locale, 'flow.startAgain')}`;
+  logger.info(`Conversation of user ${userId} ${reason}${scene ? ` in scene ${scene}` : ''}`);
+
+  try {
+    await bot.telegram.sendMessage(userId, text);
+  } catch (error) {
+    logger.warn(`Could not notify user ${userId} about their ${reason} flow: ${error.message}`);
+  }
+}
+
+async function storeConversationExpiry(userId, expiresAt) {
+  await ConversationState.update({ expires_at: new Date(expiresAt) }, { where: { user_id: userId } });
+  conversationExpiries.set(String(userId), { expiresAt, storedAt: Date.now() });
+}
+
+// Runs before the session middleware: expires a flow the user comes back to
+// too late, otherwise pushes the expiry of all their state forward
+async function trackConversationActivity(ctx, next) {
+  if (ctx.from) {
+    const userId = ctx.from.id;
+    await sessionLock.acquire(String(userId), async () => {
+      const now = Date.now();
+      const cached = conversationExpiries.get(String(userId));
+      if (cached && cached.expiresAt > now && now - cached.storedAt < CONVERSATION_SWEEP_INTERVAL_MS) {
+        cached.expiresAt = now + CONVERSATION_TTL_MS;
+        return;
+      }
+
+      const expired = await ConversationState.count({
+        where: { user_id: userId, expires_at: { [Sequelize.Op.lte]: new Date(now) } }
+      });
+      if (expired) {
+        await expireConversation(userId);
+      } else {
+        await storeConversationExpiry(userId, now + CONVERSATION_TTL_MS);
+      }
+    });
+  }
+  await next();
+}
+
+// Telegraf session store backed by ConversationState. The session middleware
+// saves ctx.session after every update that reads it, so a value is only
+// written when it differs from what was last read or written for its key.
+const sceneStateSnapshots = new Map();
+const conversationSessionStore = {
+  async get(key) {
+    const value = (await readConversationState(`scene:${key}`)) || undefined;
+    sceneStateSnapshots.set(key, JSON.stringify(value));
+    return value;
+  },
+  async set(key, value) {
+    const snapshot = JSON.stringify(value);
+    if (sceneStateSnapshots.get(key) === snapshot) return;
+    await writeConversationState(`scene:${key}`, key.split(':')[0], value);
+    sceneStateSnapshots.set(key, snapshot);
+  },
+  async delete(key) {
+    sceneStateSnapshots.delete(key);
+    await ConversationState.destroy({ where: { key: `scene:${key}` } });
+  }
+};
+
+// A flow that ends in the background (QR login) runs after the session
+// middleware has saved ctx.session, so its scene exit is written here
+async function leaveSceneInBackground(ctx, sceneId) {
+  await ctx.scene.leave();
+  const key = `${ctx.from.id}:${ctx.chat.id}`;
+  const stored = await conversationSessionStore.get(key);
+  if (stored && stored.__scenes && stored.__scenes.current === sceneId) {
+    await conversationSessionStore.set(key, { ...stored, __scenes: {} });
+  }
+}
+
+async function sweepExpiredConversations() {
+  const expired = await ConversationState.findAll({
+    where: { expires_at: { [Sequelize.Op.lte]: new Date() } },
+    attributes: [[Sequelize.fn('DISTINCT', Sequelize.col('user_id')), 'user_id']],
+    raw: true
+  });
+  for (const { user_id: userId } of expired) {
+    await sessionLock.acquire(String(userId), async () => {
+      const cached = conversationExpiries.get(String(userId));
+      if (cached && cached.expiresAt > Date.now()) {
+        await storeConversationExpiry(userId, cached.expiresAt);
+      } else {
+        await expireConversation(userId);
+      }
+    });
+  }
+
+  // Flow state is written through, so a user who has gone quiet only needs
+  // their cached copy dropped. Flows holding a login client stay put.
+  for (const userId of [...userSessions.keys()]) {
+    await sessionLock.acquire(userId, () => {
+      const cached = conversationExpiries.get(userId);
+      if (cached && cached.expiresAt > Date.now()) return;
+      const flow = userSessions.get(userId);
+      if (flow && collectSessionManagers(flow).length) return;
+      userSessions.delete(userId);
+      conversationExpiries.delete(userId);
+    });
+  }
+}
+
+// QR logins poll from a background loop that does not survive a restart
+async function resumeConversations() {
+  const flows = await ConversationState.findAll({
+    where: { key: { [Sequelize.Op.like]: 'flow:%' } },
+    attributes: ['key', 'user_id']
+  });
+  let resumed = 0;
+  for (const row of flows) {
+    const state = await readConversationState(row.key);
+    if (state && state.step === 'qr_waiting') {
+      await sessionLock.acquire(String(row.user_id), () => expireConversation(row.user_id, 'restart'));
+    } else if (state) {
+      restoreAccountHolds(row.user_id, state);
+      resumed++;
+    }
+  }
+  if (resumed) {
+    logger.info(`💬 ${resumed} conversation(s) restored from the database`);
+  }
+}
+
+function startConversationSweeper() {
+  conversationSweepTimer = setInterval(() => {
+    sweepExpiredConversations().catch(error => logger.error('Conversation sweep failed:', error));
+  }, CONVERSATION_SWEEP_INTERVAL_MS);
+}
+
+function stopConversationSweeper() {
+  if (conversationSweepTimer) {
+    clearInterval(conversationSweepTimer);
+    conversationSweepTimer = null;
+  }
+}
+
+function formatDuration(seconds, locale = FALLBACK_LOCALE) {
+  seconds = Math.ceil(seconds);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  if (hours) return tPlain(locale, 'duration.hours', { hours, minutes });
+  if (minutes) return tPlain(locale, 'duration.minutes', { minutes, seconds: secs });
+  return tPlain(locale, 'duration.seconds', { seconds: secs });
+}
+
+// Rate limiting
+// Every Telegram call made through UserAccountManager goes through the
+// limiter. Calls for one account run one at a time, stay inside a
+// per-minute budget, and a FLOOD_WAIT pauses the whole account for the
+// period the server asked for.
+const ACCOUNT_ACTIONS_PER_MINUTE = parseInt(process.env.ACCOUNT_ACTIONS_PER_MINUTE || '20');
+const ACCOUNT_MIN_ACTION_GAP_MS = 1000;
+const ACCOUNT_BUDGET_WINDOW_MS = 60 * 1000;
+// Longer waits are not slept through inside a job; the account stays paused instead
+const MAX_INLINE_FLOOD_WAIT_SECONDS = 15 * 60;
+// Calls made while a user waits for the reply, like login steps and group
+// lookups, give up after this long and tell the user to try again later
+const INTERACTIVE_MAX_WAIT_SECONDS = 30;
+// PEER_FLOOD carries no wait time; Telegram has flagged the account for spam
+const PEER_FLOOD_PAUSE_SECONDS = 6 * 60 * 60;
+const MAX_FLOOD_RETRIES = 3;
+
+// A call that could not run within its caller's maximum wait
+// For logs; users get formatRateLimitError in their own language
+class AccountRateLimitedError extends Error {
+  constructor(phone) {
+    super(tPlain(FALLBACK_LOCALE, 'rateLimit.limitedError', { phone }));
+    this.name = 'AccountRateLimitedError';
+    this.phone = phone;
+  }
+}
+
+class AccountPausedError extends AccountRateLimitedError {
+  constructor(phone, pausedUntil) {
+    super(phone);
+    this.name = 'AccountPausedError';
+    this.pausedUntil = pausedUntil;
+    this.message = formatRateLimitError(this, FALLBACK_LOCALE, tPlain);
+  }
+}
+
+// format is t, or tPlain for plain-text messages
+function formatRateLimitError(error, locale, format = t) {
+  if (!(error instanceof AccountPausedError)) {
+    return format(locale, 'rateLimit.limitedError', { phone: error.phone });
+  }
+  return format(locale, 'rateLimit.pausedError', {
+    phone: error.phone,
+    duration: formatDuration((error.pausedUntil.getTime() - Date.now()) / 1000, locale),
+    until: formatDateTime(error.pausedUntil, locale)
+  });
+}
+
+// Returns the server-mandated wait in seconds, or null if this is not a rate-limit error
+function getRateLimitWait(error) {
+  const message = error.errorMessage || error.message || '';
+
+  if (/PEER_FLOOD/.test(message)) {
+    return PEER_FLOOD_PAUSE_SECONDS;
+  }
+  if (/FLOOD|SLOWMODE/.test(message) && typeof error.seconds === 'number') {
+    return error.seconds;
+  }
+
+  const match = /(?:FLOOD_WAIT|FLOOD_PREMIUM_WAIT|SLOWMODE_WAIT)_(\d+)/.exec(message) ||
+    /A wait of (\d+) seconds is required/.exec(message);
+  return match ? parseInt(match[1]) : null;
+}
+
+class AccountRateLimiter {
+  constructor() {
+    this.lock = new AsyncLock({ maxPending: Infinity });
+    this.pausedUntil = new Map();
+    this.history = new Map();
+  }
+
+  getPausedUntil(phone) {
+    const until = this.pausedUntil.get(phone);
+    if (until && until.getTime() > Date.now()) return until;
+    this.pausedUntil.delete(phone);
+    return null;
+  }
+
+  // Seeds a pause persisted on the account row (survives restarts)
+  restorePause(phone, until) {
+    if (until && new Date(until).getTime() > Date.now()) {
+      this.pausedUntil.set(phone, new Date(until));
+    }
+  }
+
+  async pause(phone, seconds) {
+    const until = new Date(Date.now() + seconds * 1000);
+    const current = this.getPausedUntil(phone);
+    if (current && current >= until) return current;
+
+    this.pausedUntil.set(phone, until);
+    logger.warn(`Account ${phone} paused for ${formatDuration(seconds)} by rate limits`);
+
+    try {
+      await UserAccount.update({ paused_until: until }, { where: { phone } });
+    } catch (error) {
+      logger.error(`Could not persist pause for ${phone}:`, error);
+    }
+    return until;
+  }
+
+  // Milliseconds until the next action fits the per-account budget
+  getBudgetDelay(phone) {
+    const now = Date.now();
+    const history = (this.history.get(phone) || []).filter(t => now - t < ACCOUNT_BUDGET_WINDOW_MS);
+    this.history.set(phone, history);
+
+    let delay = 0;
+    if (history.length) {
+      delay = Math.max(delay, history[history.length - 1] + ACCOUNT_MIN_ACTION_GAP_MS - now);
+    }
+    if (history.length >= ACCOUNT_ACTIONS_PER_MINUTE) {
+      delay = Math.max(delay, history[history.length - ACCOUNT_ACTIONS_PER_MINUTE] + ACCOUNT_BUDGET_WINDOW_MS - now);
+    }
+    return delay;
+  }
+
+  async waitFor(phone, onWait, deadline) {
+    const pausedUntil = this.getPausedUntil(phone);
+    if (pausedUntil) {
+      if (pausedUntil.getTime() > deadline) {
+        throw new AccountPausedError(phone, pausedUntil);
+      }
+      const seconds = (pausedUntil.getTime() - Date.now()) / 1000;
+      if (onWait) await onWait({ seconds, until: pausedUntil, reason: 'flood', resumes: true });
+      await new Promise(resolve => setTimeout(resolve, seconds * 1000));
+    }
+
+    const delay = this.getBudgetDelay(phone);
+    if (Date.now() + delay > deadline) {
+      throw new AccountRateLimitedError(phone);
+    }
+    if (delay > 0) {
+      if (onWait && delay >= 10000) {
+        await onWait({ seconds: delay / 1000, until: new Date(Date.now() + delay), reason: 'budget', resumes: true });
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  // Runs one Telegram action for the account, retrying after server-mandated
+  // waits. maxWaitSeconds bounds the whole wait: behind the account's other
+  // calls, through a pause and for the budget. Past it the call fails with
+  // AccountRateLimitedError, or AccountPausedError when paused by Telegram.
+  async run(phone, action, { onWait = null, maxWaitSeconds = MAX_INLINE_FLOOD_WAIT_SECONDS } = {}) {
+    const deadline = Date.now() + maxWaitSeconds * 1000;
+    let started = false;
+
+    try {
+      return await this.lock.acquire(phone, () => {
+        started = true;
+        return this.runAttempts(phone, action, onWait, deadline);
+      }, { timeout: maxWaitSeconds * 1000 });
+    } catch (error) {
+      // Timed out in the queue before it could start
+      if (!started) throw new AccountRateLimitedError(phone);
+      throw error;
+    }
+  }
+
+  async runAttempts(phone, action, onWait, deadline) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitFor(phone, onWait, deadline);
+      this.history.set(phone, [...(this.history.get(phone) || []), Date.now()]);
+
+      try {
+        return await action();
+      } catch (error) {
+        const waitSeconds = getRateLimitWait(error);
+        if (waitSeconds === null) throw error;
+
+        const until = await this.pause(phone, waitSeconds);
+        if (until.getTime() > deadline || attempt >= MAX_FLOOD_RETRIES) {
+          if (onWait) await onWait({ seconds: waitSeconds, until, reason: 'flood', resumes: false });
+          throw new AccountPausedError(phone, until);
+        }
+      }
+    }
+  }
+}
+
+const accountRateLimiter = new AccountRateLimiter();
+
+// Telegram User Account Manager
+// Self-created group discovery results per account phone, so repeated sends
+// skip the dialog walk
+const GROUP_DISCOVERY_TTL_MS = 10 * 60 * 1000;
+const groupDiscoveryCache = new Map();
+
+function invalidateGroupDiscovery(phone) {
+  groupDiscoveryCache.delete(phone);
+}
+
+function getGroupDiscoveryTime(phone) {
+  const discovery = groupDiscoveryCache.get(phone);
+  return discovery ? new Date(discovery.fetchedAt) : null;
+}
+
+class UserAccountManager {
+  constructor(phone, apiId, apiHash) {
+    this.phone = phone;
+    this.api_id = apiId;
+    this.api_hash = apiHash;
+    this.session_string = null;
+    this.client = null;
+    this.is_connected = false;
+    this.account_id = null;
+  }
+
+  // Enough to resume a login after a restart: the session string carries the
+  // auth key the login code was sent to
+  toSessionState() {
+    return {
+      phone: this.phone,
+      api_id: this.api_id,
+      api_hash: this.api_hash,
+      session_string: this.client ? this.client.session.save() : this.session_string,
+      account_id: this.account_id
+    };
+  }
+
+  static fromSessionState(state) {
+    const manager = new UserAccountManager(state.phone, state.api_id, state.api_hash);
+    manager.session_string = state.session_string || null;
+    manager.account_id = state.account_id || null;
+    return manager;
+  }
+
+  // Builds a manager for a stored account, decrypting its credentials
+  static fromAccount(account) {
+    const secrets = openAccountSecrets(account);
+    const manager = new UserAccountManager(account.phone, account.api_id, secrets.api_hash);
+    manager.session_string = secrets.session_string;
+    manager.account_id = account.id;
+    accountRateLimiter.restorePause(account.phone, account.paused_until);
+    return manager;
+  }
+
+  // Runs a Telegram request through the per-account rate limiter. The
+  // methods below pass their callOptions on to it: onWait is called with
+  // { seconds, until, reason, resumes } whenever the account has to wait.
+  call(action, { maxWaitSeconds = MAX_INLINE_FLOOD_WAIT_SECONDS, onWait = null } = {}) {
+    return accountRateLimiter.run(this.phone, action, { onWait, maxWaitSeconds });
+  }
+
+  // session defaults to the stored session string
+  async connect(session = null) {
+    if (!this.is_connected) {
+      this.client = new TelegramClient(
+        session || new StringSession(this.session_string || ''),
+        parseInt(this.api_id),
+        this.api_hash,
+        {
+          connectionRetries: 5,
+          timeout: 30,
+          autoReconnect: true,
+          // Flood waits are handled by accountRateLimiter, never slept through silently
+          floodSleepThreshold: 0
+        }
+      );
+      
+      await this.client.connect();
+      this.is_connected = true;
+      this.loginTokenHandlerAdded = false;
+    }
+  }
+
+  // Starts over with an empty session on another data center, where a QR
+  // login for an account living there has to be finished
+  async reconnectToDC(dcId) {
+    const dc = await this.call(() => this.client.getDC(dcId), { maxWaitSeconds: INTERACTIVE_MAX_WAIT_SECONDS });
+    await this.disconnect();
+
+    const session = new StringSession('');
+    session.setDC(dcId, dc.ipAddress, dc.port);
+    await this.connect(session);
+  }
+
+  async disconnect() {
+    if (this.is_connected && this.client) {
+      await this.client.disconnect();
       this.is_connected = false;
     }
   }
 
-  async sendCode() {
-    try {
-      await this.connect();
-      const result = await this.client.sendCode({
-        apiId: parseInt(this.api_id),
-        apiHash: this.api_hash,
-      }, this.phone);
-      return { success: true, phoneCodeHash: result.phoneCodeHash };
-    } catch (error) {
-      logger.error('Failed to send code:', error);
-      return { success: false, error: error.message };
-    }
+  async sendCode() {
+    try {
+      await this.connect();
+      const result = await this.call(() => this.client.sendCode({
+        apiId: parseInt(this.api_id),
+        apiHash: this.api_hash,
+      }, this.phone), { maxWaitSeconds: INTERACTIVE_MAX_WAIT_SECONDS });
+      return { success: true, phoneCodeHash: result.phoneCodeHash };
+    } catch (error) {
+      logger.error('Failed to send code:', error);
+      return {
+        success: false,
+        error: error.message,
+        rateLimited: error instanceof AccountRateLimitedError,
+        pausedUntil: error instanceof AccountPausedError ? error.pausedUntil : null
+      };
+    }
+  }
+
+  async signIn(code, phoneCodeHash) {
+    try {
+      await this.connect();
+      const result = await this.call(() => this.client.signIn({
+        phoneNumber: this.phone,
+        phoneCode: code,
+        phoneCodeHash: phoneCodeHash
+      }), { maxWaitSeconds: INTERACTIVE_MAX_WAIT_SECONDS });
+      
+      // Save session string
+      this.session_string = this.client.session.save();
+      return { success: true, session: this.session_string };
+    } catch (error) {
+      if (error.errorMessage === 'SESSION_PASSWORD_NEEDED') {
+        return { success: false, requires2FA: true };
+      }
+      logger.error('Sign in failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async signInWithPassword(password) {
+    try {
+      await this.connect();
+      await this.call(() => this.client.signIn({
+        password: password
+      }), { maxWaitSeconds: INTERACTIVE_MAX_WAIT_SECONDS });
+      
+      // Save session string
+      this.session_string = this.client.session.save();
+      return { success: true, session: this.session_string };
+    } catch (error) {
+      logger.error('2FA sign in failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // QR login step. Returns { success, url, expires } while the token waits for a
+  // scan and { success, authorized: true, session } once another device accepted it.
+  async exportLoginToken() {
+    try {
+      await this.connect();
+
+      if (!this.loginTokenHandlerAdded) {
+        this.client.addEventHandler((update) => {
+          if (update instanceof Api.UpdateLoginToken && this.loginTokenResolve) {
+            this.loginTokenResolve(true);
+          }
+        });
+        this.loginTokenHandlerAdded = true;
+      }
+
+      let result = await this.call(() => this.client.invoke(new Api.auth.ExportLoginToken({
+        apiId: parseInt(this.api_id),
+        apiHash: this.api_hash,
+        exceptIds: []
+      })), { maxWaitSeconds: INTERACTIVE_MAX_WAIT_SECONDS });
+
+      // The account lives on another DC: import the token there
+      if (result instanceof Api.auth.LoginTokenMigrateTo) {
+        const { token } = result;
+        await this.reconnectToDC(result.dcId);
+        result = await this.call(() => this.client.invoke(new Api.auth.ImportLoginToken({ token })), {
+          maxWaitSeconds: INTERACTIVE_MAX_WAIT_SECONDS
+        });
+      }
+
+      if (result instanceof Api.auth.LoginTokenSuccess) {
+        this.phone = `+${result.authorization.user.phone}`;
+        this.session_string = this.client.session.save();
+        return { success: true, authorized: true, session: this.session_string };
+      }
+
+      if (!(result instanceof Api.auth.LoginToken)) {
+        throw new Error(`Unexpected QR login result: ${result.className}`);
+      }
+
+      return {
+        success: true,
+        authorized: false,
+        url: `tg://login?token=${Buffer.from(result.token).toString('base64url')}`,
+        expires: new Date(result.expires * 1000)
+      };
+    } catch (error) {
+      if (error.errorMessage === 'SESSION_PASSWORD_NEEDED') {
+        return { success: false, requires2FA: true };
+      }
+      logger.error('QR login failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Resolves true when Telegram reports the QR token was scanned, false on timeout
+  waitForLoginTokenScan(timeoutMs) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.loginTokenResolve = null;
+        resolve(false);
+      }, timeoutMs);
+
+      this.loginTokenResolve = (scanned) => {
+        clearTimeout(timer);
+        this.loginTokenResolve = null;
+        resolve(scanned);
+      };
+    });
+  }
+
+  async fetchPhone() {
+    const me = await this.call(() => this.client.getMe(), { maxWaitSeconds: INTERACTIVE_MAX_WAIT_SECONDS });
+    this.phone = `+${me.phone}`;
+    return this.phone;
+  }
+
+  // Connects and calls getMe to see whether the stored session still works
+  async checkHealth() {
+    try {
+      await this.connect();
+      await this.call(() => this.client.getMe());
+      return { status: 'healthy' };
+    } catch (error) {
+      const message = error.errorMessage || error.message || '';
+
+      if (/AUTH_KEY_UNREGISTERED/.test(message)) {
+        return { status: 'AUTH_KEY_UNREGISTERED', error: message };
+      }
+      if (/USER_DEACTIVATED/.test(message)) {
+        return { status: 'USER_DEACTIVATED', error: message };
+      }
+      if (/SESSION_REVOKED|SESSION_EXPIRED|AUTH_KEY_INVALID|AUTH_KEY_DUPLICATED/.test(message)) {
+        return { status: 'SESSION_REVOKED', error: message };
+      }
+
+      logger.error(`Health check failed for ${this.phone}:`, error);
+      return { status: 'error', error: message };
+    }
+  }
+
+  async logOut() {
+    try {
+      await this.connect();
+      await this.call(() => this.client.invoke(new Api.auth.LogOut()), { maxWaitSeconds: INTERACTIVE_MAX_WAIT_SECONDS });
+      return { success: true };
+    } catch (error) {
+      logger.error('Log out failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async createGroupWithFeatures(groupName, options = {}, callOptions = {}) {
+    const {
+      about = '',
+      photo = null,
+      welcomeMessageText = 'hello',
+      chatHistoryVisible = true,
+      sendWelcomeMessage = true,
+      permissionProfile = null,
+      members = []
+    } = options;
+
+    try {
+      await this.connect();
+
+      // Create the group/channel
+      const result = await this.call(() => this.client.invoke(new Api.channels.CreateChannel({
+        title: groupName,
+        about: about,
+        megagroup: true,
+        broadcast: false
+      })), callOptions);
+
+      const channel = result.chats[0];
+
+      // Set the group photo if one was provided
+      if (photo) {
+        try {
+          const file = await this.call(() => this.client.uploadFile({
+            file: new CustomFile('group_photo.jpg', photo.length, '', photo),
+            workers: 1
+          }), callOptions);
+          await this.call(() => this.client.invoke(new Api.channels.EditPhoto({
+            channel: channel,
+            photo: new Api.InputChatUploadedPhoto({ file: file })
+          })), callOptions);
+        } catch (error) {
+          if (error instanceof AccountRateLimitedError) throw error;
+          logger.warn(`Could not set group photo: ${error.message}`);
+        }
+      }
+
+      // Make chat history visible if requested
+      if (chatHistoryVisible) {
+        try {
+          await this.call(() => this.client.invoke(new Api.channels.TogglePreHistoryHidden({
+            channel: channel,
+            enabled: false
+          })), callOptions);
+        } catch (error) {
+          if (error instanceof AccountRateLimitedError) throw error;
+          logger.warn(`Could not set chat history visible: ${error.message}`);
+        }
+      }
+
+      // Apply the member permission profile if one was chosen
+      if (permissionProfile) {
+        try {
+          await this.applyPermissionProfile(channel, permissionProfile, callOptions);
+        } catch (error) {
+          if (error instanceof AccountRateLimitedError) throw error;
+          logger.warn(`Could not apply permission profile: ${error.message}`);
+        }
+      }
+
+      // Generate invite link
+      const invite = await this.call(() => this.client.invoke(new Api.messages.ExportChatInvite({
+        peer: channel
+      })), callOptions);
+
+      // Send welcome message if requested
+      if (sendWelcomeMessage) {
+        try {
+          await this.call(() => this.client.sendMessage(channel, {
+            message: welcomeMessageText
+          }), callOptions);
+        } catch (error) {
+          if (error instanceof AccountRateLimitedError) throw error;
+          logger.warn(`Could not send welcome message: ${error.message}`);
+        }
+      }
+
+      // Add members if provided
+      let addedMembers = 0;
+      for (const username of members) {
+        try {
+          const user = await this.call(() => this.client.getEntity(username), callOptions);
+          await this.call(() => this.client.invoke(new Api.channels.InviteToChannel({
+            channel: channel,
+            users: [user]
+          })), callOptions);
+          addedMembers++;
+        } catch (error) {
+          if (error instanceof AccountRateLimitedError) throw error;
+          logger.error(`Failed to add ${username}:`, error.message);
+        }
+      }
+
+      return {
+        success: true,
+        chat_id: channel.id.toString(),
+        access_hash: channel.accessHash ? channel.accessHash.toString() : null,
+        invite_link: invite.link,
+        title: channel.title,
+        members_added: addedMembers,
+        total_members: addedMembers + 1
+      };
+    } catch (error) {
+      if (error instanceof AccountRateLimitedError) throw error;
+      logger.error('Error creating group:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Sets the group's default member rights and slow mode from a profile
+  async applyPermissionProfile(channel, profile, callOptions = {}) {
+    await this.connect();
+
+    const updates = [
+      new Api.messages.EditChatDefaultBannedRights({
+        peer: channel,
+        bannedRights: buildChatBannedRights(profile.banned_rights)
+      }),
+      new Api.channels.ToggleSlowMode({
+        channel: channel,
+        seconds: profile.slow_mode_seconds || 0
+      })
+    ];
+
+    for (const request of updates) {
+      await this.invokeChange(request, callOptions);
+    }
+  }
+
+  // Invokes a group edit; re-applying the current value is not an error
+  async invokeChange(request, callOptions = {}) {
+    try {
+      await this.call(() => this.client.invoke(request), callOptions);
+    } catch (error) {
+      if (error.errorMessage !== 'CHAT_NOT_MODIFIED') throw error;
+    }
+  }
+
+  async editGroupTitle(channel, title, callOptions = {}) {
+    await this.connect();
+    await this.invokeChange(new Api.channels.EditTitle({ channel: channel, title: title }), callOptions);
+  }
+
+  async editGroupAbout(channel, about, callOptions = {}) {
+    await this.connect();
+    await this.invokeChange(new Api.messages.EditChatAbout({ peer: channel, about: about }), callOptions);
+  }
+
+  async setGroupHistoryVisible(channel, visible, callOptions = {}) {
+    await this.connect();
+    await this.invokeChange(new Api.channels.TogglePreHistoryHidden({ channel: channel, enabled: !visible }), callOptions);
+  }
+
+  async exportInviteLink(channel, { expireDate = null, usageLimit = null, requestNeeded = false } = {}, callOptions = {}) {
+    await this.connect();
+
+    const request = new Api.messages.ExportChatInvite({
+      peer: channel,
+      expireDate: expireDate ? Math.floor(expireDate.getTime() / 1000) : undefined,
+      usageLimit: usageLimit || undefined,
+      requestNeeded: requestNeeded || undefined
+    });
+
+    return this.call(() => this.client.invoke(request), callOptions);
+  }
+
+  async revokeInviteLink(channel, link, callOptions = {}) {
+    await this.connect();
+    await this.call(() => this.client.invoke(new Api.messages.EditExportedChatInvite({
+      peer: channel,
+      link: link,
+      revoked: true
+    })), callOptions);
+  }
+
+  // Links this account created in the group that are not revoked
+  async getInviteLinks(channel, callOptions = {}) {
+    await this.connect();
+    const result = await this.call(() => this.client.invoke(new Api.messages.GetExportedChatInvites({
+      peer: channel,
+      adminId: new Api.InputUserSelf(),
+      limit: 100
+    })), callOptions);
+    return result.invites.filter(invite => invite.link);
+  }
+
+  async deleteGroup(channel, callOptions = {}) {
+    await this.connect();
+    await this.call(() => this.client.invoke(new Api.channels.DeleteChannel({ channel: channel })), callOptions);
+  }
+
+  // Walks the dialog list once. The creator flag is trusted; only "min"
+  // entities, whose flags are incomplete, are checked with GetParticipant.
+  async discoverCreatedGroups(callOptions = {}) {
+    await this.connect();
+    const dialogs = await this.call(() => this.client.getDialogs({}), callOptions);
+
+    const groups = [];
+
+    for (const dialog of dialogs) {
+      const entity = dialog.entity;
+
+      // Skip private chats and anything that is not a group/channel
+      if (!entity || dialog.isUser) continue;
+      const isGroup = entity instanceof Api.Chat || entity instanceof Api.Channel;
+      if (!isGroup) continue;
+
+      let isCreator = Boolean(entity.creator);
+      if (!isCreator && entity.min) {
+        try {
+          const result = await this.call(() => this.client.invoke(new Api.channels.GetParticipant({
+            channel: entity,
+            participant: new Api.InputPeerSelf()
+          })), callOptions);
+          isCreator = result.participant instanceof Api.ChannelParticipantCreator;
+        } catch (error) {
+          if (error instanceof AccountRateLimitedError) throw error;
+          // Skip if we can't get participant info
+        }
+      }
+
+      if (isCreator) {
+        groups.push({
+          id: entity.id.toString(),
+          title: entity.title,
+          username: entity.username || null,
+          access_hash: entity.accessHash ? entity.accessHash.toString() : null
+        });
+      }
+    }
+
+    return groups;
+  }
+
+  // Groups this account created: recorded CreatedGroup rows first, plus any
+  // found in the (cached) dialog discovery. Pass refresh to rediscover now;
+  // the other options are callOptions for the discovery.
+  async getSelfCreatedGroups({ refresh = false, ...callOptions } = {}) {
+    try {
+      let discovery = groupDiscoveryCache.get(this.phone);
+      if (refresh || !discovery || Date.now() - discovery.fetchedAt > GROUP_DISCOVERY_TTL_MS) {
+        discovery = {
+          groups: await this.discoverCreatedGroups(callOptions),
+          fetchedAt: Date.now()
+        };
+        groupDiscoveryCache.set(this.phone, discovery);
+      }
+
+      const recorded = this.account_id
+        ? await CreatedGroup.findAll({
+          where: { account_id: this.account_id, is_active: true },
+          order: [['created_at', 'ASC']]
+        })
+        : [];
+
+      const discovered = new Map(discovery.groups.map(group => [group.id, group]));
+      const groups = [];
+
+      for (const row of recorded) {
+        const found = discovered.get(row.chat_id);
+        discovered.delete(row.chat_id);
+
+        // Backfill access hashes for rows recorded before they were stored
+        if (!row.access_hash && found && found.access_hash) {
+          await row.update({ access_hash: found.access_hash });
+        }
+
+        groups.push({
+          id: row.chat_id,
+          title: found ? found.title : row.group_name,
+          username: found ? found.username : null,
+          access_hash: row.access_hash
+        });
+      }
+
+      return [...groups, ...discovered.values()];
+    } catch (error) {
+      if (error instanceof AccountRateLimitedError) throw error;
+      logger.error('Error getting self-created groups:', error);
+      return [];
+    }
+  }
+
+  // Uploads each media item once; every group reuses the uploaded files
+  async uploadMessageMedia(media, callOptions = {}) {
+    const files = [];
+    for (const item of media) {
+      const file = await this.call(() => this.client.uploadFile({
+        file: new CustomFile(item.file_name, item.data.length, '', item.data),
+        workers: 1
+      }), callOptions);
+      files.push({ file, type: item.type });
+    }
+    return files;
+  }
+
+  // content is { text, entities, media } with MTProto entities and
+  // downloaded media ({ type, file_name, data }); a plain string also works
+  async sendMessageToGroups(groups, content, options = {}, callOptions = {}) {
+    const { onProgress = null, shouldStop = null } = options;
+    const results = [];
+    const { text = '', entities = [], media = [] } = typeof content === 'string' ? { text: content } : content;
+
+    await this.connect();
+    const files = await this.uploadMessageMedia(media, callOptions);
+    
+    for (const group of groups) {
+      if (shouldStop && await shouldStop()) {
+        break;
+      }
+
+      let rateLimited = false;
+      try {
+        const peer = group.peer || group.id;
+        if (files.length) {
+          await this.call(() => this.client.sendFile(peer, {
+            file: files.length === 1 ? files[0].file : files.map(item => item.file),
+            caption: text,
+            formattingEntities: entities,
+            forceDocument: files.some(item => item.type === 'document')
+          }), callOptions);
+        } else {
+          // Explicit entities keep the client from parsing the text as markdown
+          await this.call(() => this.client.sendMessage(peer, {
+            message: text,
+            formattingEntities: entities
+          }), callOptions);
+        }
+        results.push({
+          group_id: group.id,
+          title: group.title,
+          success: true
+        });
+      } catch (error) {
+        // A long pause would fail every remaining group the same way
+        rateLimited = error instanceof AccountRateLimitedError;
+        const remaining = rateLimited ? groups.slice(results.length) : [group];
+        for (const failed of remaining) {
+          results.push({
+            group_id: failed.id,
+            title: failed.title,
+            success: false,
+            error: error.message
+          });
+        }
+      }
+
+      if (onProgress) {
+        await onProgress(results.length, groups.length);
+      }
+      if (rateLimited) break;
+    }
+    
+    return results;
+  }
+}
+
+// Client pool
+// Keeps one UserAccountManager (and so one TelegramClient) per stored account
+// and hands it to every caller, instead of a full connect/disconnect per
+// operation. Callers pair acquire() with release() in a finally block.
+// Clients unused for ACCOUNT_CLIENT_IDLE_SECONDS are disconnected; a client
+// that comes back disconnected is dropped so the next caller starts fresh.
+const ACCOUNT_CLIENT_IDLE_MS = parseInt(process.env.ACCOUNT_CLIENT_IDLE_SECONDS || '300') * 1000;
+
+class AccountClientPool {
+  constructor(idleMs) {
+    this.idleMs = idleMs;
+    this.entries = new Map();
+    this.idleTimer = null;
+  }
+
+  // Managers connect lazily on their first request, so this never touches the network
+  acquire(account) {
+    let entry = this.entries.get(account.id);
+    if (!entry) {
+      entry = { manager: UserAccountManager.fromAccount(account), users: 0, lastUsed: Date.now() };
+      this.entries.set(account.id, entry);
+    }
+    entry.users++;
+    entry.lastUsed = Date.now();
+    return entry.manager;
+  }
+
+  async release(manager) {
+    const entry = this.entries.get(manager.account_id);
+    if (!entry || entry.manager !== manager) {
+      // Evicted while in use
+      await manager.disconnect().catch(() => {});
+      return;
+    }
+
+    entry.users = Math.max(0, entry.users - 1);
+    entry.lastUsed = Date.now();
+    if (entry.users) return;
+
+    const broken = !manager.is_connected || (manager.client && manager.client.connected === false);
+    if (broken) {
+      this.entries.delete(manager.account_id);
+      await manager.disconnect().catch(() => {});
+    }
+  }
+
+  // Drops an account's client, e.g. after its session was logged out or found dead
+  async evict(accountId) {
+    const entry = this.entries.get(accountId);
+    if (!entry) return;
+    this.entries.delete(accountId);
+    await entry.manager.disconnect().catch(() => {});
+  }
+
+  async closeIdle() {
+    const cutoff = Date.now() - this.idleMs;
+    for (const [accountId, entry] of this.entries) {
+      if (entry.users || entry.lastUsed > cutoff) continue;
+      this.entries.delete(accountId);
+      await entry.manager.disconnect().catch(() => {});
+      logger.info(`🔌 Disconnected idle client for ${entry.manager.phone}`);
+    }
+  }
+
+  start() {
+    this.idleTimer = setInterval(() => {
+      this.closeIdle().catch(error => logger.error('Closing idle clients failed:', error));
+    }, Math.max(this.idleMs / 2, 1000));
+  }
+
+  async stop() {
+    if (this.idleTimer) {
+      clearInterval(this.idleTimer);
+      this.idleTimer = null;
+    }
+    const entries = [...this.entries.values()];
+    this.entries.clear();
+    for (const entry of entries) {
+      await entry.manager.disconnect().catch(() => {});
+    }
+  }
+}
+
+const accountClients = new AccountClientPool(ACCOUNT_CLIENT_IDLE_MS);
+
+// Account operation locking
+// An account is driven by one operation at a time. Jobs and group lookups
+// run under accountLock, so overlapping jobs queue instead of sharing the
+// client; lookups made while a user waits fail at once instead. Picking an
+// account in a flow holds it for that user until the flow ends; anyone else
+// picking it is told which operation has it.
+const accountLock = new AsyncLock({ maxPending: Infinity });
+const accountOperations = new Map();
+const accountFlowHolds = new Map();
+
+function describeAccountHolder(holder, locale = FALLBACK_LOCALE) {
+  const job = holder.jobId
+    ? tPlain(locale, holder.queued ? 'busy.queuedJob' : 'busy.job', { id: holder.jobId })
+    : '';
+  const by = holder.userId
+    ? tPlain(locale, 'busy.by', { user: `${holder.userId}${holder.username ? ` (@${holder.username})` : ''}` })
+    : '';
+  return tPlain(locale, 'busy.holder', {
+    label: tPlain(locale, `operations.${holder.operation}`),
+    job,
+    by,
+    duration: formatDuration((Date.now() - holder.since) / 1000, locale)
+  });
+}
+
+function jobAccountHolder(job) {
+  return {
+    userId: Number(job.user_id),
+    operation: job.type,
+    jobId: job.id,
+    since: Date.now()
+  };
+}
+
+// A running operation or flow of another user on the account, if any
+function getAccountHolder(accountId, userId) {
+  const operation = accountOperations.get(accountId);
+  if (operation && operation.userId !== userId) return operation;
+  const hold = accountFlowHolds.get(accountId);
+  if (hold && hold.userId !== userId) return hold;
+  return null;
+}
+
+// Like getAccountHolder, but also counts another user's job for the
+// account that is still waiting in the queue
+async function findAccountHolder(account, userId) {
+  const queuedJob = await BackgroundJob.findOne({
+    where: { account_id: account.id, status: 'queued', user_id: { [Sequelize.Op.ne]: userId } },
+    order: [['id', 'ASC']]
+  });
+
+  return getAccountHolder(account.id, userId) || (queuedJob && {
+    ...jobAccountHolder(queuedJob),
+    since: queuedJob.created_at.getTime(),
+    queued: true
+  });
+}
+
+// Holds the account for the user's flow. Returns the other holder instead
+// when someone else is using it or has a job for it waiting in the queue.
+async function holdAccountForFlow(account, user, operation) {
+  const holder = await findAccountHolder(account, user.id);
+  if (holder) return holder;
+
+  accountFlowHolds.set(account.id, { userId: user.id, username: user.username, operation, since: Date.now() });
+  return null;
+}
+
+function releaseAccountHolds(userId) {
+  for (const [accountId, hold] of accountFlowHolds) {
+    if (hold.userId === Number(userId)) accountFlowHolds.delete(accountId);
+  }
+}
+
+// A flow restored after a restart still holds the account it picked
+function restoreAccountHolds(userId, state) {
+  const picks = [
+    [state.selected_account, 'create_group_setup'],
+    ...(state.selected_msg_accounts || []).map(account => [account, 'send_message_setup'])
+  ];
+  for (const [account, operation] of picks) {
+    if (account && !accountFlowHolds.has(account.id)) {
+      accountFlowHolds.set(account.id, { userId: Number(userId), operation, since: Date.now() });
+    }
+  }
+}
+
+// Tells the user who has the account; true when they have to pick another
+async function replyIfAccountBusy(ctx, account, operation) {
+  const holder = await holdAccountForFlow(account, ctx.from, operation);
+  if (!holder) return false;
+
+  await ctx.reply(ctx.t('busy.account', { phone: account.phone, holder: describeAccountHolder(holder, ctx.locale) }));
+  return true;
+}
+
+class AccountBusyError extends Error {
+  constructor(holder) {
+    super(`Account is busy with ${holder.operation}`);
+    this.name = 'AccountBusyError';
+    this.holder = holder;
+  }
+}
+
+// Runs fn once no other operation holds the account. onWait is called with
+// the current holder when the operation has to queue behind it; with
+// wait: false it throws AccountBusyError instead.
+async function runAccountOperation(accountId, holder, fn, { onWait, wait = true } = {}) {
+  const current = accountOperations.get(accountId);
+  if (current && !wait) {
+    throw new AccountBusyError(current);
+  }
+  if (current && onWait) {
+    await onWait(current);
+  }
+
+  return accountLock.acquire(String(accountId), async () => {
+    accountOperations.set(accountId, { ...holder, since: Date.now() });
+    try {
+      return await fn();
+    } finally {
+      accountOperations.delete(accountId);
+    }
+  });
+}
+
+// Background jobs
+// Long-running Telegram operations are queued in background_jobs and run by
+// in-process workers. Each job owns a status message that is edited as it
+// progresses, so handlers return immediately and a restart leaves a trace.
+const JOB_WORKER_COUNT = parseInt(process.env.JOB_WORKERS || '2');
+const JOB_POLL_INTERVAL_MS = 3000;
+const JOB_PROGRESS_INTERVAL_MS = 3000;
+
+let activeJobCount = 0;
+let jobPollTimer = null;
+let jobPollInFlight = false;
+let jobPollRequested = false;
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+function isJobActive(job) {
+  return job.status === 'queued' || job.status === 'running';
+}
+
+// Jobs queued before they stored a language follow the user's current one
+function getJobLocale(job) {
+  return job.locale || getUserLocale(job.user_id);
+}
+
+function formatJobType(type, locale) {
+  return JOB_TYPES[type] ? tPlain(locale, `operations.${type}`) : type;
+}
+
+function jobCancelKeyboard(job, locale = FALLBACK_LOCALE) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback(tPlain(locale, 'jobs.cancelButton', { id: job.id }), `job_cancel_${job.id}`)]
+  ]);
+}
+
+async function editJobMessage(job, text, extra = {}) {
+  try {
+    if (job.status_message_id) {
+      await bot.telegram.editMessageText(job.chat_id, job.status_message_id, null, text, extra);
+    } else {
+      const message = await bot.telegram.sendMessage(job.chat_id, text, extra);
+      await job.update({ status_message_id: message.message_id });
+    }
+  } catch (error) {
+    if (!/message is not modified/.test(error.message)) {
+      logger.warn(`Could not update status message for job #${job.id}: ${error.message}`);
+    }
+  }
+}
+
+async function enqueueJob({ type, userId, chatId, locale, statusMessageId = null, accountId = null, payload = {} }) {
+  if (!JOB_TYPES[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const job = await BackgroundJob.create({
+    type,
+    user_id: userId,
+    chat_id: chatId,
+    status_message_id: statusMessageId,
+    account_id: accountId,
+    locale,
+    payload
+  });
+
+  logger.info(`Job #${job.id} (${type}) queued by ${userId}`);
+  setImmediate(pollJobs);
+  return job;
+}
+
+function createJobContext(job) {
+  let lastUpdate = 0;
+  const locale = getJobLocale(job);
+
+  return {
+    locale,
+    t: (key, params) => t(locale, key, params),
+    tPlain: (key, params) => tPlain(locale, key, params),
+
+    // Edits the status message, throttled unless forced
+    async update(text, { force = false } = {}) {
+      const now = Date.now();
+      if (!force && now - lastUpdate < JOB_PROGRESS_INTERVAL_MS) return;
+      lastUpdate = now;
+      await editJobMessage(job, text, jobCancelKeyboard(job, locale));
+    },
+
+    async setProgress(current, total) {
+      await job.update({ progress_current: current, progress_total: total });
+    },
+
+    async isCancelled() {
+      await job.reload({ attributes: ['cancel_requested'] });
+      return job.cancel_requested;
+    },
+
+    async throwIfCancelled() {
+      if (await this.isCancelled()) {
+        throw new JobCancelledError();
+      }
+    }
+  };
+}
+
+// Jobs for an account that is busy with another job stay queued, so workers
+// are not tied up waiting on the account lock
+async function claimNextJob() {
+  const busyAccountIds = [...accountOperations.entries()]
+    .filter(([, holder]) => holder.jobId)
+    .map(([accountId]) => accountId);
+  const where = { status: 'queued' };
+  if (busyAccountIds.length) {
+    where[Sequelize.Op.or] = [
+      { account_id: null },
+      { account_id: { [Sequelize.Op.notIn]: busyAccountIds } }
+    ];
+  }
+
+  const job = await BackgroundJob.findOne({ where, order: [['id', 'ASC']] });
+  if (!job) return null;
+
+  const [claimed] = await BackgroundJob.update(
+    { status: 'running', started_at: new Date() },
+    { where: { id: job.id, status: 'queued' } }
+  );
+  if (!claimed) return null;
+
+  return job.reload();
+}
+
+// Quota and rate-limit failures are explained in the user's language
+function formatJobError(error, locale) {
+  if (error instanceof QuotaExceededError) return formatQuotaError(error, locale, tPlain);
+  if (error instanceof AccountRateLimitedError) return formatRateLimitError(error, locale, tPlain);
+  return error.message;
+}
+
+async function runJob(job) {
+  const jobType = JOB_TYPES[job.type];
+  const context = createJobContext(job);
+  const operation = formatJobType(job.type, context.locale);
+
+  // Checked again once the job has its account, in case it was cancelled while waiting
+  const run = async () => {
+    await context.throwIfCancelled();
+    return jobType.run(job, context);
+  };
+
+  try {
+    const outcome = job.account_id
+      ? await runAccountOperation(job.account_id, jobAccountHolder(job), run, {
+        onWait: (holder) => context.update(
+          context.t('jobs.waitingForAccount', {
+            id: job.id,
+            operation,
+            holder: describeAccountHolder(holder, context.locale)
+          }),
+          { force: true }
+        )
+      })
+      : await run();
+
+    await job.update({
+      status: outcome.cancelled ? 'cancelled' : 'completed',
+      result: outcome.result || null,
+      finished_at: new Date()
+    });
+    await editJobMessage(job, outcome.text, outcome.keyboard || {});
+    logger.info(`Job #${job.id} ${job.status}`);
+    await auditJob(job, outcome.cancelled ? 'cancelled' : 'success');
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      await job.update({ status: 'cancelled', finished_at: new Date() });
+      await editJobMessage(job, context.t('jobs.cancelled', { id: job.id, operation }));
+      logger.info(`Job #${job.id} cancelled`);
+      await auditJob(job, 'cancelled');
+      return;
+    }
+
+    logger.error(`Job #${job.id} failed:`, error);
+    await job.update({ status: 'failed', error: error.message, finished_at: new Date() });
+    await editJobMessage(job, context.t('jobs.failed', {
+      id: job.id,
+      operation,
+      error: formatJobError(error, context.locale)
+    }));
+    await auditJob(job, 'failure', error);
+  }
+}
+
+// Records a finished job under its type's audit action, as done by the user who queued it
+async function auditJob(job, outcome, error = null) {
+  const jobType = JOB_TYPES[job.type];
+  const action = typeof jobType.auditAction === 'function' ? jobType.auditAction(job) : jobType.auditAction;
+  const payload = job.payload || {};
+
+  const account = job.account_id
+    ? (await UserAccount.findByPk(job.account_id)) || { id: job.account_id, phone: null }
+    : null;
+  const groupId = (job.result && job.result.group_id) || payload.group_id;
+  const group = groupId ? await CreatedGroup.findByPk(groupId) : null;
+
+  await recordAudit({ id: job.user_id }, action, {
+    account,
+    group,
+    outcome,
+    error,
+    details: {
+      job_id: job.id,
+      group_name: payload.group_name,
+      message: payload.message_text,
+      targets: payload.groups ? payload.groups.length : undefined,
+      result: job.result
+    }
+  });
+}
+
+// Timer ticks, new jobs and finished jobs all trigger a poll. Polls never
+// overlap, or both could pass the worker count check while claiming; one
+// asked for meanwhile runs again once the current one is done.
+async function pollJobs() {
+  if (jobPollInFlight) {
+    jobPollRequested = true;
+    return;
+  }
+
+  jobPollInFlight = true;
+  try {
+    do {
+      jobPollRequested = false;
+      while (activeJobCount < JOB_WORKER_COUNT) {
+        const job = await claimNextJob();
+        if (!job) break;
+
+        activeJobCount++;
+        runJob(job)
+          .catch(error => logger.error(`Job ${job.id} failed outside its handler:`, error))
+          .finally(() => {
+            activeJobCount--;
+            setImmediate(pollJobs);
+          });
+      }
+    } while (jobPollRequested);
+  } catch (error) {
+    logger.error('Job polling failed:', error);
+  } finally {
+    jobPollInFlight = false;
+  }
+}
+
+// Jobs that were running when the process stopped cannot be resumed safely
+// (a half-sent broadcast would be repeated), so they are marked failed.
+// Queued jobs never started and are simply picked up again.
+async function recoverInterruptedJobs() {
+  const interrupted = await BackgroundJob.findAll({ where: { status: 'running' } });
+
+  for (const job of interrupted) {
+    await job.update({
+      status: 'failed',
+      error: 'Interrupted by a bot restart',
+      finished_at: new Date()
+    });
+    await auditJob(job, 'failure', new Error(job.error));
+    const locale = getJobLocale(job);
+    await editJobMessage(job, t(locale, 'jobs.interrupted', {
+      id: job.id,
+      operation: formatJobType(job.type, locale),
+      current: job.progress_current,
+      total: job.progress_total
+    }));
+  }
+
+  if (interrupted.length) {
+    logger.warn(`Marked ${interrupted.length} interrupted jobs as failed`);
+  }
+}
+
+async function startJobWorkers() {
+  await recoverInterruptedJobs();
+  jobPollTimer = setInterval(pollJobs, JOB_POLL_INTERVAL_MS);
+  await pollJobs();
+  logger.info(`⚙️ Job workers started (${JOB_WORKER_COUNT})`);
+}
+
+function stopJobWorkers() {
+  if (jobPollTimer) {
+    clearInterval(jobPollTimer);
+    jobPollTimer = null;
+  }
+}
+
+// Tells the job owner, via the status message, that the account is waiting
+function reportRateLimit(context, account) {
+  return async ({ seconds, until, reason, resumes }) => {
+    const duration = formatDuration(seconds, context.locale);
+    const text = reason === 'budget'
+      ? context.t('rateLimit.budget', { phone: account.phone, duration })
+      : joinHtml([
+        context.t('rateLimit.paused', { phone: account.phone, duration, until: formatDateTime(until, context.locale) }),
+        context.t(resumes ? 'rateLimit.resumes' : 'rateLimit.stops')
+      ]);
+    await context.update(text, { force: true });
+  };
+}
+
+// Builds the channel peer for a recorded group. Groups recorded before access
+// hashes were stored are looked up in the account's dialogs and backfilled.
+async function resolveGroup(manager, group, callOptions = {}) {
+  if (group.access_hash) {
+    return new Api.InputChannel({ channelId: bigInt(group.chat_id), accessHash: bigInt(group.access_hash) });
+  }
+
+  await manager.connect();
+  const dialogs = await manager.call(() => manager.client.getDialogs({}), callOptions);
+  const dialog = dialogs.find(d => d.entity && d.entity.id && d.entity.id.toString() === group.chat_id);
+  if (!dialog) {
+    throw new Error(`Group ${group.group_name} is no longer in the account's chats`);
+  }
+
+  if (dialog.entity.accessHash) {
+    await group.update({ access_hash: dialog.entity.accessHash.toString() });
+  }
+  return dialog.entity;
+}
+
+// Invite links
+// CreatedGroup.invite_link is the link the bot shows as current; every link
+// the bot created or found in Telegram is kept in GroupInviteLink.
+async function createInviteLink(manager, channel, group, options, userId, callOptions = {}) {
+  const expireDate = options.expire_seconds
+    ? new Date(Date.now() + options.expire_seconds * 1000)
+    : null;
+
+  const invite = await manager.exportInviteLink(channel, {
+    expireDate,
+    usageLimit: options.usage_limit,
+    requestNeeded: options.request_needed
+  }, callOptions);
+
+  const link = await GroupInviteLink.create({
+    group_id: group.id,
+    link: invite.link,
+    expires_at: expireDate,
+    usage_limit: options.usage_limit || null,
+    request_needed: Boolean(options.request_needed),
+    created_by_user: userId
+  });
+
+  if (!group.invite_link) {
+    await group.update({ invite_link: invite.link });
+  }
+  return link;
+}
+
+// Options to recreate a link; a replacement keeps whatever time was left
+function inviteLinkOptions(link) {
+  const remaining = link.expires_at ? Math.floor((link.expires_at.getTime() - Date.now()) / 1000) : 0;
+  return {
+    expire_seconds: remaining > 0 ? remaining : null,
+    usage_limit: link.usage_limit,
+    request_needed: link.request_needed
+  };
+}
+
+async function loadStoredInviteLink(group, linkId) {
+  const link = await GroupInviteLink.findOne({ where: { id: linkId, group_id: group.id } });
+  if (!link || link.is_revoked) {
+    throw new Error('Invite link not found or already revoked');
+  }
+  return link;
+}
+
+// Marks a link revoked; if it was current, the newest active link takes over
+async function markInviteLinkRevoked(group, link) {
+  await link.update({ is_revoked: true, revoked_at: new Date() });
+  if (group.invite_link !== link.link) return;
+
+  const next = await GroupInviteLink.findOne({
+    where: { group_id: group.id, is_revoked: false },
+    order: [['created_at', 'DESC']]
+  });
+  await group.update({ invite_link: next ? next.link : null });
+}
+
+// Pulls usage counts from Telegram. Stored links Telegram no longer lists as
+// active were revoked elsewhere.
+async function syncInviteLinks(manager, channel, group, callOptions = {}) {
+  const invites = await manager.getInviteLinks(channel, callOptions);
+  const activeLinks = new Set();
+
+  for (const invite of invites) {
+    activeLinks.add(invite.link);
+    const [link] = await GroupInviteLink.findOrCreate({
+      where: { group_id: group.id, link: invite.link },
+      defaults: { group_id: group.id, link: invite.link }
+    });
+    await link.update({
+      expires_at: invite.expireDate ? new Date(invite.expireDate * 1000) : null,
+      usage_limit: invite.usageLimit || null,
+      request_needed: Boolean(invite.requestNeeded),
+      usage_count: invite.usage || 0,
+      pending_requests: invite.requested || 0,
+      is_revoked: false,
+      synced_at: new Date()
+    });
+  }
+
+  const stored = await GroupInviteLink.findAll({ where: { group_id: group.id, is_revoked: false } });
+  for (const link of stored) {
+    if (!activeLinks.has(link.link)) {
+      await markInviteLinkRevoked(group, link);
+    }
+  }
+
+  return invites.length;
+}
+
+function formatInviteLinkTerms(link, locale) {
+  const terms = [];
+  if (link.expires_at) {
+    const date = formatDateTime(link.expires_at, locale);
+    terms.push(link.expires_at < new Date()
+      ? tPlain(locale, 'inviteLinks.terms.expired', { date })
+      : tPlain(locale, 'inviteLinks.terms.expires', { date }));
+  } else {
+    terms.push(tPlain(locale, 'inviteLinks.terms.neverExpires'));
+  }
+  terms.push(link.usage_limit
+    ? tPlain(locale, 'inviteLinks.terms.usedOfLimit', { count: link.usage_count, limit: link.usage_limit })
+    : tPlain(locale, 'inviteLinks.terms.used', { count: link.usage_count }));
+  if (link.request_needed) {
+    terms.push(tPlain(locale, 'inviteLinks.terms.needsApproval', { count: link.pending_requests }));
+  }
+  return terms.join(' · ');
+}
+
+// Input peer for a group serialized into a job payload. Supergroups need their
+// access hash; basic groups are addressed by chat id alone.
+function buildGroupPeer(group) {
+  return group.access_hash
+    ? new Api.InputPeerChannel({ channelId: bigInt(group.id), accessHash: bigInt(group.access_hash) })
+    : new Api.InputPeerChat({ chatId: bigInt(group.id) });
+}
+
+// Loads the job's account, refusing accounts deactivated or banned since queueing
+async function loadJobAccount(job) {
+  const account = await UserAccount.findByPk(job.account_id);
+  if (!account) {
+    throw new Error('Account no longer exists');
+  }
+  if (!account.is_active || account.is_banned) {
+    throw new Error(`Account ${account.phone} is inactive or banned`);
+  }
+  return account;
+}
+
+const JOB_TYPES = {
+  create_group: {
+    auditAction: 'group.create',
+
+    async run(job, context) {
+      const account = await loadJobAccount(job);
+      const options = { ...DEFAULT_GROUP_OPTIONS, ...job.payload };
+      const groupName = options.group_name;
+
+      await context.update(
+        context.t('createGroup.creating', { name: groupName, phone: account.phone }),
+        { force: true }
+      );
+
+      const profile = await getPermissionProfile(options.permission_profile_id);
+      options.permission_profile_name = formatPermissionProfile(profile, context.locale);
+
+      const quotaDay = getQuotaDay();
+      await reserveQuota(job.user_id, 'groups');
+
+      const manager = accountClients.acquire(account);
+      const callOptions = { onWait: reportRateLimit(context, account) };
+      let created = false;
+      try {
+        const photo = options.photo_file_id ? await downloadBotFile(options.photo_file_id) : null;
+        await context.throwIfCancelled();
+
+        const result = await manager.createGroupWithFeatures(groupName, {
+          about: options.about,
+          photo,
+          welcomeMessageText: options.welcome_text || '',
+          sendWelcomeMessage: Boolean(options.welcome_text),
+          chatHistoryVisible: options.history_visible,
+          permissionProfile: profile
+        }, callOptions);
+        if (!result.success) {
+          throw new Error(`Failed to create group: ${result.error || 'Unknown error'}`);
+        }
+        created = true;
+
+        await account.update({ last_used: new Date() });
+        const group = await recordCreatedGroup(account, result, job.user_id, {
+          permission_profile_id: profile ? profile.id : null,
+          about: options.about,
+          history_visible: options.history_visible
+        });
+
+        const keyboard = [
+          [Markup.button.url(context.tPlain('createGroup.openGroupButton'), result.invite_link)],
+          [Markup.button.callback(context.tPlain('createGroup.copyLinkButton'), `copy_${result.invite_link}`)],
+          [
+            Markup.button.callback(context.tPlain('common.listAccountsButton'), 'list_accounts'),
+            Markup.button.callback(context.tPlain('createGroup.createAnotherButton'), 'create_another')
+          ],
+          ...(group ? [[Markup.button.callback(context.tPlain('editGroup.groupDetailsButton'), `mygroup_${group.id}`)]] : []),
+          [Markup.button.callback(context.tPlain('common.mainMenuButton'), 'main_menu')]
+        ];
+
+        return {
+          result: { chat_id: result.chat_id, group_id: group ? group.id : null },
+          text: context.t('createGroup.created', {
+            name: groupName,
+            chatId: result.chat_id,
+            phone: account.phone,
+            features: formatGroupFeatures(options, context.locale)
+          }),
+          keyboard: Markup.inlineKeyboard(keyboard)
+        };
+      } finally {
+        await accountClients.release(manager);
+        if (!created) {
+          await refundQuota(job.user_id, 'groups', 1, quotaDay);
+        }
+      }
+    }
+  },
+
+  send_message: {
+    auditAction: 'message.send',
+
+    async run(job, context) {
+      const account = await loadJobAccount(job);
+      const messageText = job.payload.message_text;
+
+      await context.update(
+        job.payload.groups
+          ? context.t('sendMessage.starting', {
+            phone: account.phone,
+            message: messageText.substring(0, 50),
+            count: job.payload.groups.length
+          })
+          : context.t('sendMessage.checkingGroups', { phone: account.phone, message: messageText.substring(0, 50) }),
+        { force: true }
+      );
+
+      const manager = accountClients.acquire(account);
+      const callOptions = { onWait: reportRateLimit(context, account) };
+      // One message per target group counts against the quota; undelivered ones are refunded
+      let quotaDay = null;
+      let reserved = 0;
+      let delivered = 0;
+      try {
+        // Groups picked in the preview step; older jobs target every group found
+        const targets = job.payload.groups || await manager.getSelfCreatedGroups(callOptions);
+        const groups = targets.map(group => ({ ...group, peer: buildGroupPeer(group) }));
+
+        if (!groups.length) {
+          return {
+            result: { groups: 0 },
+            text: context.t('sendMessage.noGroups', { phone: account.phone })
+          };
+        }
+
+        await context.throwIfCancelled();
+
+        quotaDay = getQuotaDay();
+        await reserveQuota(job.user_id, 'messages', groups.length);
+        reserved = groups.length;
+
+        const renderProgress = (done) => context.t('sendMessage.progress', {
+          phone: account.phone,
+          message: messageText.substring(0, 50),
+          count: groups.length,
+          done,
+          percent: Math.round((done / groups.length) * 100)
+        });
+
+        await context.setProgress(0, groups.length);
+        await context.update(renderProgress(0), { force: true });
+
+        const message = job.payload.message || { text: messageText, entities: [], media: [] };
+        const media = [];
+        for (const item of message.media) {
+          media.push({ ...item, data: await downloadBotFile(item.file_id) });
+        }
+        await context.throwIfCancelled();
+
+        const content = { text: message.text, entities: toMtprotoEntities(message.entities), media };
+        const results = await manager.sendMessageToGroups(groups, content, {
+          onProgress: async (done, total) => {
+            await context.setProgress(done, total);
+            await context.update(renderProgress(done));
+          },
+          shouldStop: () => context.isCancelled()
+        }, callOptions);
+
+        const successCount = results.filter(r => r.success).length;
+        const failedCount = results.filter(r => !r.success).length;
+        delivered = successCount;
+        const skippedCount = groups.length - results.length;
+        const cancelled = skippedCount > 0;
+
+        await account.update({ last_used: new Date() });
+
+        const successRate = groups.length > 0 ? (successCount / groups.length) * 100 : 0;
+
+        const keyboard = [
+          [
+            Markup.button.callback(context.tPlain('common.listAccountsButton'), 'list_accounts'),
+            Markup.button.callback(context.tPlain('sendMessage.sendAnotherButton'), 'send_another')
+          ],
+          [Markup.button.callback(context.tPlain('common.mainMenuButton'), 'main_menu')]
+        ];
+
+        return {
+          cancelled,
+          result: { groups: groups.length, success: successCount, failed: failedCount, skipped: skippedCount },
+          text: context.t('sendMessage.summary', {
+            title: context.t(cancelled ? 'sendMessage.cancelled' : 'sendMessage.complete'),
+            phone: account.phone,
+            count: groups.length,
+            success: successCount,
+            failed: failedCount,
+            skipped: cancelled ? context.t('sendMessage.skipped', { count: skippedCount }) : '',
+            rate: successRate.toFixed(1),
+            message: messageText.substring(0, 100)
+          }),
+          keyboard: Markup.inlineKeyboard(keyboard)
+        };
+      } finally {
+        await accountClients.release(manager);
+        await refundQuota(job.user_id, 'messages', reserved - delivered, quotaDay);
+      }
+    }
+  },
+
+  apply_permissions: {
+    auditAction: 'group.permissions',
+
+    async run(job, context) {
+      const account = await loadJobAccount(job);
+      const group = await CreatedGroup.findByPk(job.payload.group_id);
+      if (!group) {
+        throw new Error('Group record no longer exists');
+      }
+      const profile = await PermissionProfile.findByPk(job.payload.profile_id);
+      if (!profile) {
+        throw new Error('Permission profile no longer exists');
+      }
+
+      await context.update(
+        context.t('groups.job.applyingPermissions', {
+          group: group.group_name,
+          profile: formatPermissionProfile(profile, context.locale),
+          phone: account.phone
+        }),
+        { force: true }
+      );
+
+      const manager = accountClients.acquire(account);
+      const callOptions = { onWait: reportRateLimit(context, account) };
+      try {
+        const channel = await resolveGroup(manager, group, callOptions);
+        await manager.applyPermissionProfile(channel, profile, callOptions);
+        await group.update({ permission_profile_id: profile.id });
+        await account.update({ last_used: new Date() });
+
+        return {
+          result: { group_id: group.id, profile_id: profile.id },
+          text: context.t('groups.job.permissionsUpdated', {
+            group: group.group_name,
+            profile: formatPermissionProfile(profile, context.locale),
+            description: profile.description || ''
+          }),
+          keyboard: Markup.inlineKeyboard([[
+            Markup.button.callback(context.tPlain('editGroup.groupDetailsButton'), `mygroup_${group.id}`)
+          ]])
+        };
+      } finally {
+        await accountClients.release(manager);
+      }
+    }
+  },
+
+  manage_group: {
+    auditAction: (job) => `group.${job.payload.action}`,
+
+    async run(job, context) {
+      const { action, value } = job.payload;
+      const account = await loadJobAccount(job);
+      const group = await CreatedGroup.findByPk(job.payload.group_id);
+      if (!group || !group.is_active) {
+        throw new Error('Group record no longer exists or the group was deleted');
+      }
+
+      await context.update(
+        context.t('groups.job.updating', { group: group.group_name, change: context.tPlain(`groups.actions.${action}`) }),
+        { force: true }
+      );
+
+      const manager = accountClients.acquire(account);
+      const callOptions = { onWait: reportRateLimit(context, account) };
+      try {
+        const channel = await resolveGroup(manager, group, callOptions);
+        let summary;
+
+        switch (action) {
+          case 'title':
+            await manager.editGroupTitle(channel, value, callOptions);
+            summary = context.t('groups.job.renamed', { from: group.group_name, to: value });
+            await group.update({ group_name: value });
+            break;
+          case 'about':
+            await manager.editGroupAbout(channel, value, callOptions);
+            await group.update({ about: value });
+            summary = value ? context.t('groups.job.aboutSet', { about: value }) : context.t('groups.job.aboutCleared');
+            break;
+          case 'history':
+            await manager.setGroupHistoryVisible(channel, value, callOptions);
+            await group.update({ history_visible: value });
+            summary = context.t(value ? 'groups.job.historyShown' : 'groups.job.historyHidden');
+            break;
+          case 'delete':
+            await manager.deleteGroup(channel, callOptions);
+            await group.update({ is_active: false });
+            invalidateGroupDiscovery(account.phone);
+            summary = context.t('groups.job.deleted', { group: group.group_name });
+            break;
+          default:
+            throw new Error(`Unknown group action: ${action}`);
+        }
+
+        await account.update({ last_used: new Date() });
+
+        return {
+          result: { group_id: group.id, action },
+          text: context.t('groups.job.updated', { summary }),
+          keyboard: Markup.inlineKeyboard([[
+            Markup.button.callback(context.tPlain('editGroup.groupDetailsButton'), `mygroup_${group.id}`)
+          ]])
+        };
+      } finally {
+        await accountClients.release(manager);
+      }
+    }
+  },
+
+  invite_link: {
+    auditAction: (job) => `invite_link.${job.payload.action}`,
+
+    async run(job, context) {
+      const { action } = job.payload;
+      const account = await loadJobAccount(job);
+      const group = await CreatedGroup.findByPk(job.payload.group_id);
+      if (!group || !group.is_active) {
+        throw new Error('Group record no longer exists or the group was deleted');
+      }
+
+      await context.update(
+        context.t('inviteLinks.job.updating', {
+          group: group.group_name,
+          change: context.tPlain(`inviteLinks.actions.${action}`)
+        }),
+        { force: true }
+      );
+
+      const manager = accountClients.acquire(account);
+      const callOptions = { onWait: reportRateLimit(context, account) };
+      try {
+        const channel = await resolveGroup(manager, group, callOptions);
+        let summary;
+
+        switch (action) {
+          case 'create': {
+            const link = await createInviteLink(manager, channel, group, job.payload.options, job.user_id, callOptions);
+            summary = context.t('inviteLinks.job.created', {
+              link: link.link,
+              terms: formatInviteLinkTerms(link, context.locale)
+            });
+            break;
+          }
+          case 'revoke': {
+            const link = await loadStoredInviteLink(group, job.payload.link_id);
+            await manager.revokeInviteLink(channel, link.link, callOptions);
+            await markInviteLinkRevoked(group, link);
+            summary = context.t('inviteLinks.job.revoked', { link: link.link });
+            break;
+          }
+          case 'replace': {
+            const link = await loadStoredInviteLink(group, job.payload.link_id);
+            const wasCurrent = group.invite_link === link.link;
+            await manager.revokeInviteLink(channel, link.link, callOptions);
+            await markInviteLinkRevoked(group, link);
+
+            const replacement = await createInviteLink(manager, channel, group, inviteLinkOptions(link), job.user_id, callOptions);
+            if (wasCurrent) {
+              await group.update({ invite_link: replacement.link });
+            }
+            summary = context.t('inviteLinks.job.replaced', {
+              link: link.link,
+              replacement: replacement.link,
+              terms: formatInviteLinkTerms(replacement, context.locale)
+            });
+            break;
+          }
+          case 'sync': {
+            const count = await syncInviteLinks(manager, channel, group, callOptions);
+            summary = context.t('inviteLinks.job.synced', { count });
+            break;
+          }
+          default:
+            throw new Error(`Unknown invite link action: ${action}`);
+        }
+
+        await account.update({ last_used: new Date() });
+
+        return {
+          result: { group_id: group.id, action },
+          text: context.t('inviteLinks.job.updated', { summary }),
+          keyboard: Markup.inlineKeyboard([[
+            Markup.button.callback(context.tPlain('groups.inviteLinksButton'), `group_links_${group.id}`)
+          ]])
+        };
+      } finally {
+        await accountClients.release(manager);
+      }
+    }
+  },
+
+  check_accounts: {
+    auditAction: 'account.health_check',
+
+    async run(job, context) {
+      const accounts = await UserAccount.findAll({
+        where: { id: job.payload.account_ids },
+        order: [['id', 'ASC']]
+      });
+
+      const counts = {};
+      const problems = [];
+
+      await context.setProgress(0, accounts.length);
+
+      for (const [i, account] of accounts.entries()) {
+        await context.throwIfCancelled();
+        await context.update(context.t('health.checking', { phone: account.phone, done: i, total: accounts.length }));
+
+        const result = await checkAccountHealth(account, jobAccountHolder(job));
+        counts[result.status] = (counts[result.status] || 0) + 1;
+        if (result.status !== 'healthy') {
+          problems.push(context.t('health.problem', {
+            phone: account.phone,
+            status: formatHealthStatus(result.status, context.locale)
+          }));
+        }
+
+        await context.setProgress(i + 1, accounts.length);
+      }
+
+      const lines = [context.t('health.complete', { count: accounts.length })];
+      for (const [status, count] of Object.entries(counts)) {
+        lines.push(context.t('health.statusCount', { status: formatHealthStatus(status, context.locale), count }));
+      }
+      if (problems.length) {
+        lines.push('', context.t('health.problems', { problems: joinHtml(problems) }));
+      }
+
+      return {
+        result: counts,
+        text: joinHtml(lines),
+        keyboard: Markup.inlineKeyboard([[Markup.button.callback(context.tPlain('common.listAccountsButton'), 'list_accounts')]])
+      };
+    }
+  }
+};
+
+// Account health checks
+const HEALTH_CHECK_INTERVAL_HOURS = parseFloat(process.env.HEALTH_CHECK_INTERVAL_HOURS || '0');
+
+// Statuses that mean the stored session can never work again
+const DEAD_HEALTH_STATUSES = ['AUTH_KEY_UNREGISTERED', 'USER_DEACTIVATED', 'SESSION_REVOKED'];
+
+let healthCheckTimer = null;
+
+const HEALTH_STATUSES = ['healthy', 'error', ...DEAD_HEALTH_STATUSES];
+
+function formatHealthStatus(status, locale) {
+  return HEALTH_STATUSES.includes(status) ? tPlain(locale, `health.statuses.${status}`) : status;
+}
+
+function formatAccountHealth(account, locale) {
+  if (!account.health_status) return tPlain(locale, 'health.notChecked');
+
+  const status = formatHealthStatus(account.health_status, locale);
+  return account.last_checked_at
+    ? tPlain(locale, 'health.checkedAt', { status, time: formatDateTime(account.last_checked_at, locale) })
+    : status;
+}
+
+// Probes one account and stores the outcome. Dead sessions are deactivated,
+// deactivated Telegram users are also banned; a healthy result only undoes
+// what an earlier health check did, never a manual admin action.
+async function checkAccountHealth(account, holder = { operation: 'check_accounts' }) {
+  const result = await runAccountOperation(account.id, holder, async () => {
+    const manager = accountClients.acquire(account);
+    try {
+      return account.session_string
+        ? await manager.checkHealth()
+        : { status: 'AUTH_KEY_UNREGISTERED', error: 'No stored session' };
+    } finally {
+      await accountClients.release(manager);
+    }
+  });
+  if (DEAD_HEALTH_STATUSES.includes(result.status)) {
+    await accountClients.evict(account.id);
+  }
+
+  const previous = account.health_status;
+  const update = {
+    health_status: result.status,
+    last_checked_at: new Date()
+  };
+
+  switch (result.status) {
+    case 'healthy':
+      update.status_reason = null;
+      if (DEAD_HEALTH_STATUSES.includes(previous)) {
+        update.is_active = true;
+        if (previous === 'USER_DEACTIVATED') update.is_banned = false;
+      }
+      break;
+
+    case 'USER_DEACTIVATED':
+      update.is_active = false;
+      update.is_banned = true;
+      update.status_reason = `Telegram account deactivated: ${result.error}`;
+      break;
+
+    case 'AUTH_KEY_UNREGISTERED':
+    case 'SESSION_REVOKED':
+      update.is_active = false;
+      update.status_reason = `Session no longer authorized: ${result.error}`;
+      break;
+
+    default:
+      // Network problems and the like say nothing about the session; keep the flags
+      update.status_reason = `Health check error: ${result.error}`;
+  }
+
+  await account.update(update);
+  if (result.status !== 'healthy') {
+    logger.warn(`Health check for ${account.phone}: ${result.status} (${result.error})`);
+  }
+  return result;
+}
+
+async function runPeriodicHealthCheck() {
+  const accounts = await UserAccount.findAll({ where: { is_banned: false } });
+  const counts = {};
+
+  for (const account of accounts) {
+    try {
+      const result = await checkAccountHealth(account);
+      counts[result.status] = (counts[result.status] || 0) + 1;
+    } catch (error) {
+      logger.error(`Periodic health check failed for ${account.phone}:`, error);
+    }
+  }
+
+  logger.info(`🩺 Periodic health check: ${JSON.stringify(counts)}`);
+}
+
+function startHealthChecks() {
+  if (!HEALTH_CHECK_INTERVAL_HOURS) return;
+
+  healthCheckTimer = setInterval(() => {
+    runPeriodicHealthCheck().catch(error => logger.error('Periodic health check failed:', error));
+  }, HEALTH_CHECK_INTERVAL_HOURS * 60 * 60 * 1000);
+  logger.info(`🩺 Account health checks every ${HEALTH_CHECK_INTERVAL_HOURS}h`);
+}
+
+function stopHealthChecks() {
+  if (healthCheckTimer) {
+    clearInterval(healthCheckTimer);
+    healthCheckTimer = null;
+  }
+}
+
+// Create bot scenes
+const addAccountScene = new BaseScene('addAccount');
+const createBulkScene = new BaseScene('createBulk');
+const createSingleScene = new BaseScene('createSingle');
+const createMultiScene = new BaseScene('createMulti');
+const sendMessageScene = new BaseScene('sendMessage');
+const editGroupScene = new BaseScene('editGroup');
+
+// Stores a freshly authorized session and ends the /addaccount flow
+async function finishAccountLogin(ctx, account, successText) {
+  const userId = ctx.from.id;
+  const sessionData = await getUserSession(userId);
+
+  try {
+    // Phone logins are checked before the code is sent; QR logins only now
+    const existingAccount = await UserAccount.findOne({ where: { phone: account.phone } });
+    if (existingAccount) {
+      await account.logOut();
+      await recordAudit(ctx.from, 'account.add', {
+        account: existingAccount,
+        outcome: 'failure',
+        error: 'Phone number already exists',
+        details: { login_method: sessionData.login_method || 'phone' }
+      });
+      await clearUserSession(userId);
+      await ctx.reply(ctx.t('addAccount.phoneTakenSignedOut', { phone: account.phone }));
+      return ctx.scene.leave();
+    }
+
+    // Checked again here because another login may have finished meanwhile
+    try {
+      await checkQuota(userId, 'accounts');
+    } catch (quotaError) {
+      if (!(quotaError instanceof QuotaExceededError)) throw quotaError;
+      await account.logOut();
+      await recordAudit(ctx.from, 'account.add', {
+        outcome: 'failure',
+        error: quotaError,
+        details: { phone: account.phone, login_method: sessionData.login_method || 'phone' }
+      });
+      await clearUserSession(userId);
+      await ctx.reply(html`📛 ${formatQuotaError(quotaError, ctx.locale)}\n${ctx.t('addAccount.signedOutAgain')}`);
+      return ctx.scene.leave();
+    }
+
+    // Save account to database
+    const created = await UserAccount.create({
+      phone: account.phone,
+      api_id: sessionData.api_id,
+      api_hash: sessionData.api_hash,
+      session_string: account.session_string,
+      is_active: true,
+      owner_user_id: userId,
+      owner_username: getUsernameFromCtx(ctx)
+    });
+    await recordAudit(ctx.from, 'account.add', {
+      account: created,
+      details: { login_method: sessionData.login_method || 'phone' }
+    });
+  } finally {
+    await account.disconnect().catch(() => {});
+  }
+
+  await clearUserSession(userId);
+  await ctx.reply(successText);
+  return ctx.scene.leave();
+}
+
+const QR_LOGIN_TIMEOUT_MS = 3 * 60 * 1000;
+
+async function sendQrCode(ctx, url, previousMessage) {
+  const image = await QRCode.toBuffer(url, { width: 512, margin: 2 });
+  const caption = ctx.t('addAccount.qrCaption');
+
+  if (previousMessage) {
+    try {
+      await ctx.telegram.editMessageMedia(
+        previousMessage.chat.id,
+        previousMessage.message_id,
+        null,
+        { type: 'photo', media: { source: image }, caption }
+      );
+      return previousMessage;
+    } catch (error) {
+      logger.warn(`Could not refresh QR code: ${error.message}`);
+    }
+  }
+
+  return ctx.replyWithPhoto({ source: image }, { caption });
+}
+
+// Shows QR codes until one is scanned, the flow is cancelled, or it times out.
+// Tokens live about 30 seconds, so a new one is exported whenever one expires.
+async function runQrLogin(ctx, account) {
+  const userId = ctx.from.id;
+  const deadline = Date.now() + QR_LOGIN_TIMEOUT_MS;
+  let qrMessage = null;
+
+  while (Date.now() < deadline) {
+    const session = await getUserSession(userId);
+    if (session.account !== account) {
+      // Cancelled or restarted with /addaccount
+      await account.disconnect().catch(() => {});
+      return;
+    }
+
+    const result = await account.exportLoginToken();
+
+    if (result.requires2FA) {
+      await setUserSession(userId, 'step', 'password');
+      await ctx.reply(ctx.t('addAccount.qrPasswordPrompt'));
+      return;
+    }
+
+    if (!result.success) {
+      await account.disconnect().catch(() => {});
+      await clearUserSession(userId);
+      await recordAudit(ctx.from, 'account.add', {
+        outcome: 'failure',
+        error: result.error,
+        details: { login_method: 'qr' }
+      });
+      await ctx.reply(ctx.t('addAccount.qrFailed', { error: result.error }));
+      await leaveSceneInBackground(ctx, addAccountScene.id);
+      return;
+    }
+
+    if (result.authorized) {
+      await finishAccountLogin(ctx, account, ctx.t('addAccount.addedViaQr'));
+      await leaveSceneInBackground(ctx, addAccountScene.id);
+      return;
+    }
+
+    qrMessage = await sendQrCode(ctx, result.url, qrMessage);
+
+    const expiresIn = Math.max(result.expires.getTime() - Date.now(), 5000);
+    await account.waitForLoginTokenScan(Math.min(expiresIn, deadline - Date.now()));
+  }
+
+  await account.disconnect().catch(() => {});
+  await clearUserSession(userId);
+  await ctx.reply(ctx.t('addAccount.qrTimedOut'));
+  await leaveSceneInBackground(ctx, addAccountScene.id);
+}
+
+// Add Account Scene
+addAccountScene.enter(async (ctx) => {
+  await clearUserSession(ctx.from.id);
+  if (await replyIfQuotaReached(ctx, 'accounts')) {
+    return ctx.scene.leave();
+  }
+  await setUserSession(ctx.from.id, 'step', 'api_id');
+  
+  await ctx.reply(ctx.t('addAccount.intro'));
+});
+
+addAccountScene.command('cancel', async (ctx) => {
+  const session = await getUserSession(ctx.from.id);
+  if (session.account) {
+    await session.account.disconnect().catch(() => {});
+  }
+  await clearUserSession(ctx.from.id);
+  await ctx.reply(ctx.t('common.cancelled'));
+  return ctx.scene.leave();
+});
+
+addAccountScene.on('text', async (ctx) => {
+  const userId = ctx.from.id;
+  const session = await getUserSession(userId);
+  const step = session.step;
+  const text = ctx.message.text.trim();
+
+  switch (step) {
+    case 'api_id':
+      if (!/^\d+$/.test(text)) {
+        await ctx.reply(ctx.t('addAccount.invalidApiId'));
+        return;
+      }
+      await setUserSession(userId, 'api_id', text);
+      await setUserSession(userId, 'step', 'api_hash');
+      await ctx.reply(ctx.t('addAccount.apiHashPrompt'));
+      break;
+
+    case 'api_hash':
+      if (text.length < 10) {
+        await ctx.reply(ctx.t('addAccount.invalidApiHash'));
+        return;
+      }
+      await setUserSession(userId, 'api_hash', text);
+      await setUserSession(userId, 'step', 'login_method');
+      await ctx.reply(
+        ctx.t('addAccount.loginMethodPrompt'),
+        Markup.inlineKeyboard([
+          [Markup.button.callback(ctx.tPlain('addAccount.phoneLoginButton'), 'login_method_phone')],
+          [Markup.button.callback(ctx.tPlain('addAccount.qrLoginButton'), 'login_method_qr')]
+        ])
+      );
+      break;
+
+    case 'login_method':
+      await ctx.reply(ctx.t('addAccount.chooseLoginMethod'));
+      break;
+
+    case 'qr_waiting':
+      await ctx.reply(ctx.t('addAccount.qrWaiting'));
+      break;
+
+    case 'phone':
+      if (!/^\+[1-9]\d{1,14}$/.test(text)) {
+        await ctx.reply(ctx.t('addAccount.invalidPhone'));
+        return;
+      }
+
+      // Check if phone already exists
+      const existingAccount = await UserAccount.findOne({ where: { phone: text } });
+      if (existingAccount) {
+        if (existingAccount.owner_user_id === userId || hasCapability(userId, 'use_all_accounts')) {
+          await ctx.reply(ctx.t('addAccount.phoneAlreadyYours', { phone: text }));
+          return ctx.scene.leave();
+        } else {
+          await ctx.reply(ctx.t('addAccount.phoneTaken', { phone: text }));
+          return ctx.scene.leave();
+        }
+      }
+
+      await setUserSession(userId, 'phone', text);
+      
+      const sessionData = await getUserSession(userId);
+      if (!sessionData.api_id || !sessionData.api_hash) {
+        await ctx.reply(ctx.t('common.sessionExpiredCommand', { command: '/addaccount' }));
+        return ctx.scene.leave();
+      }
+
+      // Initialize UserAccountManager and send code
+      const account = new UserAccountManager(
+        text,
+        sessionData.api_id,
+        sessionData.api_hash
+      );
+
+      const codeResult = await account.sendCode();
+      if (codeResult.success) {
+        await setUserSession(userId, 'account', account);
+        await setUserSession(userId, 'phoneCodeHash', codeResult.phoneCodeHash);
+        await setUserSession(userId, 'step', 'code');
+        
+        await ctx.reply(ctx.t('addAccount.codeSent'));
+      } else if (codeResult.pausedUntil) {
+        await ctx.reply(ctx.t('addAccount.codePaused', {
+          phone: text,
+          until: formatDateTime(codeResult.pausedUntil, ctx.locale)
+        }));
+        return ctx.scene.leave();
+      } else if (codeResult.rateLimited) {
+        await ctx.reply(ctx.t('rateLimit.tryLater', { phone: text }));
+        return ctx.scene.leave();
+      } else {
+        await recordAudit(ctx.from, 'account.add', {
+          outcome: 'failure',
+          error: codeResult.error || 'Failed to send code',
+          details: { phone: text, step: 'send_code' }
+        });
+        await ctx.reply(ctx.t('addAccount.codeFailed'));
+        return ctx.scene.leave();
+      }
+      break;
+
+    case 'code':
+      // Codes are 5 or 6 digits; allow separators so Telegram doesn't expire a code pasted verbatim
+      const code = text.replace(/[\s-]/g, '');
+      if (!/^\d{5,6}$/.test(code)) {
+        await ctx.reply(ctx.t('addAccount.invalidCodeFormat'));
+        return;
+      }
+
+      const userSession = await getUserSession(userId);
+      if (!userSession.account || !userSession.phoneCodeHash) {
+        await ctx.reply(ctx.t('common.sessionExpired'));
+        return ctx.scene.leave();
+      }
+
+      const signInResult = await userSession.account.signIn(code, userSession.phoneCodeHash);
+      
+      if (signInResult.success) {
+        return finishAccountLogin(ctx, userSession.account, ctx.t('addAccount.added'));
+      } else if (signInResult.requires2FA) {
+        await setUserSession(userId, 'step', 'password');
+        await ctx.reply(ctx.t('addAccount.passwordPrompt'));
+      } else {
+        await recordAudit(ctx.from, 'account.add', {
+          outcome: 'failure',
+          error: signInResult.error || 'Invalid code',
+          details: { phone: userSession.account.phone, step: 'code' }
+        });
+        await ctx.reply(ctx.t('addAccount.invalidCode'));
+        return ctx.scene.leave();
+      }
+      break;
+
+    case 'password':
+      const sessionData2 = await getUserSession(userId);
+      if (!sessionData2.account) {
+        await ctx.reply(ctx.t('common.sessionExpired'));
+        return ctx.scene.leave();
+      }
+
+      const passwordResult = await sessionData2.account.signInWithPassword(text);
+      
+      if (passwordResult.success) {
+        // QR logins only learn the phone number once fully authorized
+        if (!sessionData2.account.phone || sessionData2.login_method === 'qr') {
+          await sessionData2.account.fetchPhone();
+        }
+        return finishAccountLogin(ctx, sessionData2.account, ctx.t('addAccount.addedWith2fa'));
+      } else {
+        await recordAudit(ctx.from, 'account.add', {
+          outcome: 'failure',
+          error: passwordResult.error || 'Invalid password',
+          details: { phone: sessionData2.account.phone, step: 'password' }
+        });
+        await ctx.reply(ctx.t('addAccount.invalidPassword'));
+        return ctx.scene.leave();
+      }
+      break;
+  }
+});
+
+addAccountScene.action('login_method_phone', async (ctx) => {
+  await ctx.answerCbQuery();
+  const session = await getUserSession(ctx.from.id);
+  if (session.step !== 'login_method') return;
+
+  await setUserSession(ctx.from.id, 'login_method', 'phone');
+  await setUserSession(ctx.from.id, 'step', 'phone');
+  await ctx.editMessageText(ctx.t('addAccount.phonePrompt'));
+});
+
+addAccountScene.action('login_method_qr', async (ctx) => {
+  await ctx.answerCbQuery();
+  const userId = ctx.from.id;
+  const session = await getUserSession(userId);
+  if (session.step !== 'login_method') return;
+
+  if (!session.api_id || !session.api_hash) {
+    await ctx.editMessageText(ctx.t('common.sessionExpiredCommand', { command: '/addaccount' }));
+    return ctx.scene.leave();
+  }
+
+  // The phone number is unknown until the token is accepted; key the rate limiter per user meanwhile
+  const account = new UserAccountManager(`qr-login:${userId}`, session.api_id, session.api_hash);
+  await setUserSession(userId, 'account', account);
+  await setUserSession(userId, 'login_method', 'qr');
+  await setUserSession(userId, 'step', 'qr_waiting');
+
+  await ctx.editMessageText(ctx.t('addAccount.qrIntro'));
+
+  // Polling runs in the background so the update handler returns immediately
+  runQrLogin(ctx, account).catch(async (error) => {
+    logger.error('QR login flow failed:', error);
+    await account.disconnect().catch(() => {});
+    await clearUserSession(userId);
+    await ctx.reply(ctx.t('addAccount.qrFailed', { error: error.message })).catch(() => {});
+    await leaveSceneInBackground(ctx, addAccountScene.id).catch(() => {});
+  });
+});
+
+// Create Single Group Scene
+createSingleScene.enter(async (ctx) => {
+  const userId = ctx.from.id;
+  
+  let accounts;
+  if (hasCapability(userId, 'use_all_accounts')) {
+    accounts = await UserAccount.findAll({
+      where: { is_active: true, is_banned: false }
+    });
+  } else {
+    accounts = await UserAccount.findAll({
+      where: { owner_user_id: userId, is_active: true, is_banned: false }
+    });
+  }
+
+  if (!accounts.length) {
+    await ctx.reply(ctx.t('common.noActiveAccountsAddFirst'));
+    return ctx.scene.leave();
+  }
+
+  await setUserSession(userId, 'accounts', accounts);
+  await setUserSession(userId, 'mode', 'single');
+
+  const keyboard = accounts.map((acc, i) => [
+    Markup.button.callback(
+      `${i + 1}. ${acc.phone}${getUserRole(acc.owner_user_id) === 'admin' ? ' 👑' : ''}`,
+      `select_acc_${i}`
+    )
+  ]);
+
+  keyboard.push([Markup.button.callback(ctx.tPlain('common.cancelButton'), 'cancel_selection')]);
+
+  const adminNote = hasCapability(userId, 'use_all_accounts') ? ctx.t('common.allAccountsNote') : '';
+  
+  await ctx.reply(
+    ctx.t('createGroup.selectAccount', { note: adminNote, count: accounts.length }),
+    Markup.inlineKeyboard(keyboard)
+  );
+});
+
+createSingleScene.action(/select_acc_(\d+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  
+  const userId = ctx.from.id;
+  const accIndex = parseInt(ctx.match[1]);
+  
+  const session = await getUserSession(userId);
+  const accounts = session.accounts || [];
+  
+  if (accIndex >= accounts.length) {
+    await ctx.editMessageText(ctx.t('common.invalidAccountSelection'));
+    return ctx.scene.leave();
+  }
+  
+  const selectedAccount = accounts[accIndex];
+  
+  // Check ownership for non-admin users
+  if (!hasCapability(userId, 'use_all_accounts') && selectedAccount.owner_user_id !== userId) {
+    await ctx.editMessageText(ctx.t('common.noAccountPermission'));
+    return ctx.scene.leave();
+  }
+
+  if (await replyIfAccountBusy(ctx, selectedAccount, 'create_group_setup')) return;
+  
+  await setUserSession(userId, 'selected_account', selectedAccount);
+  await setUserSession(userId, 'wizard', await newWizardState(ctx.locale));
+  
+  await showWizardStep(ctx, 'title', true);
+});
+
+// Group creation wizard
+// Every step is optional: sending nothing and tapping skip keeps the default,
+// and "Skip to Summary" accepts the defaults for all remaining steps.
+const WIZARD_STEPS = ['title', 'about', 'photo', 'welcome', 'settings', 'summary'];
+
+function nextWizardStep(step) {
+  return WIZARD_STEPS[WIZARD_STEPS.indexOf(step) + 1];
+}
+
+async function newWizardState(locale) {
+  const profile = await getPermissionProfile(null);
+  return {
+    ...DEFAULT_GROUP_OPTIONS,
+    group_name: generateGroupName(),
+    permission_profile_id: profile ? profile.id : null,
+    permission_profile_name: formatPermissionProfile(profile, locale)
+  };
+}
+
+function wizardNavigationRow(ctx, step) {
+  return [
+    Markup.button.callback(ctx.tPlain('createGroup.skipButton'), `wizard_skip_${step}`),
+    Markup.button.callback(ctx.tPlain('createGroup.summaryButton'), 'wizard_summary')
+  ];
+}
+
+// Lists every profile with its description; the selected one is ticked
+async function buildPermissionProfileMenu(selected, callbackPrefix, locale) {
+  const profiles = await PermissionProfile.findAll({ order: [['id', 'ASC']] });
+
+  const text = joinHtml(
+    profiles.map(profile => html`<b>${formatPermissionProfile(profile, locale)}</b>\n${profile.description || ''}`),
+    '\n\n'
+  );
+  const keyboard = profiles.map(profile => [
+    Markup.button.callback(
+      `${selected && selected.id === profile.id ? '✅ ' : ''}${profile.name}`,
+      `${callbackPrefix}_${profile.id}`
+    )
+  ]);
+
+  return { text, keyboard };
+}
+
+async function showWizardStep(ctx, step, edit = false) {
+  const userId = ctx.from.id;
+  const session = await getUserSession(userId);
+  const wizard = session.wizard;
+  await setUserSession(userId, 'step', `wizard_${step}`);
+
+  let text;
+  let keyboard;
+
+  const profileName = wizard.permission_profile_name || ctx.tPlain('createGroup.defaultProfile');
+
+  switch (step) {
+    case 'title':
+      text = ctx.t('createGroup.titleStep', { phone: session.selected_account.phone, title: wizard.group_name });
+      keyboard = [wizardNavigationRow(ctx, step)];
+      break;
+
+    case 'about':
+      text = ctx.t('createGroup.aboutStep');
+      keyboard = [wizardNavigationRow(ctx, step)];
+      break;
+
+    case 'photo':
+      text = ctx.t('createGroup.photoStep');
+      keyboard = [wizardNavigationRow(ctx, step)];
+      break;
+
+    case 'welcome':
+      text = ctx.t('createGroup.welcomeStep', {
+        current: wizard.welcome_text ? `'${wizard.welcome_text}'` : ctx.t('createGroup.noWelcome')
+      });
+      keyboard = [
+        [Markup.button.callback(ctx.tPlain('createGroup.defaultWelcomeButton'), 'wizard_welcome_default')],
+        [Markup.button.callback(ctx.tPlain('createGroup.noWelcomeButton'), 'wizard_welcome_none')],
+        [Markup.button.callback(ctx.tPlain('createGroup.summaryButton'), 'wizard_summary')]
+      ];
+      break;
+
+    case 'settings':
+      text = ctx.t('createGroup.settingsStep');
+      keyboard = [
+        [Markup.button.callback(
+          ctx.tPlain('createGroup.historyButton', { mark: wizard.history_visible ? '✅' : '❌' }),
+          'wizard_toggle_history'
+        )],
+        [Markup.button.callback(
+          ctx.tPlain('createGroup.permissionsButton', { profile: profileName }),
+          'wizard_profiles'
+        )],
+        [Markup.button.callback(ctx.tPlain('createGroup.continueButton'), 'wizard_summary')]
+      ];
+      break;
+
+    case 'summary':
+      text = ctx.t('createGroup.summary', {
+        phone: session.selected_account.phone,
+        title: wizard.group_name,
+        about: wizard.about || ctx.t('createGroup.blank'),
+        photo: wizard.photo_file_id ? ctx.t('createGroup.photoUploaded') : ctx.t('createGroup.none'),
+        welcome: wizard.welcome_text ? `'${wizard.welcome_text}'` : ctx.t('createGroup.none'),
+        history: wizard.history_visible ? ctx.t('common.yes') : ctx.t('common.no'),
+        profile: profileName
+      });
+      keyboard = [
+        [Markup.button.callback(ctx.tPlain('createGroup.createButton'), 'wizard_confirm')],
+        [Markup.button.callback(ctx.tPlain('createGroup.startOverButton'), 'wizard_restart')],
+        [Markup.button.callback(ctx.tPlain('common.cancelButton'), 'cancel_selection')]
+      ];
+      break;
+  }
+
+  if (edit) {
+    await ctx.editMessageText(text, Markup.inlineKeyboard(keyboard));
+  } else {
+    await ctx.reply(text, Markup.inlineKeyboard(keyboard));
+  }
+}
+
+async function updateWizard(userId, changes) {
+  const session = await getUserSession(userId);
+  await setUserSession(userId, 'wizard', { ...session.wizard, ...changes });
+}
+
+// Guards wizard callbacks against stale buttons from a finished flow
+async function getActiveWizard(ctx) {
+  const session = await getUserSession(ctx.from.id);
+  if (!session.wizard || !session.selected_account) {
+    await ctx.editMessageText(ctx.t('common.sessionExpiredCommand', { command: '/creategroup' }));
+    await ctx.scene.leave();
+    return null;
+  }
+  return session;
+}
+
+createSingleScene.command('cancel', async (ctx) => {
+  await clearUserSession(ctx.from.id);
+  await ctx.reply(ctx.t('common.cancelled'));
+  return ctx.scene.leave();
+});
+
+createSingleScene.on('text', async (ctx) => {
+  const userId = ctx.from.id;
+  const session = await getUserSession(userId);
+  const text = ctx.message.text.trim();
+
+  switch (session.step) {
+    case 'wizard_title':
+      if (!text || text.length > 128) {
+        await ctx.reply(ctx.t('createGroup.invalidTitle'));
+        return;
+      }
+      await updateWizard(userId, { group_name: text });
+      await showWizardStep(ctx, 'about');
+      break;
+
+    case 'wizard_about':
+      if (text.length > 255) {
+        await ctx.reply(ctx.t('createGroup.aboutTooLong'));
+        return;
+      }
+      await updateWizard(userId, { about: text });
+      await showWizardStep(ctx, 'photo');
+      break;
+
+    case 'wizard_photo':
+      await ctx.reply(ctx.t('createGroup.photoExpected'));
+      break;
+
+    case 'wizard_welcome':
+      if (text.length > 4096) {
+        await ctx.reply(ctx.t('createGroup.welcomeTooLong'));
+        return;
+      }
+      await updateWizard(userId, { welcome_text: text });
+      await showWizardStep(ctx, 'settings');
+      break;
+
+    default:
+      if (session.step && session.step.startsWith('wizard_')) {
+        await ctx.reply(ctx.t('common.useButtons'));
+      }
+  }
+});
+
+createSingleScene.on('photo', async (ctx) => {
+  const session = await getUserSession(ctx.from.id);
+  if (session.step !== 'wizard_photo') return;
+
+  // Telegram lists sizes smallest first
+  const photo = ctx.message.photo[ctx.message.photo.length - 1];
+  await updateWizard(ctx.from.id, { photo_file_id: photo.file_id });
+  await ctx.reply(ctx.t('createGroup.photoSaved'));
+  await showWizardStep(ctx, 'welcome');
+});
+
+createSingleScene.action(/^wizard_skip_(title|about|photo)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  if (!await getActiveWizard(ctx)) return;
+  await showWizardStep(ctx, nextWizardStep(ctx.match[1]), true);
+});
+
+createSingleScene.action('wizard_welcome_default', async (ctx) => {
+  await ctx.answerCbQuery();
+  if (!await getActiveWizard(ctx)) return;
+  await updateWizard(ctx.from.id, { welcome_text: DEFAULT_GROUP_OPTIONS.welcome_text });
+  await showWizardStep(ctx, 'settings', true);
+});
+
+createSingleScene.action('wizard_welcome_none', async (ctx) => {
+  await ctx.answerCbQuery();
+  if (!await getActiveWizard(ctx)) return;
+  await updateWizard(ctx.from.id, { welcome_text: null });
+  await showWizardStep(ctx, 'settings', true);
+});
+
+createSingleScene.action('wizard_toggle_history', async (ctx) => {
+  await ctx.answerCbQuery();
+  const session = await getActiveWizard(ctx);
+  if (!session) return;
+
+  await updateWizard(ctx.from.id, { history_visible: !session.wizard.history_visible });
+  await showWizardStep(ctx, 'settings', true);
+});
+
+createSingleScene.action('wizard_profiles', async (ctx) => {
+  await ctx.answerCbQuery();
+  const session = await getActiveWizard(ctx);
+  if (!session) return;
+
+  const selected = await getPermissionProfile(session.wizard.permission_profile_id);
+  const { text, keyboard } = await buildPermissionProfileMenu(selected, 'wizard_profile', ctx.locale);
+  keyboard.push([Markup.button.callback(ctx.tPlain('common.back'), 'wizard_settings')]);
+
+  await ctx.editMessageText(
+    ctx.t('createGroup.permissionsMenu', { profiles: text }),
+    Markup.inlineKeyboard(keyboard)
+  );
+});
+
+createSingleScene.action(/^wizard_profile_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  if (!await getActiveWizard(ctx)) return;
+
+  const profile = await PermissionProfile.findByPk(ctx.match[1]);
+  if (profile) {
+    await updateWizard(ctx.from.id, {
+      permission_profile_id: profile.id,
+      permission_profile_name: formatPermissionProfile(profile, ctx.locale)
+    });
+  }
+  await showWizardStep(ctx, 'settings', true);
+});
+
+createSingleScene.action('wizard_settings', async (ctx) => {
+  await ctx.answerCbQuery();
+  if (!await getActiveWizard(ctx)) return;
+  await showWizardStep(ctx, 'settings', true);
+});
+
+createSingleScene.action('wizard_summary', async (ctx) => {
+  await ctx.answerCbQuery();
+  if (!await getActiveWizard(ctx)) return;
+  await showWizardStep(ctx, 'summary', true);
+});
+
+createSingleScene.action('wizard_restart', async (ctx) => {
+  await ctx.answerCbQuery();
+  if (!await getActiveWizard(ctx)) return;
+  await setUserSession(ctx.from.id, 'wizard', await newWizardState(ctx.locale));
+  await showWizardStep(ctx, 'title', true);
+});
+
+createSingleScene.action('wizard_confirm', async (ctx) => {
+  await ctx.answerCbQuery();
+  const session = await getActiveWizard(ctx);
+  if (!session) return;
+
+  const userId = ctx.from.id;
+  const selectedAccount = session.selected_account;
+  const wizard = session.wizard;
+
+  if (await replyIfQuotaReached(ctx, 'groups', 1, true)) {
+    await clearUserSession(userId);
+    return ctx.scene.leave();
+  }
+
+  const job = await enqueueJob({
+    type: 'create_group',
+    userId,
+    chatId: ctx.chat.id,
+    locale: ctx.locale,
+    statusMessageId: ctx.callbackQuery.message.message_id,
+    accountId: selectedAccount.id,
+    payload: wizard
+  });
+  
+  await clearUserSession(userId);
+  await ctx.editMessageText(
+    ctx.t('createGroup.queued', { phone: selectedAccount.phone, title: wizard.group_name, id: job.id }),
+    jobCancelKeyboard(job, ctx.locale)
+  );
+  
+  return ctx.scene.leave();
+});
+
+createSingleScene.action('cancel_selection', async (ctx) => {
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(ctx.t('common.cancelled'));
+  return ctx.scene.leave();
+});
+
+// Whatever way the flow ends, the account it picked is free for others again
+createSingleScene.leave(async (ctx, next) => {
+  releaseAccountHolds(ctx.from.id);
+  await next();
+});
+
+// Send Message Scene
+sendMessageScene.enter(async (ctx) => {
+  await ctx.reply(
+    ctx.t('sendMessage.intro'),
+    Markup.inlineKeyboard([
+      [Markup.button.callback(ctx.tPlain('sendMessage.singleAccountButton'), 'msg_single')],
+      [Markup.button.callback(ctx.tPlain('sendMessage.multipleAccountsButton'), 'msg_multi')],
+      [Markup.button.callback(ctx.tPlain('common.cancelButton'), 'cancel_selection')]
+    ])
+  );
+});
+
+sendMessageScene.action('msg_single', async (ctx) => {
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(ctx.t('sendMessage.chooseAccount'));
+  
+  const userId = ctx.from.id;
+  
+  let accounts;
+  if (hasCapability(userId, 'use_all_accounts')) {
+    accounts = await UserAccount.findAll({
+      where: { is_active: true, is_banned: false }
+    });
+  } else {
+    accounts = await UserAccount.findAll({
+      where: { owner_user_id: userId, is_active: true, is_banned: false }
+    });
+  }
+  
+  if (!accounts.length) {
+    await ctx.editMessageText(ctx.t('common.noActiveAccounts'));
+    return ctx.scene.leave();
+  }
+  
+  await setUserSession(userId, 'msg_mode', 'single');
+  await setUserSession(userId, 'accounts', accounts);
+  await setUserSession(userId, 'selected_msg_accounts', []);
+  
+  const keyboard = accounts.map((acc, i) => [
+    Markup.button.callback(
+      `${i + 1}. ${acc.phone}${getUserRole(acc.owner_user_id) === 'admin' ? ' 👑' : ''}`,
+      `msg_acc_${i}`
+    )
+  ]);
+  
+  keyboard.push([Markup.button.callback(ctx.tPlain('common.cancelButton'), 'cancel_selection')]);
+  
+  const adminNote = hasCapability(userId, 'use_all_accounts') ? ctx.t('common.allAccountsNote') : '';
+  
+  await ctx.editMessageText(
+    ctx.t('sendMessage.selectAccount', { note: adminNote, count: accounts.length }),
+    Markup.inlineKeyboard(keyboard)
+  );
+});
+
+sendMessageScene.action(/msg_acc_(\d+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  
+  const userId = ctx.from.id;
+  const accIndex = parseInt(ctx.match[1]);
+  
+  const session = await getUserSession(userId);
+  const accounts = session.accounts || [];
+  
+  if (accIndex >= accounts.length) {
+    await ctx.editMessageText(ctx.t('common.invalidAccountSelection'));
+    return ctx.scene.leave();
+  }
+  
+  const selectedAccount = accounts[accIndex];
+  
+  // Check ownership for non-admin users
+  if (!hasCapability(userId, 'use_all_accounts') && selectedAccount.owner_user_id !== userId) {
+    await ctx.editMessageText(ctx.t('common.noAccountPermission'));
+    return ctx.scene.leave();
+  }
+
+  if (await replyIfAccountBusy(ctx, selectedAccount, 'send_message_setup')) return;
+  
+  await setUserSession(userId, 'selected_msg_accounts', [selectedAccount]);
+  
+  await ctx.editMessageText(ctx.t('sendMessage.messagePrompt', { phone: selectedAccount.phone }));
+  
+  // Set state to wait for message text
+  await setUserSession(userId, 'step', 'get_message_text');
+});
+
+sendMessageScene.command('cancel', async (ctx) => {
+  await clearUserSession(ctx.from.id);
+  await ctx.reply(ctx.t('common.cancelled'));
+  return ctx.scene.leave();
+});
+
+sendMessageScene.on('message', async (ctx) => {
+  const userId = ctx.from.id;
+  const session = await getUserSession(userId);
+  
+  if (session.step !== 'get_message_text') return;
+
+  // Album items arrive as separate messages sharing a media_group_id
+  if (ctx.message.media_group_id) {
+    collectAlbumPart(ctx, (messages) => prepareSendTargets(ctx, messages,
+      () => leaveSceneInBackground(ctx, sendMessageScene.id)));
+    return;
+  }
+
+  await prepareSendTargets(ctx, [ctx.message]);
+});
+
+const ALBUM_COLLECT_MS = 1500;
+const pendingAlbums = new Map();
+
+function collectAlbumPart(ctx, onComplete) {
+  const key = `${ctx.from.id}:${ctx.message.media_group_id}`;
+  const album = pendingAlbums.get(key) || { messages: [] };
+
+  album.messages.push(ctx.message);
+  clearTimeout(album.timer);
+  album.timer = setTimeout(() => {
+    pendingAlbums.delete(key);
+    const messages = album.messages.sort((a, b) => a.message_id - b.message_id);
+    onComplete(messages).catch(async (error) => {
+      logger.error('Album handling failed:', error);
+      await ctx.reply(ctx.t('common.error')).catch(() => {});
+    });
+  }, ALBUM_COLLECT_MS);
+
+  pendingAlbums.set(key, album);
+}
+
+// Looks up the account's groups and shows the preview with target selection.
+// leave ends the scene; an album completes after its updates were handled,
+// so it has to leave through the stored session instead.
+async function prepareSendTargets(ctx, messages, leave = () => ctx.scene.leave()) {
+  const userId = ctx.from.id;
+  const session = await getUserSession(userId);
+  if (session.step !== 'get_message_text') return;
+
+  const content = extractMessageContent(messages);
+  if (content.error) {
+    await ctx.reply(ctx.t(`sendMessage.contentErrors.${content.error}`));
+    return;
+  }
+    
+  const selectedAccounts = session.selected_msg_accounts || [];
+  
+  if (!selectedAccounts.length) {
+    await ctx.reply(ctx.t('sendMessage.noAccountsSelected'));
+    return leave();
+  }
+  
+  await setUserSession(userId, 'step', 'discovering_groups');
+  const statusMsg = await ctx.reply(ctx.t('sendMessage.lookingUp', { phone: selectedAccounts[0].phone }));
+
+  const account = await UserAccount.findByPk(selectedAccounts[0].id);
+  if (!account || !account.is_active || account.is_banned) {
+    await ctx.telegram.editMessageText(statusMsg.chat.id, statusMsg.message_id, null,
+      ctx.t('sendMessage.accountInactive'));
+    return leave();
+  }
+
+  let groups;
+  try {
+    groups = await lookUpSendTargets(ctx, account);
+  } catch (error) {
+    let text;
+    if (error instanceof AccountBusyError) {
+      text = ctx.t('busy.account', { phone: account.phone, holder: describeAccountHolder(error.holder, ctx.locale) });
+    } else if (error instanceof AccountRateLimitedError) {
+      text = ctx.t('rateLimit.tryLater', { phone: account.phone });
+    } else {
+      throw error;
+    }
+    await ctx.telegram.editMessageText(statusMsg.chat.id, statusMsg.message_id, null, text);
+    return leave();
+  }
+
+  if (!groups.length) {
+    await ctx.telegram.editMessageText(statusMsg.chat.id, statusMsg.message_id, null,
+      ctx.t('sendMessage.noGroups', { phone: account.phone }));
+    return leave();
+  }
+
+  await setUserSession(userId, 'msg_preview', {
+    message: content,
+    groups: groups.map(group => ({
+      id: group.id,
+      title: group.title,
+      access_hash: group.access_hash
+    })),
+    selected: groups.map((group, i) => i),
+    page: 0
+  });
+  await setUserSession(userId, 'step', 'confirm_targets');
+
+  // Show the message exactly as the groups will receive it
+  const messageIds = messages.map(message => message.message_id);
+  await ctx.telegram.deleteMessage(statusMsg.chat.id, statusMsg.message_id).catch(() => {});
+  await ctx.reply(ctx.t('sendMessage.preview'));
+  if (messageIds.length > 1) {
+    await ctx.telegram.copyMessages(ctx.chat.id, ctx.chat.id, messageIds);
+  } else {
+    await ctx.telegram.copyMessage(ctx.chat.id, ctx.chat.id, messageIds[0]);
+  }
+  await showSendTargets(ctx, false);
+}
+
+// The user is waiting for the list, so a job using the account makes it
+// fail with AccountBusyError rather than queue
+async function lookUpSendTargets(ctx, account, { refresh = false } = {}) {
+  const holder = { userId: ctx.from.id, username: ctx.from.username, operation: 'group_lookup' };
+
+  return runAccountOperation(account.id, holder, async () => {
+    const manager = accountClients.acquire(account);
+    try {
+      return await manager.getSelfCreatedGroups({ refresh, maxWaitSeconds: INTERACTIVE_MAX_WAIT_SECONDS });
+    } finally {
+      await accountClients.release(manager);
+    }
+  }, { wait: false });
+}
+
+async function showSendTargets(ctx, edit = true) {
+  const session = await getUserSession(ctx.from.id);
+  const preview = session.msg_preview;
+  const account = session.selected_msg_accounts[0];
+  const selected = new Set(preview.selected);
+
+  const discoveredAt = getGroupDiscoveryTime(account.phone);
+  const listPage = buildListPage(ctx, {
+    header: ctx.t('sendMessage.targets', {
+      phone: account.phone,
+      found: preview.groups.length,
+      listedAt: discoveredAt
+        ? ctx.t('sendMessage.targetsListedAt', { time: formatDateTime(discoveredAt, ctx.locale) })
+        : '',
+      selected: selected.size
+    }),
+    entries: preview.groups.map((group, i) => ({
+      buttons: [Markup.button.callback(`${selected.has(i) ? '☑️' : '⬜'} ${group.title}`, `msg_toggle_${i}`)]
+    })),
+    page: preview.page,
+    prefix: 'msg_page',
+    rows: [
+      [
+        Markup.button.callback(ctx.tPlain('sendMessage.selectAllButton'), 'msg_select_all'),
+        Markup.button.callback(ctx.tPlain('sendMessage.selectNoneButton'), 'msg_select_none')
+      ],
+      [Markup.button.callback(ctx.tPlain('sendMessage.refreshButton'), 'msg_refresh')],
+      [Markup.button.callback(ctx.tPlain('sendMessage.sendButton', { count: selected.size }), 'msg_confirm')],
+      [Markup.button.callback(ctx.tPlain('common.cancelButton'), 'cancel_selection')]
+    ]
+  });
+
+  await showListPage(ctx, listPage, edit);
+}
+
+// Applies a change to the target selection and redraws it
+async function updateSendTargets(ctx, change) {
+  const session = await getUserSession(ctx.from.id);
+  if (session.step !== 'confirm_targets' || !session.msg_preview) {
+    await ctx.editMessageText(ctx.t('common.sessionExpiredCommand', { command: '/sendmessage' }));
+    return ctx.scene.leave();
+  }
+
+  await setUserSession(ctx.from.id, 'msg_preview', { ...session.msg_preview, ...change(session.msg_preview) });
+  await showSendTargets(ctx);
+}
+
+sendMessageScene.action(/^msg_toggle_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const index = parseInt(ctx.match[1]);
+
+  await updateSendTargets(ctx, (preview) => ({
+    selected: preview.selected.includes(index)
+      ? preview.selected.filter(i => i !== index)
+      : [...preview.selected, index].sort((a, b) => a - b)
+  }));
+});
+
+sendMessageScene.action(/^msg_page_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  await updateSendTargets(ctx, () => ({ page: parseInt(ctx.match[1]) }));
+});
+
+sendMessageScene.action('msg_select_all', async (ctx) => {
+  await ctx.answerCbQuery();
+  await updateSendTargets(ctx, (preview) => ({ selected: preview.groups.map((group, i) => i) }));
+});
+
+sendMessageScene.action('msg_select_none', async (ctx) => {
+  await ctx.answerCbQuery();
+  await updateSendTargets(ctx, () => ({ selected: [] }));
+});
+
+sendMessageScene.action('msg_refresh', async (ctx) => {
+  const userId = ctx.from.id;
+  const session = await getUserSession(userId);
+  if (session.step !== 'confirm_targets' || !session.msg_preview) {
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(ctx.t('common.sessionExpiredCommand', { command: '/sendmessage' }));
+    return ctx.scene.leave();
+  }
+
+  const account = await UserAccount.findByPk(session.selected_msg_accounts[0].id);
+  if (!account || !account.is_active || account.is_banned) {
+    await ctx.answerCbQuery(ctx.tPlain('sendMessage.accountInactiveAlert'), { show_alert: true });
+    return;
+  }
+
+  let groups;
+  try {
+    groups = await lookUpSendTargets(ctx, account, { refresh: true });
+  } catch (error) {
+    let text;
+    if (error instanceof AccountBusyError) {
+      text = ctx.tPlain('busy.accountAlert', { phone: account.phone, holder: describeAccountHolder(error.holder, ctx.locale) });
+    } else if (error instanceof AccountRateLimitedError) {
+      text = ctx.tPlain('rateLimit.tryLater', { phone: account.phone });
+    } else {
+      throw error;
+    }
+    await ctx.answerCbQuery(text, { show_alert: true });
+    return;
+  }
+
+  // Keep earlier choices; newly found groups start unselected
+  const preview = session.msg_preview;
+  const previouslySelected = new Set(preview.selected.map(i => preview.groups[i].id));
+  const known = new Set(preview.groups.map(group => group.id));
+  const newCount = groups.filter(group => !known.has(group.id)).length;
+
+  await ctx.answerCbQuery(newCount
+    ? ctx.tPlain('sendMessage.refreshedWithNew', { count: groups.length, new: newCount })
+    : ctx.tPlain('sendMessage.refreshed', { count: groups.length }));
+  await updateSendTargets(ctx, () => ({
+    groups: groups.map(group => ({ id: group.id, title: group.title, access_hash: group.access_hash })),
+    selected: groups.map((group, i) => i).filter(i => previouslySelected.has(groups[i].id)),
+    page: 0
+  }));
+});
+
+sendMessageScene.action('msg_confirm', async (ctx) => {
+  const userId = ctx.from.id;
+  const session = await getUserSession(userId);
+  const preview = session.msg_preview;
+
+  if (session.step !== 'confirm_targets' || !preview) {
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(ctx.t('common.sessionExpiredCommand', { command: '/sendmessage' }));
+    return ctx.scene.leave();
+  }
+  if (!preview.selected.length) {
+    await ctx.answerCbQuery(ctx.tPlain('sendMessage.selectAtLeastOne'), { show_alert: true });
+    return;
+  }
+  try {
+    await checkQuota(userId, 'messages', preview.selected.length);
+  } catch (error) {
+    if (!(error instanceof QuotaExceededError)) throw error;
+    await ctx.answerCbQuery(
+      `📛 ${formatQuotaError(error, ctx.locale, tPlain)} ${ctx.tPlain('sendMessage.selectFewer')}`,
+      { show_alert: true }
+    );
+    return;
+  }
+  await ctx.answerCbQuery();
+
+  const account = session.selected_msg_accounts[0];
+  const targets = preview.selected.map(i => preview.groups[i]);
+
+  const job = await enqueueJob({
+    type: 'send_message',
+    userId,
+    chatId: ctx.chat.id,
+    locale: ctx.locale,
+    statusMessageId: ctx.callbackQuery.message.message_id,
+    accountId: account.id,
+    payload: {
+      message_text: describeMessageContent(preview.message, ctx.locale),
+      message: preview.message,
+      groups: targets
+    }
+  });
+
+  await clearUserSession(userId);
+  await ctx.editMessageText(
+    ctx.t('sendMessage.queued', { phone: account.phone, count: targets.length, id: job.id }),
+    jobCancelKeyboard(job, ctx.locale)
+  );
+
+  return ctx.scene.leave();
+});
+
+sendMessageScene.action('cancel_selection', async (ctx) => {
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(ctx.t('common.cancelled'));
+  return ctx.scene.leave();
+});
+
+// Whatever way the flow ends, the account it picked is free for others again
+sendMessageScene.leave(async (ctx, next) => {
+  releaseAccountHolds(ctx.from.id);
+  await next();
+});
+
+// Edit group scene: collects a new title or description for a recorded group
+const GROUP_EDIT_FIELDS = {
+  title: { maxLength: 128 },
+  about: { maxLength: 255 }
+};
+
+editGroupScene.enter(async (ctx) => {
+  const session = await getUserSession(ctx.from.id);
+  const { field } = session.edit_group;
+
+  const keyboard = [];
+  if (field === 'about') {
+    keyboard.push([Markup.button.callback(ctx.tPlain('editGroup.clearButton'), 'group_edit_clear')]);
+  }
+  keyboard.push([Markup.button.callback(ctx.tPlain('common.cancelButton'), 'group_edit_cancel')]);
+
+  await ctx.editMessageText(
+    ctx.t('editGroup.prompt', { field: ctx.t(`editGroup.fields.${field}`), max: GROUP_EDIT_FIELDS[field].maxLength }),
+    Markup.inlineKeyboard(keyboard)
+  );
+});
+
+async function submitGroupEdit(ctx, value) {
+  const session = await getUserSession(ctx.from.id);
+  const { group_id: groupId, field } = session.edit_group;
+  await clearUserSession(ctx.from.id);
+
+  const { group, account, error } = await loadManagedGroup(ctx, groupId);
+  if (error) {
+    await ctx.reply(error.text, error.keyboard);
+    return ctx.scene.leave();
+  }
+
+  const statusMsg = await ctx.reply(ctx.t('editGroup.updating', { group: group.group_name }));
+  const job = await enqueueGroupAction(ctx, group, account, field, value, statusMsg.message_id);
+
+  await bot.telegram.editMessageText(
+    ctx.chat.id,
+    statusMsg.message_id,
+    undefined,
+    ctx.t('editGroup.queued', { field: ctx.t(`editGroup.fields.${field}`), group: group.group_name, id: job.id }),
+    jobCancelKeyboard(job, ctx.locale)
+  );
+
+  return ctx.scene.leave();
+}
+
+editGroupScene.command('cancel', async (ctx) => {
+  await clearUserSession(ctx.from.id);
+  await ctx.reply(ctx.t('common.cancelled'));
+  return ctx.scene.leave();
+});
+
+editGroupScene.on('text', async (ctx) => {
+  const session = await getUserSession(ctx.from.id);
+  if (!session.edit_group) {
+    return ctx.scene.leave();
+  }
+
+  const { field } = session.edit_group;
+  const value = ctx.message.text.trim();
+  const { maxLength } = GROUP_EDIT_FIELDS[field];
+
+  if (!value || value.length > maxLength) {
+    await ctx.reply(ctx.t('editGroup.invalid', { field: ctx.t(`editGroup.fields.${field}`), max: maxLength }));
+    return;
+  }
+
+  return submitGroupEdit(ctx, value);
+});
+
+editGroupScene.action('group_edit_clear', async (ctx) => {
+  await ctx.answerCbQuery();
+  const session = await getUserSession(ctx.from.id);
+  if (!session.edit_group) {
+    await ctx.editMessageText(ctx.t('editGroup.sessionExpired'));
+    return ctx.scene.leave();
+  }
+  await ctx.deleteMessage().catch(() => {});
+  return submitGroupEdit(ctx, '');
+});
+
+editGroupScene.action('group_edit_cancel', async (ctx) => {
+  await ctx.answerCbQuery();
+  const session = await getUserSession(ctx.from.id);
+  await clearUserSession(ctx.from.id);
+  await ctx.editMessageText(
+    ctx.t('editGroup.cancelled'),
+    session.edit_group
+      ? Markup.inlineKeyboard([[Markup.button.callback(ctx.tPlain('editGroup.groupDetailsButton'), `mygroup_${session.edit_group.group_id}`)]])
+      : undefined
+  );
+  return ctx.scene.leave();
+});
+
+// Initialize bot
+const bot = new Telegraf(BOT_TOKEN);
+useHtmlParseMode(bot.telegram);
+
+// Every update gets its own Telegram client, so replies are switched to HTML here
+bot.use(async (ctx, next) => {
+  useHtmlParseMode(ctx.telegram);
+  await next();
+});
+bot.use(detectLocale);
+
+// Session middleware
+bot.use(trackConversationActivity);
+bot.use(session({ store: conversationSessionStore, defaultSession: () => ({}) }));
+bot.use(async (ctx, next) => {
+  // Store user info in session
+  if (ctx.from) {
+    ctx.session.userId = ctx.from.id;
+    ctx.session.username = ctx.from.username;
+  }
+  await next();
+});
+bot.use(requireApprovedUser);
+
+// Stage for scenes
+const stage = new Stage([
+  addAccountScene,
+  createSingleScene,
+  createBulkScene,
+  createMultiScene,
+  sendMessageScene,
+  editGroupScene
+]);
+
+bot.use(stage.middleware());
+
+// Start command
+// Commands listed in /start, each group shown to users with the capability
+const START_COMMANDS = [
+  [null, [
+    'addaccount', 'creategroup', 'quickcreate', 'listaccounts', 'removeaccount', 'cleanup',
+    'checkaccounts', 'sendmessage', 'mygroups', 'jobs', 'stats', 'language', 'cancel'
+  ]],
+  ['view_all', ['admin']],
+  ['view_audit', ['auditlog']],
+  ['manage_roles', ['grantrole', 'revokerole']],
+  ['manage_users', ['suspend', 'unsuspend', 'setquota']]
+];
+
+bot.start(async (ctx) => {
+  const userId = ctx.from.id;
+  const role = getUserRole(userId);
+
+  const commands = START_COMMANDS
+    .filter(([capability]) => !capability || hasCapability(userId, capability))
+    .flatMap(([, names]) => names)
+    .map(name => html`/${name} - ${ctx.t(`start.commands.${name}`)}`);
+
+  await ctx.reply(ctx.t('start.message', {
+    badge: role ? ` ${ROLE_ICONS[role]}` : '',
+    userId,
+    role: role ? ctx.t('start.role', { role: formatRole(role, ctx.locale) }) : '',
+    commands: joinHtml(commands)
+  }));
+});
+
+// Language command
+function buildLanguageKeyboard(ctx) {
+  const chosen = userLanguages.get(String(ctx.from.id)) || null;
+  const keyboard = Object.keys(LOCALE_CATALOGS).map(locale => [
+    Markup.button.callback(
+      `${chosen === locale ? '✅ ' : ''}${tPlain(locale, 'language.name')}`,
+      `language_${locale}`
+    )
+  ]);
+  keyboard.push([Markup.button.callback(
+    `${chosen ? '' : '✅ '}${ctx.tPlain('language.telegramButton')}`,
+    'language_auto'
+  )]);
+  return keyboard;
+}
+
+async function applyLanguage(ctx, choice) {
+  await setUserLanguage(ctx.from, choice === 'auto' ? null : choice);
+  ctx.locale = getUserLocale(ctx.from.id, ctx.from.language_code);
+  logger.info(`User ${ctx.from.id} set language to ${choice}`);
+  return ctx.t(choice === 'auto' ? 'language.followingTelegram' : 'language.changed', {
+    language: ctx.t('language.name')
+  });
+}
+
+bot.command('language', async (ctx) => {
+  const [choice] = ctx.message.text.split(/\s+/).slice(1);
+  if (choice) {
+    const locale = choice === 'auto' ? 'auto' : matchLocale(choice);
+    if (!locale) {
+      await ctx.reply(ctx.t('language.unknown', { choice, available: Object.keys(LOCALE_CATALOGS).join(', ') }));
+      return;
+    }
+    await ctx.reply(await applyLanguage(ctx, locale));
+    return;
+  }
+
+  await ctx.reply(
+    ctx.t('language.menu', { language: ctx.t('language.name') }),
+    Markup.inlineKeyboard(buildLanguageKeyboard(ctx))
+  );
+});
+
+bot.action(/^language_(\w+)$/, async (ctx) => {
+  const choice = ctx.match[1];
+  if (choice !== 'auto' && !LOCALE_CATALOGS[choice]) {
+    await ctx.answerCbQuery();
+    return;
+  }
+  const text = await applyLanguage(ctx, choice);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(text, Markup.inlineKeyboard(buildLanguageKeyboard(ctx)));
+});
+
+// Quick create command
+bot.command('quickcreate', async (ctx) => {
+  const userId = ctx.from.id;
+  
+  let account;
+  if (hasCapability(userId, 'use_all_accounts')) {
+    account = await UserAccount.findOne({
+      where: { is_active: true, is_banned: false },
+      order: [['last_used', 'ASC']]
+    });
+  } else {
+    account = await UserAccount.findOne({
+      where: { owner_user_id: userId, is_active: true, is_banned: false },
+      order: [['last_used', 'ASC']]
+    });
+  }
+  
+  if (!account) {
+    await ctx.reply(ctx.t('common.noActiveAccountsAddFirst'));
+    return;
+  }
+  
+  const holder = await findAccountHolder(account, userId);
+  if (holder) {
+    await ctx.reply(ctx.t('busy.account', { phone: account.phone, holder: describeAccountHolder(holder, ctx.locale) }));
+    return;
+  }
+
+  if (await replyIfQuotaReached(ctx, 'groups')) return;
+
+  const groupName = generateGroupName();
+  
+  const statusMsg = await ctx.reply(
+    ctx.t('createGroup.quick', { phone: account.phone, name: groupName, status: ctx.tPlain('jobs.statusQueued') })
+  );
+  
+  const job = await enqueueJob({
+    type: 'create_group',
+    userId,
+    chatId: ctx.chat.id,
+    locale: ctx.locale,
+    statusMessageId: statusMsg.message_id,
+    accountId: account.id,
+    payload: { group_name: groupName }
+  });
+  
+  await ctx.telegram.editMessageText(
+    statusMsg.chat.id,
+    statusMsg.message_id,
+    null,
+    ctx.t('createGroup.quick', {
+      phone: account.phone,
+      name: groupName,
+      status: ctx.tPlain('jobs.statusQueuedCheck', { id: job.id })
+    }),
+    jobCancelKeyboard(job, ctx.locale)
+  );
+});
+
+// List accounts command
+function formatAccountListEntry(ctx, acc, number) {
+  const status = [ctx.tPlain(acc.is_active ? 'admin.account.active' : 'admin.account.inactive')];
+  if (acc.is_banned) status.push(ctx.tPlain('admin.account.banned'));
+
+  return ctx.t('accounts.entry', {
+    number,
+    phone: acc.phone,
+    status: status.join(' '),
+    health: formatAccountHealth(acc, ctx.locale),
+    reason: acc.status_reason ? ctx.t('accounts.reason', { reason: acc.status_reason.substring(0, 200) }) : '',
+    lastUsed: acc.last_used ? formatDateTime(acc.last_used, ctx.locale) : ctx.tPlain('admin.account.never'),
+    added: formatDate(acc.created_at, ctx.locale)
+  });
+}
+
+// Users who can view all accounts see them grouped by owner
+async function showAccountList(ctx, page = 0, edit = true) {
+  const viewAll = hasCapability(ctx.from.id, 'view_all');
+
+  const accounts = await UserAccount.findAll({
+    where: viewAll ? {} : { owner_user_id: ctx.from.id },
+    order: [
+      ...(viewAll ? [['owner_user_id', 'ASC']] : []),
+      ['is_active', 'DESC'],
+      ['last_used', 'DESC']
+    ]
+  });
+
+  if (!accounts.length) {
+    const text = ctx.t('common.noAccountsYet');
+    return edit ? ctx.editMessageText(text) : ctx.reply(text);
+  }
+
+  const owners = new Map();
+  const entries = accounts.map(acc => {
+    if (!owners.has(acc.owner_user_id)) {
+      owners.set(acc.owner_user_id, {
+        count: 0,
+        heading: joinHtml([
+          ctx.t('accounts.owner', { userId: acc.owner_user_id }),
+          ...(acc.owner_username ? [ctx.t('accounts.ownerUsername', { username: acc.owner_username })] : [])
+        ])
+      });
+    }
+    const owner = owners.get(acc.owner_user_id);
+    owner.count += 1;
+    return { text: formatAccountListEntry(ctx, acc, owner.count), section: viewAll ? owner.heading : null };
+  });
+
+  const listPage = buildListPage(ctx, {
+    header: ctx.t(viewAll ? 'accounts.titleAll' : 'accounts.title'),
+    entries,
+    page,
+    prefix: 'list_accounts',
+    separator: '\n\n'
+  });
+
+  await showListPage(ctx, listPage, edit);
+}
+
+bot.command('listaccounts', async (ctx) => {
+  await showAccountList(ctx, 0, false);
+});
+
+bot.action(/^list_accounts(?:_(\d+))?$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  await showAccountList(ctx, parseInt(ctx.match[1]) || 0);
+});
+
+// My groups browser
+// Users with the capability see every recorded group; everyone else sees
+// groups they created or that were created with one of their accounts
+function getGroupScope(ctx, capability = 'view_all') {
+  if (hasCapability(ctx.from.id, capability)) return {};
+  return {
+    [Sequelize.Op.or]: [
+      { created_by_user: ctx.from.id },
+      { owner_user_id: ctx.from.id }
+    ]
+  };
+}
+
+async function showGroupList(ctx, page = 0, accountId = null, edit = true) {
+  const userId = ctx.from.id;
+
+  const where = { ...getGroupScope(ctx) };
+  if (accountId) where.account_id = accountId;
+
+  const total = await CreatedGroup.count({ where });
+  const { limit, offset } = pageWindow(total, page);
+  const groups = await CreatedGroup.findAll({
+    where,
+    attributes: ['id', 'group_name', 'is_active', 'created_by_account'],
+    order: [['created_at', 'DESC']],
+    limit,
+    offset
+  });
+
+  let header = html`${ctx.t(hasCapability(userId, 'view_all') ? 'groups.titleAll' : 'groups.title')}\n\n`;
+  if (accountId) {
+    const account = await UserAccount.findByPk(accountId);
+    header += html`${ctx.t('groups.account', { phone: account ? account.phone : accountId })}\n`;
+  }
+  header += total
+    ? ctx.t('groups.count', { count: total })
+    : ctx.t('groups.none');
+
+  const filterSuffix = `_${accountId || 0}`;
+  const filterRow = [Markup.button.callback(ctx.tPlain('groups.filterButton'), 'mygroups_filter_0')];
+  if (accountId) {
+    filterRow.push(Markup.button.callback(ctx.tPlain('groups.clearFilterButton'), 'mygroups_page_0_0'));
+  }
+
+  const listPage = buildListPage(ctx, {
+    header,
+    entries: groups.map(group => ({
+      buttons: listPageNumber => [Markup.button.callback(
+        `${group.is_active ? '👥' : '⚪'} ${group.group_name} (${group.created_by_account})`,
+        `mygroup_${group.id}_${listPageNumber}${filterSuffix}`
+      )]
+    })),
+    page,
+    total,
+    prefix: 'mygroups_page',
+    suffix: filterSuffix,
+    rows: [filterRow]
+  });
+
+  await showListPage(ctx, listPage, edit);
+}
+
+// Loads an active group the user may manage, with the account that created it
+async function loadManagedGroup(ctx, groupId) {
+  const group = await CreatedGroup.findOne({
+    where: { id: groupId, ...getGroupScope(ctx, 'use_all_accounts') }
+  });
+  if (!group || !group.is_active) {
+    return { error: { text: ctx.t('groups.notFoundOrDeleted') } };
+  }
+
+  const account = group.account_id ? await UserAccount.findByPk(group.account_id) : null;
+  if (!account || !account.is_active || account.is_banned) {
+    return {
+      error: {
+        text: ctx.t('groups.accountUnavailable', { group: group.group_name }),
+        keyboard: Markup.inlineKeyboard([[Markup.button.callback(ctx.tPlain('common.back'), `mygroup_${group.id}`)]])
+      }
+    };
+  }
+
+  return { group, account };
+}
+
+async function enqueueGroupAction(ctx, group, account, action, value, statusMessageId) {
+  return enqueueJob({
+    type: 'manage_group',
+    userId: ctx.from.id,
+    chatId: ctx.chat.id,
+    locale: ctx.locale,
+    statusMessageId,
+    accountId: account.id,
+    payload: { group_id: group.id, action, value }
+  });
+}
+
+bot.command('mygroups', async (ctx) => {
+  await showGroupList(ctx, 0, null, false);
+});
+
+bot.action(/^mygroups_page_(\d+)_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  await showGroupList(ctx, parseInt(ctx.match[1]), parseInt(ctx.match[2]) || null);
+});
+
+bot.action(/^mygroups_filter_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+
+  const accounts = await CreatedGroup.findAll({
+    where: getGroupScope(ctx),
+    attributes: [
+      'account_id',
+      [Sequelize.fn('MAX', Sequelize.col('created_by_account')), 'phone'],
+      [Sequelize.fn('COUNT', Sequelize.col('id')), 'group_count']
+    ],
+    group: ['account_id'],
+    order: [['account_id', 'ASC']],
+    raw: true
+  });
+
+  const recorded = accounts.filter(acc => acc.account_id);
+  const listPage = buildListPage(ctx, {
+    header: html`${ctx.t('groups.filterTitle')}\n\n${ctx.t(recorded.length ? 'groups.filterSelect' : 'groups.filterNone')}`,
+    entries: recorded.map(acc => ({
+      buttons: [Markup.button.callback(`📱 ${acc.phone} (${acc.group_count})`, `mygroups_page_0_${acc.account_id}`)]
+    })),
+    page: parseInt(ctx.match[1]),
+    prefix: 'mygroups_filter',
+    rows: [[Markup.button.callback(ctx.tPlain('groups.backToGroupsButton'), 'mygroups_page_0_0')]]
+  });
+
+  await showListPage(ctx, listPage);
+});
+
+bot.action(/^mygroup_(\d+)(?:_(\d+)_(\d+))?$/, async (ctx) => {
+  await ctx.answerCbQuery();
+
+  const group = await CreatedGroup.findOne({
+    where: { id: ctx.match[1], ...getGroupScope(ctx) }
+  });
+  const backData = `mygroups_page_${ctx.match[2] || 0}_${ctx.match[3] || 0}`;
+
+  if (!group) {
+    await ctx.editMessageText(
+      ctx.t('groups.notFound'),
+      Markup.inlineKeyboard([[Markup.button.callback(ctx.tPlain('groups.backToGroupsButton'), backData)]])
+    );
+    return;
+  }
+
+  const profile = group.permission_profile_id
+    ? await PermissionProfile.findByPk(group.permission_profile_id)
+    : null;
+  const activeLinks = await GroupInviteLink.count({ where: { group_id: group.id, is_revoked: false } });
+
+  const keyboard = [];
+  if (group.invite_link && group.is_active) {
+    keyboard.push([Markup.button.url(ctx.tPlain('createGroup.openGroupButton'), group.invite_link)]);
+  }
+  if (group.account_id && group.is_active && canManageGroup(ctx.from.id, group)) {
+    keyboard.push(
+      [
+        Markup.button.callback(ctx.tPlain('groups.editTitleButton'), `group_edit_title_${group.id}`),
+        Markup.button.callback(ctx.tPlain('groups.editAboutButton'), `group_edit_about_${group.id}`)
+      ],
+      [
+        Markup.button.callback(ctx.tPlain('groups.permissionsButton'), `group_perms_${group.id}`),
+        Markup.button.callback(ctx.tPlain('groups.inviteLinksButton'), `group_links_${group.id}`)
+      ],
+      [Markup.button.callback(
+        ctx.tPlain(group.history_visible === false ? 'groups.showHistoryButton' : 'groups.hideHistoryButton'),
+        `group_history_${group.id}`
+      )],
+      [Markup.button.callback(ctx.tPlain('groups.deleteButton'), `group_delete_${group.id}`)]
+    );
+  }
+  keyboard.push([Markup.button.callback(ctx.tPlain('groups.backToGroupsButton'), backData)]);
+
+  await ctx.editMessageText(
+    ctx.t('groups.details', {
+      name: group.group_name,
+      chatId: group.chat_id,
+      link: group.invite_link || ctx.tPlain('groups.noLink'),
+      activeLinks,
+      phone: group.created_by_account,
+      owner: group.owner_user_id,
+      creator: group.created_by_user,
+      created: formatDateTime(group.created_at, ctx.locale),
+      members: group.member_count,
+      about: group.about || ctx.tPlain('createGroup.blank'),
+      history: ctx.tPlain(group.history_visible === false ? 'groups.historyHidden' : 'groups.historyVisible'),
+      profile: profile ? formatPermissionProfile(profile, ctx.locale) : ctx.tPlain('groups.profileNotSet'),
+      status: ctx.tPlain(group.is_active ? 'admin.account.active' : 'admin.account.inactive')
+    }),
+    Markup.inlineKeyboard(keyboard)
+  );
+});
+
+bot.action(/^group_perms_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+
+  const group = await CreatedGroup.findOne({
+    where: { id: ctx.match[1], ...getGroupScope(ctx, 'use_all_accounts') }
+  });
+  if (!group) {
+    await ctx.editMessageText(ctx.t('groups.notFound'));
+    return;
+  }
+
+  const selected = group.permission_profile_id
+    ? await PermissionProfile.findByPk(group.permission_profile_id)
+    : null;
+  const { text, keyboard } = await buildPermissionProfileMenu(selected, `group_perms_${group.id}`, ctx.locale);
+  keyboard.push([Markup.button.callback(ctx.tPlain('common.back'), `mygroup_${group.id}`)]);
+
+  await ctx.editMessageText(
+    ctx.t('groups.permissions', { group: group.group_name, profiles: text }),
+    Markup.inlineKeyboard(keyboard)
+  );
+});
+
+bot.action(/^group_perms_(\d+)_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+
+  const { group, account, error } = await loadManagedGroup(ctx, ctx.match[1]);
+  if (error) {
+    await ctx.editMessageText(error.text, error.keyboard);
+    return;
+  }
+
+  const profile = await PermissionProfile.findByPk(ctx.match[2]);
+  if (!profile) {
+    await ctx.editMessageText(ctx.t('groups.profileNotFound'));
+    return;
+  }
+
+  const job = await enqueueJob({
+    type: 'apply_permissions',
+    userId: ctx.from.id,
+    chatId: ctx.chat.id,
+    locale: ctx.locale,
+    statusMessageId: ctx.callbackQuery.message.message_id,
+    accountId: account.id,
+    payload: { group_id: group.id, profile_id: profile.id }
+  });
+
+  await ctx.editMessageText(
+    ctx.t('groups.applyingPermissions', {
+      profile: formatPermissionProfile(profile, ctx.locale),
+      group: group.group_name,
+      queued: ctx.t('jobs.queuedNotice', { id: job.id })
+    }),
+    jobCancelKeyboard(job, ctx.locale)
+  );
+});
+
+bot.action(/^group_edit_(title|about)_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+
+  const { group, error } = await loadManagedGroup(ctx, ctx.match[2]);
+  if (error) {
+    await ctx.editMessageText(error.text, error.keyboard);
+    return;
+  }
+
+  await setUserSession(ctx.from.id, 'edit_group', { group_id: group.id, field: ctx.match[1] });
+  await ctx.scene.enter('editGroup');
+});
+
+bot.action(/^group_history_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+
+  const { group, account, error } = await loadManagedGroup(ctx, ctx.match[1]);
+  if (error) {
+    await ctx.editMessageText(error.text, error.keyboard);
+    return;
+  }
+
+  const visible = group.history_visible === false;
+  const job = await enqueueGroupAction(
+    ctx, group, account, 'history', visible, ctx.callbackQuery.message.message_id
+  );
+
+  await ctx.editMessageText(
+    ctx.t(visible ? 'groups.showingHistory' : 'groups.hidingHistory', {
+      group: group.group_name,
+      queued: ctx.t('jobs.queuedNotice', { id: job.id })
+    }),
+    jobCancelKeyboard(job, ctx.locale)
+  );
+});
+
+bot.action(/^group_delete_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+
+  const { group, error } = await loadManagedGroup(ctx, ctx.match[1]);
+  if (error) {
+    await ctx.editMessageText(error.text, error.keyboard);
+    return;
+  }
+
+  await ctx.editMessageText(
+    ctx.t('groups.confirmDelete', { group: group.group_name }),
+    Markup.inlineKeyboard([
+      [Markup.button.callback(ctx.tPlain('groups.confirmDeleteButton'), `group_delete_confirm_${group.id}`)],
+      [Markup.button.callback(ctx.tPlain('groups.keepButton'), `mygroup_${group.id}`)]
+    ])
+  );
+});
+
+bot.action(/^group_delete_confirm_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+
+  const { group, account, error } = await loadManagedGroup(ctx, ctx.match[1]);
+  if (error) {
+    await ctx.editMessageText(error.text, error.keyboard);
+    return;
+  }
+
+  const job = await enqueueGroupAction(
+    ctx, group, account, 'delete', null, ctx.callbackQuery.message.message_id
+  );
+
+  await ctx.editMessageText(
+    ctx.t('groups.deleting', { group: group.group_name, queued: ctx.t('jobs.queuedNotice', { id: job.id }) }),
+    jobCancelKeyboard(job, ctx.locale)
+  );
+});
+
+// Invite link management
+const INVITE_LINK_EXPIRY_CHOICES = [
+  [0, 'never'],
+  [3600, 'hour'],
+  [86400, 'day'],
+  [604800, 'week']
+];
+const INVITE_LINK_LIMIT_CHOICES = [0, 1, 10, 100];
+
+async function enqueueInviteLinkAction(ctx, group, account, action, payload = {}) {
+  return enqueueJob({
+    type: 'invite_link',
+    userId: ctx.from.id,
+    chatId: ctx.chat.id,
+    locale: ctx.locale,
+    statusMessageId: ctx.callbackQuery.message.message_id,
+    accountId: account.id,
+    payload: { group_id: group.id, action, ...payload }
+  });
+}
+
+// Loads a stored link together with its group, if the user may manage it
+async function loadManagedInviteLink(ctx, linkId) {
+  const link = await GroupInviteLink.findByPk(linkId);
+  if (!link || link.is_revoked) {
+    return { error: { text: ctx.t('inviteLinks.notFound') } };
+  }
+
+  const managed = await loadManagedGroup(ctx, link.group_id);
+  return { ...managed, link };
+}
+
+async function showInviteLinks(ctx, group, page = 0) {
+  // Groups recorded before links were tracked only have the current link
+  if (group.invite_link) {
+    await GroupInviteLink.findOrCreate({
+      where: { group_id: group.id, link: group.invite_link },
+      defaults: { group_id: group.id, link: group.invite_link }
+    });
+  }
+
+  const where = { group_id: group.id, is_revoked: false };
+  const total = await GroupInviteLink.count({ where });
+  const { limit, offset } = pageWindow(total, page);
+  const links = await GroupInviteLink.findAll({
+    where,
+    order: [['created_at', 'DESC']],
+    limit,
+    offset
+  });
+  const revokedCount = await GroupInviteLink.count({ where: { group_id: group.id, is_revoked: true } });
+  const lastSync = await GroupInviteLink.max('synced_at', { where });
+
+  let footer = total ? '' : html`${ctx.t('inviteLinks.none')}\n\n`;
+  if (revokedCount) footer += html`${ctx.t('inviteLinks.revokedCount', { count: revokedCount })}\n`;
+  footer += html`${ctx.t('inviteLinks.legend')}\n` + (lastSync
+    ? ctx.t('inviteLinks.usageAsOf', { time: formatDateTime(lastSync, ctx.locale) })
+    : ctx.t('inviteLinks.usageNotRefreshed'));
+
+  const listPage = buildListPage(ctx, {
+    header: ctx.t('inviteLinks.title', { group: group.group_name }),
+    entries: links.map(link => ({
+      text: html`${link.link === group.invite_link ? '⭐ ' : ''}${link.link}\n${formatInviteLinkTerms(link, ctx.locale)}`,
+      buttons: [Markup.button.callback(
+        ctx.tPlain('inviteLinks.linkButton', {
+          mark: link.link === group.invite_link ? '⭐ ' : '',
+          tail: link.link.slice(-10),
+          count: link.usage_count
+        }),
+        `group_link_${link.id}`
+      )]
+    })),
+    page,
+    total,
+    prefix: `group_links_${group.id}`,
+    footer,
+    separator: '\n\n',
+    rows: [
+      [
+        Markup.button.callback(ctx.tPlain('inviteLinks.newButton'), `group_link_new_${group.id}`),
+        Markup.button.callback(ctx.tPlain('inviteLinks.refreshButton'), `group_links_sync_${group.id}`)
+      ],
+      [Markup.button.callback(ctx.tPlain('common.back'), `mygroup_${group.id}`)]
+    ]
+  });
+
+  await showListPage(ctx, listPage);
+}
+
+async function showNewInviteLinkOptions(ctx, group, options) {
+  const expiryRow = INVITE_LINK_EXPIRY_CHOICES.map(([seconds, choice]) =>
+    Markup.button.callback(
+      `${(options.expire_seconds || 0) === seconds ? '✅ ' : ''}${ctx.tPlain(`inviteLinks.expiry.${choice}`)}`,
+      `link_expire_${seconds}`
+    )
+  );
+  const limitRow = INVITE_LINK_LIMIT_CHOICES.map(limit =>
+    Markup.button.callback(
+      `${(options.usage_limit || 0) === limit ? '✅ ' : ''}${limit || '∞'}`,
+      `link_limit_${limit}`
+    )
+  );
+
+  await ctx.editMessageText(
+    ctx.t('inviteLinks.newLink', {
+      group: group.group_name,
+      expires: options.expire_seconds
+        ? ctx.tPlain('inviteLinks.expiresAfter', { duration: formatDuration(options.expire_seconds, ctx.locale) })
+        : ctx.tPlain('inviteLinks.never'),
+      limit: options.usage_limit || ctx.tPlain('inviteLinks.unlimited'),
+      requests: ctx.tPlain(options.request_needed ? 'inviteLinks.approvalNeeded' : 'inviteLinks.joinDirectly')
+    }),
+    Markup.inlineKeyboard([
+      expiryRow,
+      limitRow,
+      [Markup.button.callback(
+        ctx.tPlain('inviteLinks.approvalButton', { mark: options.request_needed ? '✅' : '❌' }),
+        'link_approval'
+      )],
+      [
+        Markup.button.callback(ctx.tPlain('inviteLinks.createButton'), 'link_create'),
+        Markup.button.callback(ctx.tPlain('common.cancelButton'), `group_links_${group.id}`)
+      ]
+    ])
+  );
+}
+
+// Loads the link options being edited and their group, or reports a stale menu
+async function getNewInviteLinkDraft(ctx) {
+  const session = await getUserSession(ctx.from.id);
+  if (!session.new_invite_link) {
+    await ctx.editMessageText(ctx.t('editGroup.sessionExpired'));
+    return {};
+  }
+
+  const { group, account, error } = await loadManagedGroup(ctx, session.new_invite_link.group_id);
+  if (error) {
+    await ctx.editMessageText(error.text, error.keyboard);
+    return {};
   }
+  return { group, account, options: session.new_invite_link };
+}
 
-  async signIn(code, phoneCodeHash) {
-    try {
-      const result = await this.client.signIn({
-        phoneNumber: this.phone,
-        phoneCode: code,
-        phoneCodeHash: phoneCodeHash
-      });
-      
-      // Save session string
-      this.session_string = this.client.session.save();
-      return { success: true, session: this.session_string };
-    } catch (error) {
-      if (error.errorMessage === 'SESSION_PASSWORD_NEEDED') {
-        return { success: false, requires2FA: true };
-      }
-      logger.error('Sign in failed:', error);
-      return { success: false, error: error.message };
-    }
+bot.action(/^group_links_(\d+)(?:_(\d+))?$/, async (ctx) => {
+  await ctx.answerCbQuery();
+
+  const { group, error } = await loadManagedGroup(ctx, ctx.match[1]);
+  if (error) {
+    await ctx.editMessageText(error.text, error.keyboard);
+    return;
   }
 
-  async signInWithPassword(password) {
-    try {
-      await this.client.signIn({
-        password: password
-      });
-      
-      // Save session string
-      this.session_string = this.client.session.save();
-      return { success: true, session: this.session_string };
-    } catch (error) {
-      logger.error('2FA sign in failed:', error);
-      return { success: false, error: error.message };
-    }
+  await showInviteLinks(ctx, group, parseInt(ctx.match[2] || '0'));
+});
+
+bot.action(/^group_links_sync_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+
+  const { group, account, error } = await loadManagedGroup(ctx, ctx.match[1]);
+  if (error) {
+    await ctx.editMessageText(error.text, error.keyboard);
+    return;
   }
 
-  async createGroupWithFeatures(groupName, options = {}) {
-    const {
-      welcomeMessageText = 'hello',
-      chatHistoryVisible = true,
-      sendWelcomeMessage = true,
-      openAllPermissions = true,
-      members = []
-    } = options;
+  const job = await enqueueInviteLinkAction(ctx, group, account, 'sync');
+  await ctx.editMessageText(
+    ctx.t('inviteLinks.refreshing', { group: group.group_name, queued: ctx.t('jobs.queuedNotice', { id: job.id }) }),
+    jobCancelKeyboard(job, ctx.locale)
+  );
+});
 
-    try {
-      await this.connect();
+bot.action(/^group_link_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
 
-      // Create the group/channel
-      const result = await this.client.invoke({
-        _: 'channels.createChannel',
-        title: groupName,
-        about: '',
-        megagroup: true,
-        broadcast: false
-      });
+  const { group, link, error } = await loadManagedInviteLink(ctx, ctx.match[1]);
+  if (error) {
+    await ctx.editMessageText(error.text, error.keyboard);
+    return;
+  }
 
-      const channel = result.chats[0];
+  const isCurrent = link.link === group.invite_link;
+  const keyboard = [];
+  if (!isCurrent) {
+    keyboard.push([Markup.button.callback(ctx.tPlain('inviteLinks.makeCurrentButton'), `group_link_current_${link.id}`)]);
+  }
+  keyboard.push(
+    [
+      Markup.button.callback(ctx.tPlain('inviteLinks.replaceButton'), `group_link_replace_${link.id}`),
+      Markup.button.callback(ctx.tPlain('inviteLinks.revokeButton'), `group_link_revoke_${link.id}`)
+    ],
+    [Markup.button.callback(ctx.tPlain('inviteLinks.backToLinksButton'), `group_links_${group.id}`)]
+  );
 
-      // Make chat history visible if requested
-      if (chatHistoryVisible) {
-        try {
-          await this.client.invoke({
-            _: 'channels.togglePreHistoryHidden',
-            channel: channel,
-            enabled: false
-          });
-        } catch (error) {
-          logger.warning('Could not set chat history visible:', error.message);
-        }
-      }
+  await ctx.editMessageText(
+    ctx.t('inviteLinks.details', {
+      current: isCurrent ? ctx.tPlain('inviteLinks.currentMark') : '',
+      link: link.link,
+      group: group.group_name,
+      created: formatDateTime(link.created_at, ctx.locale),
+      terms: formatInviteLinkTerms(link, ctx.locale)
+    }),
+    Markup.inlineKeyboard(keyboard)
+  );
+});
 
-      // Open all permissions if requested
-      if (openAllPermissions) {
-        try {
-          const defaultBannedRights = {
-            _: 'chatBannedRights',
-            until_date: 0,
-            view_messages: false,
-            send_messages: false,
-            send_media: false,
-            send_stickers: false,
-            send_gifs: false,
-            send_games: false,
-            send_inline: false,
-            embed_links: false,
-            send_polls: false,
-            change_info: false,
-            invite_users: false,
-            pin_messages: false
-          };
+bot.action(/^group_link_current_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
 
-          await this.client.invoke({
-            _: 'messages.editChatDefaultBannedRights',
-            peer: channel,
-            banned_rights: defaultBannedRights
-          });
-        } catch (error) {
-          logger.warning('Could not open all permissions:', error.message);
-        }
-      }
+  const { group, link, error } = await loadManagedInviteLink(ctx, ctx.match[1]);
+  if (error) {
+    await ctx.editMessageText(error.text, error.keyboard);
+    return;
+  }
 
-      // Generate invite link
-      const invite = await this.client.invoke({
-        _: 'messages.exportChatInvite',
-        peer: channel
-      });
+  await group.update({ invite_link: link.link });
+  await recordAudit(ctx.from, 'invite_link.make_current', { group, details: { link: link.link } });
+  await showInviteLinks(ctx, group);
+});
 
-      // Send welcome message if requested
-      if (sendWelcomeMessage) {
-        try {
-          await this.client.sendMessage(channel, {
-            message: welcomeMessageText
-          });
-        } catch (error) {
-          logger.warning('Could not send welcome message:', error.message);
-        }
-      }
+bot.action(/^group_link_(revoke|replace)_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
 
-      // Add members if provided
-      let addedMembers = 0;
-      for (const username of members) {
-        try {
-          const user = await this.client.getEntity(username);
-          await this.client.invoke({
-            _: 'channels.inviteToChannel',
-            channel: channel,
-            users: [user]
-          });
-          addedMembers++;
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        } catch (error) {
-          logger.error(`Failed to add ${username}:`, error.message);
-        }
-      }
+  const { group, link, error } = await loadManagedInviteLink(ctx, ctx.match[2]);
+  if (error) {
+    await ctx.editMessageText(error.text, error.keyboard);
+    return;
+  }
 
-      return {
-        success: true,
-        chat_id: channel.id.toString(),
-        invite_link: invite.link,
-        title: channel.title,
-        members_added: addedMembers,
-        total_members: addedMembers + 1
-      };
-    } catch (error) {
-      logger.error('Error creating group:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  const action = ctx.match[1];
+  await ctx.editMessageText(
+    ctx.t(action === 'revoke' ? 'inviteLinks.confirmRevoke' : 'inviteLinks.confirmReplace', { link: link.link }),
+    Markup.inlineKeyboard([
+      [Markup.button.callback(
+        ctx.tPlain(action === 'revoke' ? 'inviteLinks.confirmRevokeButton' : 'inviteLinks.confirmReplaceButton'),
+        `group_link_${action}_confirm_${link.id}`
+      )],
+      [Markup.button.callback(ctx.tPlain('common.no'), `group_link_${link.id}`)]
+    ])
+  );
+});
+
+bot.action(/^group_link_(revoke|replace)_confirm_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+
+  const { group, account, link, error } = await loadManagedInviteLink(ctx, ctx.match[2]);
+  if (error) {
+    await ctx.editMessageText(error.text, error.keyboard);
+    return;
   }
 
-  async getSelfCreatedGroups() {
-    try {
-      await this.connect();
-      const dialogs = await this.client.getDialogs({});
-      
-      const selfCreatedGroups = [];
-      
-      for (const dialog of dialogs) {
-        try {
-          const entity = dialog.entity;
-          
-          // Skip private chats
-          if (!entity || dialog.isUser) continue;
-          
-          // Check if it's a group/channel
-          const isGroup = entity.megagroup || entity._ === 'chat' || entity._ === 'channel';
-          if (!isGroup) continue;
-          
-          // Check if user is the creator
-          let isCreator = false;
-          
-          if (entity.creator) {
-            isCreator = true;
-          } else {
-            try {
-              const participant = await this.client.getParticipant(entity, await this.client.getMe());
-              if (participant && participant.isCreator) {
-                isCreator = true;
-              }
-            } catch (e) {
-              // Skip if we can't get participant info
-            }
-          }
-          
-          if (isCreator) {
-            selfCreatedGroups.push({
-              id: entity.id,
-              title: entity.title,
-              username: entity.username || null
-            });
-          }
-        } catch (error) {
-          logger.error('Error processing dialog:', error);
-        }
-      }
-      
-      return selfCreatedGroups;
-    } catch (error) {
-      logger.error('Error getting self-created groups:', error);
-      return [];
-    }
+  const action = ctx.match[1];
+  const job = await enqueueInviteLinkAction(ctx, group, account, action, { link_id: link.id });
+  await ctx.editMessageText(
+    ctx.t('inviteLinks.queuedAction', {
+      action: ctx.tPlain(`inviteLinks.actions.${action}`),
+      group: group.group_name,
+      queued: ctx.t('jobs.queuedNotice', { id: job.id })
+    }),
+    jobCancelKeyboard(job, ctx.locale)
+  );
+});
+
+bot.action(/^group_link_new_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+
+  const { group, error } = await loadManagedGroup(ctx, ctx.match[1]);
+  if (error) {
+    await ctx.editMessageText(error.text, error.keyboard);
+    return;
   }
 
-  async sendMessageToGroups(groups, messageText) {
-    const results = [];
-    
-    for (const group of groups) {
-      try {
-        await this.client.sendMessage(group.id, {
-          message: messageText
-        });
-        results.push({
-          group_id: group.id,
-          title: group.title,
-          success: true
-        });
-        
-        // Wait 1 second between messages to avoid rate limits
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      } catch (error) {
-        results.push({
-          group_id: group.id,
-          title: group.title,
-          success: false,
-          error: error.message
-        });
-      }
-    }
-    
-    return results;
+  const options = { group_id: group.id, expire_seconds: null, usage_limit: null, request_needed: false };
+  await setUserSession(ctx.from.id, 'new_invite_link', options);
+  await showNewInviteLinkOptions(ctx, group, options);
+});
+
+bot.action(/^link_(expire|limit)_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+
+  const { group, options } = await getNewInviteLinkDraft(ctx);
+  if (!group) return;
+
+  const value = parseInt(ctx.match[2]) || null;
+  if (ctx.match[1] === 'expire') {
+    options.expire_seconds = value;
+  } else {
+    options.usage_limit = value;
+    if (value) options.request_needed = false;
   }
-}
 
-// Create bot scenes
-const addAccountScene = new BaseScene('addAccount');
-const createBulkScene = new BaseScene('createBulk');
-const createSingleScene = new BaseScene('createSingle');
-const createMultiScene = new BaseScene('createMulti');
-const sendMessageScene = new BaseScene('sendMessage');
+  await setUserSession(ctx.from.id, 'new_invite_link', options);
+  await showNewInviteLinkOptions(ctx, group, options);
+});
 
-// Add Account Scene
-addAccountScene.enter(async (ctx) => {
-  await clearUserSession(ctx.from.id);
-  await setUserSession(ctx.from.id, 'step', 'api_id');
-  
-  await ctx.reply(
-    '📋 **Add Telegram User Account**\n\n' +
-    '1. Go to https://my.telegram.org\n' +
-    '2. Login with your phone number\n' +
-    '3. Create an app to get API credentials\n\n' +
-    'Please send your **API ID**:'
-  );
+bot.action('link_approval', async (ctx) => {
+  await ctx.answerCbQuery();
+
+  const { group, options } = await getNewInviteLinkDraft(ctx);
+  if (!group) return;
+
+  options.request_needed = !options.request_needed;
+  if (options.request_needed) options.usage_limit = null;
+
+  await setUserSession(ctx.from.id, 'new_invite_link', options);
+  await showNewInviteLinkOptions(ctx, group, options);
 });
 
-addAccountScene.on('text', async (ctx) => {
-  const userId = ctx.from.id;
-  const session = await getUserSession(userId);
-  const step = session.step;
-  const text = ctx.message.text.trim();
+bot.action('link_create', async (ctx) => {
+  await ctx.answerCbQuery();
 
-  switch (step) {
-    case 'api_id':
-      if (!/^\d+$/.test(text)) {
-        await ctx.reply('❌ API ID must be a number. Try again:');
-        return;
-      }
-      await setUserSession(userId, 'api_id', text);
-      await setUserSession(userId, 'step', 'api_hash');
-      await ctx.reply('✅ Got API ID. Now send your **API HASH**:');
-      break;
+  const { group, account, options } = await getNewInviteLinkDraft(ctx);
+  if (!group) return;
 
-    case 'api_hash':
-      if (text.length < 10) {
-        await ctx.reply('❌ Invalid API Hash. Try again:');
-        return;
-      }
-      await setUserSession(userId, 'api_hash', text);
-      await setUserSession(userId, 'step', 'phone');
-      await ctx.reply(
-        '✅ Got API Hash.\n\n' +
-        'Now send your **Phone Number** in international format:\n' +
-        'Example: +1234567890'
-      );
-      break;
+  await setUserSession(ctx.from.id, 'new_invite_link', null);
 
-    case 'phone':
-      if (!/^\+[1-9]\d{1,14}$/.test(text)) {
-        await ctx.reply(
-          '❌ Invalid phone format. Use international format: +1234567890\n' +
-          'Try again:'
-        );
-        return;
-      }
+  const job = await enqueueInviteLinkAction(ctx, group, account, 'create', {
+    options: {
+      expire_seconds: options.expire_seconds,
+      usage_limit: options.usage_limit,
+      request_needed: options.request_needed
+    }
+  });
+  await ctx.editMessageText(
+    ctx.t('inviteLinks.creating', { group: group.group_name, queued: ctx.t('jobs.queuedNotice', { id: job.id }) }),
+    jobCancelKeyboard(job, ctx.locale)
+  );
+});
 
-      // Check if phone already exists
-      const existingAccount = await UserAccount.findOne({ where: { phone: text } });
-      if (existingAccount) {
-        if (existingAccount.owner_user_id === userId || isAdmin(userId, getUsernameFromCtx(ctx))) {
-          await ctx.reply(
-            `✅ Phone number ${text} already exists in your accounts.\n` +
-            'You can use it directly.'
-          );
-          return ctx.scene.leave();
-        } else {
-          await ctx.reply(
-            `❌ Phone number ${text} already exists in database.\n` +
-            'Use a different phone number.'
-          );
-          return ctx.scene.leave();
-        }
-      }
+// Check accounts command
+bot.command('checkaccounts', async (ctx) => {
+  const userId = ctx.from.id;
+
+  const accounts = await UserAccount.findAll({
+    where: hasCapability(userId, 'use_all_accounts') ? {} : { owner_user_id: userId },
+    attributes: ['id']
+  });
 
-      await setUserSession(userId, 'phone', text);
-      
-      const sessionData = await getUserSession(userId);
-      if (!sessionData.api_id || !sessionData.api_hash) {
-        await ctx.reply('❌ Session expired. Start again with /addaccount');
-        return ctx.scene.leave();
-      }
+  if (!accounts.length) {
+    await ctx.reply(ctx.t('common.noAccountsYet'));
+    return;
+  }
 
-      // Initialize UserAccountManager and send code
-      const account = new UserAccountManager(
-        text,
-        sessionData.api_id,
-        sessionData.api_hash
-      );
+  const statusMsg = await ctx.reply(
+    ctx.t('health.queued', { count: accounts.length, status: ctx.tPlain('jobs.statusQueued') })
+  );
 
-      const codeResult = await account.sendCode();
-      if (codeResult.success) {
-        await setUserSession(userId, 'account', account);
-        await setUserSession(userId, 'phoneCodeHash', codeResult.phoneCodeHash);
-        await setUserSession(userId, 'step', 'code');
-        
-        await ctx.reply(
-          '✅ Code sent to your Telegram app!\n\n' +
-          'Please send the **verification code** you received:'
-        );
-      } else {
-        await ctx.reply('❌ Failed to send code. Check phone number.');
-        return ctx.scene.leave();
-      }
-      break;
+  const job = await enqueueJob({
+    type: 'check_accounts',
+    userId,
+    chatId: ctx.chat.id,
+    locale: ctx.locale,
+    statusMessageId: statusMsg.message_id,
+    payload: { account_ids: accounts.map(acc => acc.id) }
+  });
 
-    case 'code':
-      if (!/^\d{5}$/.test(text)) {
-        await ctx.reply('❌ Invalid code format. Send 5-digit code:');
-        return;
-      }
+  await ctx.telegram.editMessageText(
+    statusMsg.chat.id,
+    statusMsg.message_id,
+    null,
+    ctx.t('health.queued', { count: accounts.length, status: ctx.tPlain('jobs.statusQueuedAs', { id: job.id }) }),
+    jobCancelKeyboard(job, ctx.locale)
+  );
+});
 
-      const userSession = await getUserSession(userId);
-      if (!userSession.account || !userSession.phoneCodeHash) {
-        await ctx.reply('❌ Session expired. Start again.');
-        return ctx.scene.leave();
-      }
+// Jobs command
+const JOB_LIST_LIMIT = 10;
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
 
-      const signInResult = await userSession.account.signIn(text, userSession.phoneCodeHash);
-      
-      if (signInResult.success) {
-        // Save account to database
-        const newAccount = await UserAccount.create({
-          phone: userSession.phone,
-          api_id: userSession.api_id,
-          api_hash: userSession.api_hash,
-          session_string: signInResult.session,
-          is_active: true,
-          owner_user_id: userId,
-          owner_username: getUsernameFromCtx(ctx)
-        });
+async function renderJobList(ctx) {
+  const jobs = await BackgroundJob.findAll({
+    where: { user_id: ctx.from.id },
+    order: [['id', 'DESC']],
+    limit: JOB_LIST_LIMIT
+  });
 
-        await clearUserSession(userId);
-        await ctx.reply(
-          '✅ **Account added successfully!**\n\n' +
-          'This account can now create groups.\n' +
-          'Use /creategroup to start.'
-        );
-        return ctx.scene.leave();
-      } else if (signInResult.requires2FA) {
-        await setUserSession(userId, 'step', 'password');
-        await ctx.reply(
-          '🔐 **Two-Factor Authentication Enabled**\n\n' +
-          'Please send your 2FA password:'
-        );
-      } else {
-        await ctx.reply('❌ Invalid code. Try /addaccount again.');
-        return ctx.scene.leave();
-      }
-      break;
+  if (!jobs.length) {
+    return { text: ctx.t('jobs.listEmpty'), keyboard: Markup.inlineKeyboard([]) };
+  }
 
-    case 'password':
-      const sessionData2 = await getUserSession(userId);
-      if (!sessionData2.account) {
-        await ctx.reply('❌ Session expired. Start again.');
-        return ctx.scene.leave();
-      }
+  let text = html`${ctx.t('jobs.listTitle', { count: JOB_LIST_LIMIT })}\n\n`;
+  const keyboard = [];
 
-      const passwordResult = await sessionData2.account.signInWithPassword(text);
-      
-      if (passwordResult.success) {
-        // Save account to database
-        const newAccount = await UserAccount.create({
-          phone: sessionData2.phone,
-          api_id: sessionData2.api_id,
-          api_hash: sessionData2.api_hash,
-          session_string: passwordResult.session,
-          is_active: true,
-          owner_user_id: userId,
-          owner_username: getUsernameFromCtx(ctx)
-        });
+  for (const job of jobs) {
+    text += html`${ctx.t('jobs.entry', {
+      id: job.id,
+      operation: formatJobType(job.type, ctx.locale),
+      status: JOB_STATUSES.includes(job.status) ? ctx.tPlain(`jobs.status.${job.status}`) : job.status,
+      progress: job.progress_total ? ` (${job.progress_current}/${job.progress_total})` : '',
+      cancelling: job.cancel_requested && isJobActive(job) ? ctx.tPlain('jobs.cancelling') : '',
+      created: formatDateTime(job.created_at, ctx.locale)
+    })}\n`;
+    if (job.error) {
+      text += html`${ctx.t('jobs.entryError', { error: job.error })}\n`;
+    }
 
-        await clearUserSession(userId);
-        await ctx.reply(
-          '✅ **Account added successfully with 2FA!**\n\n' +
-          'Use /creategroup to start creating groups.'
-        );
-        return ctx.scene.leave();
-      } else {
-        await ctx.reply('❌ Invalid password. Try /addaccount again.');
-        return ctx.scene.leave();
-      }
-      break;
+    if (isJobActive(job) && !job.cancel_requested) {
+      keyboard.push([Markup.button.callback(ctx.tPlain('jobs.cancelShortButton', { id: job.id }), `job_cancel_${job.id}`)]);
+    }
   }
+
+  keyboard.push([Markup.button.callback(ctx.tPlain('jobs.refreshButton'), 'jobs_refresh')]);
+  return { text, keyboard: Markup.inlineKeyboard(keyboard) };
+}
+
+bot.command('jobs', async (ctx) => {
+  const { text, keyboard } = await renderJobList(ctx);
+  await ctx.reply(text, keyboard);
 });
 
-addAccountScene.command('cancel', async (ctx) => {
-  await clearUserSession(ctx.from.id);
-  await ctx.reply('❌ Operation cancelled.');
-  return ctx.scene.leave();
+bot.action('jobs_refresh', async (ctx) => {
+  await ctx.answerCbQuery();
+  const { text, keyboard } = await renderJobList(ctx);
+  await ctx.editMessageText(text, keyboard).catch(() => {});
 });
 
-// Create Single Group Scene
-createSingleScene.enter(async (ctx) => {
-  const userId = ctx.from.id;
-  const username = getUsernameFromCtx(ctx);
-  
-  let accounts;
-  if (isAdmin(userId, username)) {
-    accounts = await UserAccount.findAll({
-      where: { is_active: true, is_banned: false }
-    });
-  } else {
-    accounts = await UserAccount.findAll({
-      where: { owner_user_id: userId, is_active: true, is_banned: false }
-    });
+bot.action(/^job_cancel_(\d+)$/, async (ctx) => {
+  const job = await BackgroundJob.findOne({
+    where: { id: ctx.match[1], user_id: ctx.from.id }
+  });
+
+  if (!job) {
+    await ctx.answerCbQuery(ctx.tPlain('jobs.notFound'), { show_alert: true });
+    return;
+  }
+  if (!isJobActive(job)) {
+    await ctx.answerCbQuery(ctx.tPlain('jobs.alreadyFinished', { id: job.id }), { show_alert: true });
+    return;
   }
 
-  if (!accounts.length) {
-    await ctx.reply(
-      '❌ No active accounts found.\n' +
-      'Use /addaccount to add a Telegram user account first.'
+  if (job.status === 'queued') {
+    const [cancelled] = await BackgroundJob.update(
+      { status: 'cancelled', cancel_requested: true, finished_at: new Date() },
+      { where: { id: job.id, status: 'queued' } }
     );
-    return ctx.scene.leave();
+    if (cancelled) {
+      await job.reload();
+      await auditJob(job, 'cancelled');
+      const locale = getJobLocale(job);
+      await editJobMessage(job, t(locale, 'jobs.cancelled', { id: job.id, operation: formatJobType(job.type, locale) }));
+      await ctx.answerCbQuery(ctx.tPlain('jobs.cancelledAlert', { id: job.id }));
+      return;
+    }
   }
 
-  await setUserSession(userId, 'accounts', accounts);
-  await setUserSession(userId, 'mode', 'single');
+  await BackgroundJob.update({ cancel_requested: true }, { where: { id: job.id } });
+  logger.info(`Cancellation requested for job #${job.id} by ${ctx.from.id}`);
+  await ctx.answerCbQuery(ctx.tPlain('jobs.cancellingAlert', { id: job.id }));
+});
 
-  const keyboard = accounts.map((acc, i) => [
-    Markup.button.callback(
-      `${i + 1}. ${acc.phone}${isAdmin(acc.owner_user_id, acc.owner_username) ? ' 👑' : ''}`,
-      `select_acc_${i}`
-    )
-  ]);
+// Stats command
+async function formatBotStatistics(locale) {
+  const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const uniqueUsers = await UserAccount.aggregate('owner_user_id', 'DISTINCT', { plain: false });
 
-  keyboard.push([Markup.button.callback('❌ Cancel', 'cancel_selection')]);
+  return t(locale, 'stats.summary', {
+    total: await UserAccount.count(),
+    active: await UserAccount.count({ where: { is_active: true } }),
+    banned: await UserAccount.count({ where: { is_banned: true } }),
+    users: uniqueUsers.length,
+    recent: await UserAccount.count({ where: { last_used: { [Sequelize.Op.gte]: dayAgo } } })
+  });
+}
 
-  const adminNote = isAdmin(userId, username) ? ' (All accounts - Admin View)' : '';
-  
-  await ctx.reply(
-    `📱 **Select Account for Group Creation**${adminNote}\n\n` +
-    `Available accounts (${accounts.length}):`,
-    Markup.inlineKeyboard(keyboard)
-  );
+bot.command('stats', async (ctx) => {
+  const userId = ctx.from.id;
+
+  let text = html`${await formatBotStatistics(ctx.locale)}\n`;
+  if (hasCapability(userId, 'view_all')) {
+    text += html`\n${ctx.t('stats.roles', { roles: formatRoleCounts(ctx.locale) })}\n`;
+  }
+  text += html`\n${ctx.t('stats.usage', { usage: await formatQuotaUsage(userId, ctx.locale) })}\n`;
+
+  await ctx.reply(text);
 });
 
-createSingleScene.action(/select_acc_(\d+)/, async (ctx) => {
-  await ctx.answerCbQuery();
-  
+// Cleanup command
+bot.command('cleanup', async (ctx) => {
   const userId = ctx.from.id;
-  const username = getUsernameFromCtx(ctx);
-  const accIndex = parseInt(ctx.match[1]);
   
-  const session = await getUserSession(userId);
-  const accounts = session.accounts || [];
+  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
   
-  if (accIndex >= accounts.length) {
-    await ctx.editMessageText('❌ Invalid account selection.');
-    return ctx.scene.leave();
+  let whereClause;
+  if (hasCapability(userId, 'manage_accounts')) {
+    whereClause = {
+      last_used: { [Sequelize.Op.lt]: weekAgo },
+      is_active: true
+    };
+  } else {
+    whereClause = {
+      owner_user_id: userId,
+      last_used: { [Sequelize.Op.lt]: weekAgo },
+      is_active: true
+    };
   }
   
-  const selectedAccount = accounts[accIndex];
+  const oldAccounts = await UserAccount.findAll({ where: whereClause });
+  const deactivated = oldAccounts.length;
   
-  // Check ownership for non-admin users
-  if (!isAdmin(userId, username) && selectedAccount.owner_user_id !== userId) {
-    await ctx.editMessageText('❌ You don\'t have permission to use this account.');
-    return ctx.scene.leave();
+  for (const account of oldAccounts) {
+    await account.update({ is_active: false });
+    await recordAudit(ctx.from, 'account.cleanup', { account, details: { last_used: account.last_used } });
+  }
+  if (!deactivated) {
+    await recordAudit(ctx.from, 'account.cleanup', { details: { deactivated: 0 } });
   }
   
-  await setUserSession(userId, 'selected_account', selectedAccount);
+  await ctx.reply(ctx.t(hasCapability(userId, 'manage_accounts') ? 'cleanup.admin' : 'cleanup.own', { count: deactivated }));
+});
+
+// Admin command
+bot.command('admin', async (ctx) => {
+  const userId = ctx.from.id;
   
-  const groupName = generateGroupName();
+  if (!hasCapability(userId, 'view_all')) {
+    await ctx.reply(ctx.t('common.adminOnly'));
+    return;
+  }
   
-  await ctx.editMessageText(
-    `✅ Selected account: **${selectedAccount.phone}**\n\n` +
-    `Creating group with auto-generated name...`
+  await ctx.reply(
+    ctx.t('admin.panel'),
+    Markup.inlineKeyboard(buildAdminPanelKeyboard(ctx))
   );
-  
-  // Create the group
-  try {
-    const account = new UserAccountManager(
-      selectedAccount.phone,
-      selectedAccount.api_id,
-      selectedAccount.api_hash
-    );
-    account.session_string = selectedAccount.session_string;
-    
-    const result = await account.createGroupWithFeatures(groupName);
-    
-    if (result.success) {
-      // Update last used
-      await selectedAccount.update({ last_used: new Date() });
-      
-      const keyboard = [
-        [Markup.button.url('🔗 Open Group', result.invite_link)],
-        [Markup.button.callback('📋 Copy Link', `copy_${result.invite_link}`)],
-        [
-          Markup.button.callback('📱 List Accounts', 'list_accounts'),
-          Markup.button.callback('🚀 Create Another', 'create_another')
-        ],
-        [Markup.button.callback('🏠 Main Menu', 'main_menu')]
-      ];
-      
-      await ctx.editMessageText(
-        `✅ **Group Created Successfully!**\n\n` +
-        `**Name:** ${groupName}\n` +
-        `**ID:** ${result.chat_id}\n` +
-        `**Account:** ${selectedAccount.phone}\n` +
-        `**Features:**\n` +
-        `• ✅ 'hello' message sent\n` +
-        `• ✅ All permissions open\n` +
-        `• ✅ Chat history visible\n\n` +
-        `What would you like to do next?`,
-        Markup.inlineKeyboard(keyboard)
-      );
+});
+
+// Audit log
+const AUDIT_PAGE_SIZE = 10;
+const AUDIT_EXPORT_LIMIT = 5000;
+const AUDIT_OUTCOME_ICONS = { success: '✅', failure: '❌', cancelled: '🛑' };
+const AUDIT_CSV_COLUMNS = [
+  'id', 'created_at', 'actor_id', 'actor_username', 'action', 'outcome',
+  'account_id', 'account_phone', 'group_id', 'group_name', 'error', 'details'
+];
+
+// Parses `/auditlog user:<id|@name> account:<phone|id> action:<prefix> from:<date> to:<date> [csv]`
+function parseAuditArgs(args) {
+  const filters = {};
+  let csv = false;
+
+  for (const arg of args) {
+    if (arg.toLowerCase() === 'csv') {
+      csv = true;
+      continue;
+    }
+    const separator = arg.indexOf(':');
+    const key = separator > 0 ? arg.slice(0, separator).toLowerCase() : null;
+    const value = separator > 0 ? arg.slice(separator + 1) : '';
+    if (!['user', 'account', 'action', 'from', 'to'].includes(key) || !value) {
+      return { error: 'audit.errors.unknownFilter', errorParams: { filter: arg } };
+    }
+    if ((key === 'from' || key === 'to') && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return { error: 'audit.errors.badDate', errorParams: { value } };
+    }
+    filters[key] = value;
+  }
+
+  return { filters, csv };
+}
+
+function buildAuditWhere(filters) {
+  const where = {};
+  const { Op } = Sequelize;
+
+  if (filters.user) {
+    if (filters.user.startsWith('@')) {
+      where.actor_username = { [Op.like]: filters.user.slice(1) };
     } else {
-      await ctx.editMessageText(`❌ Failed to create group: ${result.error || 'Unknown error'}`);
+      where.actor_id = filters.user;
     }
-    
-    await account.disconnect();
-  } catch (error) {
-    logger.error('Error creating single group:', error);
-    await ctx.editMessageText(`❌ Error creating group: ${error.message}`);
   }
-  
-  return ctx.scene.leave();
-});
+  if (filters.account) {
+    // Short numbers are account IDs, anything longer is (part of) a phone number
+    if (/^\d{1,6}$/.test(filters.account)) {
+      where.account_id = parseInt(filters.account);
+    } else {
+      where.account_phone = { [Op.like]: `%${filters.account.replace(/^\+/, '')}%` };
+    }
+  }
+  if (filters.action) {
+    where.action = { [Op.like]: `${filters.action}%` };
+  }
+  if (filters.from || filters.to) {
+    where.created_at = {};
+    if (filters.from) where.created_at[Op.gte] = new Date(`${filters.from}T00:00:00`);
+    if (filters.to) where.created_at[Op.lte] = new Date(`${filters.to}T23:59:59.999`);
+  }
 
-createSingleScene.action('cancel_selection', async (ctx) => {
-  await ctx.answerCbQuery();
-  await ctx.editMessageText('❌ Operation cancelled.');
-  return ctx.scene.leave();
-});
+  return where;
+}
 
-// Send Message Scene
-sendMessageScene.enter(async (ctx) => {
-  await ctx.reply(
-    '📤 **Send Message to Your Self-Created Groups**\n\n' +
-    'This feature will send a message to all groups/channels ' +
-    'where you are the **CREATOR** (not just admin).\n\n' +
-    '**Important:** Only sends to groups you created yourself.\n\n' +
-    '**Please choose account type:**',
-    Markup.inlineKeyboard([
-      [Markup.button.callback('📱 Single Account', 'msg_single')],
-      [Markup.button.callback('📱📱 Multiple Accounts', 'msg_multi')],
-      [Markup.button.callback('❌ Cancel', 'cancel_selection')]
-    ])
-  );
-});
+function formatAuditFilters(filters, locale) {
+  const parts = Object.entries(filters).map(([key, value]) => `${key}:${value}`);
+  return parts.length ? parts.join(' ') : tPlain(locale, 'audit.noFilters');
+}
 
-sendMessageScene.action('msg_single', async (ctx) => {
-  await ctx.answerCbQuery();
-  await ctx.editMessageText('📱 **Select Account for Message Sending**\n\nChoose which account to use:');
-  
-  const userId = ctx.from.id;
-  const username = getUsernameFromCtx(ctx);
-  
-  let accounts;
-  if (isAdmin(userId, username)) {
-    accounts = await UserAccount.findAll({
-      where: { is_active: true, is_banned: false }
-    });
+function formatAuditEvent(event, locale) {
+  const actor = event.actor_id
+    ? `${event.actor_id}${event.actor_username ? ` (@${event.actor_username})` : ''}`
+    : tPlain(locale, 'audit.system');
+  const parts = [t(locale, 'audit.event', {
+    icon: AUDIT_OUTCOME_ICONS[event.outcome] || '•',
+    time: formatDateTime(event.created_at, locale),
+    action: event.action,
+    actor
+  })];
+  if (event.account_phone || event.account_id) {
+    parts.push(t(locale, 'audit.eventAccount', { account: event.account_phone || `#${event.account_id}` }));
+  }
+  if (event.group_name || event.group_id) {
+    parts.push(t(locale, 'audit.eventGroup', { group: event.group_name || `#${event.group_id}` }));
+  }
+  if (event.error) {
+    parts.push(t(locale, 'audit.eventError', { error: event.error }));
+  }
+  return joinHtml(parts, '');
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+      : String(value);
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+async function showAuditLog(ctx, filters, page, edit = false) {
+  const where = buildAuditWhere(filters);
+  const total = await AuditEvent.count({ where });
+  const totalPages = Math.max(1, Math.ceil(total / AUDIT_PAGE_SIZE));
+  page = Math.min(Math.max(page, 0), totalPages - 1);
+
+  const events = await AuditEvent.findAll({
+    where,
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit: AUDIT_PAGE_SIZE,
+    offset: page * AUDIT_PAGE_SIZE
+  });
+
+  let text = html`${ctx.t('audit.title', { filters: formatAuditFilters(filters, ctx.locale), count: total })}\n\n`;
+  text += events.length
+    ? joinHtml(events.map(event => formatAuditEvent(event, ctx.locale)), '\n\n')
+    : ctx.t('audit.empty');
+
+  const keyboard = [];
+  const navigation = buildPageNavigation('audit_page', page, totalPages);
+  if (navigation.length) keyboard.push(navigation);
+  if (total) keyboard.push([Markup.button.callback(ctx.tPlain('audit.exportButton'), 'audit_csv')]);
+  keyboard.push([Markup.button.callback(ctx.tPlain('admin.backButton'), 'admin_panel')]);
+
+  if (edit) {
+    await ctx.editMessageText(text, Markup.inlineKeyboard(keyboard));
   } else {
-    accounts = await UserAccount.findAll({
-      where: { owner_user_id: userId, is_active: true, is_banned: false }
-    });
+    await ctx.reply(text, Markup.inlineKeyboard(keyboard));
   }
-  
-  if (!accounts.length) {
-    await ctx.editMessageText('❌ No active accounts found.');
-    return ctx.scene.leave();
+}
+
+async function sendAuditCsv(ctx, filters) {
+  const events = await AuditEvent.findAll({
+    where: buildAuditWhere(filters),
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit: AUDIT_EXPORT_LIMIT
+  });
+
+  if (!events.length) {
+    await ctx.reply(ctx.t('audit.emptyExport'));
+    return;
   }
-  
-  await setUserSession(userId, 'msg_mode', 'single');
-  await setUserSession(userId, 'accounts', accounts);
-  await setUserSession(userId, 'selected_msg_accounts', []);
-  
-  const keyboard = accounts.map((acc, i) => [
-    Markup.button.callback(
-      `${i + 1}. ${acc.phone}${isAdmin(acc.owner_user_id, acc.owner_username) ? ' 👑' : ''}`,
-      `msg_acc_${i}`
-    )
-  ]);
-  
-  keyboard.push([Markup.button.callback('❌ Cancel', 'cancel_selection')]);
-  
-  const adminNote = isAdmin(userId, username) ? ' (All accounts - Admin View)' : '';
-  
-  await ctx.editMessageText(
-    `📱 **Select Account for Message Sending**${adminNote}\n\n` +
-    `Available accounts (${accounts.length}):`,
-    Markup.inlineKeyboard(keyboard)
+
+  const rows = [AUDIT_CSV_COLUMNS.join(',')];
+  for (const event of events) {
+    rows.push(AUDIT_CSV_COLUMNS.map(column => toCsvValue(event[column])).join(','));
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  await ctx.replyWithDocument(
+    { source: Buffer.from(rows.join('\n') + '\n', 'utf8'), filename: `audit-log-${stamp}.csv` },
+    {
+      // Telegraf reads any caption that is not a string primitive as its own formatted text
+      caption: String(ctx.t('audit.csvCaption', {
+        count: events.length,
+        limited: events.length === AUDIT_EXPORT_LIMIT ? ctx.tPlain('audit.csvLimited', { limit: AUDIT_EXPORT_LIMIT }) : '',
+        filters: formatAuditFilters(filters, ctx.locale)
+      }))
+    }
   );
-});
+}
 
-sendMessageScene.action(/msg_acc_(\d+)/, async (ctx) => {
-  await ctx.answerCbQuery();
-  
-  const userId = ctx.from.id;
-  const username = getUsernameFromCtx(ctx);
-  const accIndex = parseInt(ctx.match[1]);
-  
-  const session = await getUserSession(userId);
-  const accounts = session.accounts || [];
-  
-  if (accIndex >= accounts.length) {
-    await ctx.editMessageText('❌ Invalid account selection.');
-    return ctx.scene.leave();
+bot.command('auditlog', async (ctx) => {
+  if (!hasCapability(ctx.from.id, 'view_audit')) {
+    await ctx.reply(ctx.t('common.adminOnly'));
+    return;
   }
-  
-  const selectedAccount = accounts[accIndex];
-  
-  // Check ownership for non-admin users
-  if (!isAdmin(userId, username) && selectedAccount.owner_user_id !== userId) {
-    await ctx.editMessageText('❌ You don\'t have permission to use this account.');
-    return ctx.scene.leave();
+
+  const parsed = parseAuditArgs(ctx.message.text.split(/\s+/).slice(1));
+  if (parsed.error) {
+    await ctx.reply(ctx.t('audit.usage', { error: ctx.tPlain(parsed.error, parsed.errorParams) }));
+    return;
   }
-  
-  await setUserSession(userId, 'selected_msg_accounts', [selectedAccount]);
-  
-  await ctx.editMessageText(
-    `✅ Selected account: **${selectedAccount.phone}**\n\n` +
-    `Now send the **message text** you want to send to all self-created groups:`
-  );
-  
-  // Set state to wait for message text
-  await setUserSession(userId, 'step', 'get_message_text');
-});
 
-sendMessageScene.on('text', async (ctx) => {
-  const userId = ctx.from.id;
-  const session = await getUserSession(userId);
-  
-  if (session.step === 'get_message_text') {
-    const messageText = ctx.message.text.trim();
-    
-    if (!messageText) {
-      await ctx.reply('❌ Message cannot be empty. Try again:');
-      return;
-    }
-    
-    const selectedAccounts = session.selected_msg_accounts || [];
-    
-    if (!selectedAccounts.length) {
-      await ctx.reply('❌ No accounts selected. Start again.');
-      return ctx.scene.leave();
-    }
-    
-    // Start sending messages
-    const statusMsg = await ctx.reply(
-      `📤 **Sending Message to Self-Created Groups**\n\n` +
-      `**Account:** ${selectedAccounts[0].phone}\n` +
-      `**Message:** ${messageText.substring(0, 50)}...\n` +
-      `**Target:** Only groups you created (you're creator)\n` +
-      `**Status:** Checking your groups from Telegram...`
-    );
-    
-    try {
-      const account = new UserAccountManager(
-        selectedAccounts[0].phone,
-        selectedAccounts[0].api_id,
-        selectedAccounts[0].api_hash
-      );
-      account.session_string = selectedAccounts[0].session_string;
-      
-      // Get self-created groups
-      const groups = await account.getSelfCreatedGroups();
-      
-      if (!groups.length) {
-        await ctx.editMessageText(
-          `❌ No self-created groups found for account ${selectedAccounts[0].phone}.\n` +
-          `This account didn't create any groups or you're not the creator.\n\n` +
-          `Note: We only send to groups where you are the creator, not just admin.`
-        );
-        await account.disconnect();
-        return ctx.scene.leave();
-      }
-      
-      await ctx.editMessageText(
-        `📤 **Sending Message to Self-Created Groups**\n\n` +
-        `**Account:** ${selectedAccounts[0].phone}\n` +
-        `**Message:** ${messageText.substring(0, 50)}...\n` +
-        `**Target:** ${groups.length} groups (you're creator)\n` +
-        `**Status:** Sending messages...\n\n` +
-        `Progress: 0/${groups.length} (0%)`
-      );
-      
-      // Send messages
-      const results = await account.sendMessageToGroups(groups, messageText);
-      
-      const successCount = results.filter(r => r.success).length;
-      const failedCount = results.filter(r => !r.success).length;
-      
-      // Update account last used
-      await selectedAccounts[0].update({ last_used: new Date() });
-      
-      const successRate = groups.length > 0 ? (successCount / groups.length) * 100 : 0;
-      
-      const keyboard = [
-        [
-          Markup.button.callback('📱 List Accounts', 'list_accounts'),
-          Markup.button.callback('📤 Send Another', 'send_another')
-        ],
-        [Markup.button.callback('🏠 Main Menu', 'main_menu')]
-      ];
-      
-      await ctx.editMessageText(
-        `✅ **Message Sending Complete!**\n\n` +
-        `**Account:** ${selectedAccounts[0].phone}\n` +
-        `**Self-created groups found:** ${groups.length}\n` +
-        `**✅ Success:** ${successCount}\n` +
-        `**❌ Failed:** ${failedCount}\n` +
-        `**Success Rate:** ${successRate.toFixed(1)}%\n\n` +
-        `**Note:** Messages sent only to groups where you're the creator.\n\n` +
-        `**Message:** ${messageText.substring(0, 100)}...`,
-        Markup.inlineKeyboard(keyboard)
-      );
-      
-      await account.disconnect();
-    } catch (error) {
-      logger.error('Error sending messages:', error);
-      await ctx.editMessageText(`❌ **Failed to send messages**\n\nError: ${error.message}`);
-    }
-    
-    return ctx.scene.leave();
+  await setUserSession(ctx.from.id, 'audit_filters', parsed.filters);
+  if (parsed.csv) {
+    await sendAuditCsv(ctx, parsed.filters);
+  } else {
+    await showAuditLog(ctx, parsed.filters, 0);
   }
 });
 
-sendMessageScene.action('cancel_selection', async (ctx) => {
-  await ctx.answerCbQuery();
-  await ctx.editMessageText('❌ Operation cancelled.');
-  return ctx.scene.leave();
+bot.action(/^audit_page_(\d+)$/, async (ctx) => {
+  if (!await ensureCapabilityCallback(ctx, 'view_audit')) return;
+
+  const session = await getUserSession(ctx.from.id);
+  await showAuditLog(ctx, session.audit_filters || {}, parseInt(ctx.match[1]), true);
 });
 
-// Initialize bot
-const bot = new Telegraf(BOT_TOKEN);
+bot.action('audit_csv', async (ctx) => {
+  if (!await ensureCapabilityCallback(ctx, 'view_audit')) return;
 
-// Session middleware
-bot.use(session());
-bot.use(async (ctx, next) => {
-  // Store user info in session
-  if (ctx.from) {
-    ctx.session.userId = ctx.from.id;
-    ctx.session.username = ctx.from.username;
-    
-    // Register admin if applicable
-    if (ctx.from.username && ADMIN_USERNAMES.includes(ctx.from.username.toLowerCase())) {
-      ADMIN_USER_IDS.add(ctx.from.id);
-    }
-  }
-  await next();
+  const session = await getUserSession(ctx.from.id);
+  await sendAuditCsv(ctx, session.audit_filters || {});
 });
 
-// Stage for scenes
-const stage = new Stage([
-  addAccountScene,
-  createSingleScene,
-  createBulkScene,
-  createMultiScene,
-  sendMessageScene
-]);
+// Role management
+// Role lines are short, so the roles screen lists more per page
+const ROLES_PAGE_SIZE = 25;
 
-bot.use(stage.middleware());
+// Refuses to leave the bot without an admin
+function isLastAdmin(userId) {
+  if (getUserRole(userId) !== 'admin') return false;
+  return [...userRoles.values()].filter(role => role === 'admin').length === 1;
+}
 
-// Start command
-bot.start(async (ctx) => {
-  const userId = ctx.from.id;
-  const username = ctx.from.username;
-  
-  // Register admin if applicable
-  if (username && ADMIN_USERNAMES.includes(username.toLowerCase())) {
-    ADMIN_USER_IDS.add(userId);
-    logger.info(`Admin user registered: ${username} (ID: ${userId})`);
+async function notifyRoleChange(userId, text) {
+  try {
+    await bot.telegram.sendMessage(userId, text);
+  } catch (error) {
+    logger.warn(`Could not notify user ${userId} about a role change: ${error.message}`);
   }
-  
-  const adminBadge = isAdmin(userId, username) ? ' 👑' : '';
-  
-  let message = `🤖 **Auto Group Creator Bot**${adminBadge}\n\n` +
-    `**Available commands:**\n` +
-    `/addaccount - Add Telegram user account\n` +
-    `/creategroup - Create single group (choose account)\n` +
-    `/createbulk - Create multiple groups (choose account)\n` +
-    `/createmulti - Create groups for multiple/all accounts\n` +
-    `/quickcreate - Quick single group (auto-select account)\n` +
-    `/listaccounts - List your accounts\n` +
-    `/cleanup - Cleanup old sessions\n` +
-    `/sendmessage - Send message to your self-created groups\n` +
-    `/stats - Show statistics\n` +
-    `/cancel - Cancel current operation\n`;
-  
-  if (isAdmin(userId, username)) {
-    message += `/admin - Admin panel\n\n`;
+}
+
+bot.command('grantrole', async (ctx) => {
+  if (!hasCapability(ctx.from.id, 'manage_roles')) {
+    await ctx.reply(ctx.t('common.adminOnly'));
+    return;
   }
-  
-  message += `**Features:**\n` +
-    `• Create 50+ groups automatically\n` +
-    `• 5-second intervals between creations\n` +
-    `• Auto-generated group names\n` +
-    `• 'hello' welcome message\n` +
-    `• Open all permissions\n` +
-    `• Chat history visible\n` +
-    `• Account selection menu\n` +
-    `• NEW: Send messages to your self-created groups\n\n` +
-    `⚠️ **Note**: You need a Telegram user account (not bot) ` +
-    `with API credentials from https://my.telegram.org`;
-  
-  await ctx.reply(message);
+
+  const [targetId, role] = ctx.message.text.split(/\s+/).slice(1);
+  if (!targetId || !/^\d+$/.test(targetId) || !ROLE_CAPABILITIES[role]) {
+    await ctx.reply(ctx.t('roles.usage'));
+    return;
+  }
+
+  const previousRole = getUserRole(targetId);
+  if (previousRole === role) {
+    await ctx.reply(ctx.t('roles.already', { userId: targetId, role: formatRole(role, ctx.locale) }));
+    return;
+  }
+  if (isLastAdmin(targetId)) {
+    await ctx.reply(ctx.t('roles.lastAdmin'));
+    return;
+  }
+
+  const knownAccount = await UserAccount.findOne({ where: { owner_user_id: targetId } });
+  await UserRole.upsert({
+    user_id: targetId,
+    username: knownAccount ? knownAccount.owner_username : null,
+    role,
+    granted_by: ctx.from.id,
+    updated_at: new Date()
+  });
+  userRoles.set(targetId, role);
+  await recordAudit(ctx.from, 'admin.role_grant', { details: { user_id: targetId, role, previous_role: previousRole } });
+  logger.info(`Admin ${ctx.from.id} granted ${role} to user ${targetId}`);
+
+  await ctx.reply(ctx.t(previousRole ? 'roles.grantedReplacing' : 'roles.granted', {
+    userId: targetId,
+    role: formatRole(role, ctx.locale),
+    previous: previousRole ? formatRole(previousRole, ctx.locale) : ''
+  }));
+  const targetLocale = getUserLocale(targetId);
+  await notifyRoleChange(targetId, t(targetLocale, 'roles.grantedNotice', { role: formatRole(role, targetLocale) }));
 });
 
-// Quick create command
-bot.command('quickcreate', async (ctx) => {
-  const userId = ctx.from.id;
-  const username = getUsernameFromCtx(ctx);
-  
-  let account;
-  if (isAdmin(userId, username)) {
-    account = await UserAccount.findOne({
-      where: { is_active: true, is_banned: false },
-      order: [['last_used', 'ASC']]
-    });
-  } else {
-    account = await UserAccount.findOne({
-      where: { owner_user_id: userId, is_active: true, is_banned: false },
-      order: [['last_used', 'ASC']]
-    });
+bot.command('revokerole', async (ctx) => {
+  if (!hasCapability(ctx.from.id, 'manage_roles')) {
+    await ctx.reply(ctx.t('common.adminOnly'));
+    return;
   }
-  
-  if (!account) {
-    await ctx.reply(
-      '❌ No active accounts found.\n' +
-      'Use /addaccount to add a Telegram user account first.'
-    );
+
+  const [targetId] = ctx.message.text.split(/\s+/).slice(1);
+  if (!targetId || !/^\d+$/.test(targetId)) {
+    await ctx.reply(ctx.t('roles.usage'));
     return;
   }
-  
-  const groupName = generateGroupName();
-  
-  const statusMsg = await ctx.reply(
-    `⚡ **Quick Group Creation**\n\n` +
-    `**Account:** ${account.phone}\n` +
-    `**Group:** ${groupName}\n` +
-    `**Features:** 'hello' + Open permissions\n` +
-    `**Status:** Creating...`
-  );
-  
+
+  const previousRole = getUserRole(targetId);
+  if (!previousRole) {
+    await ctx.reply(ctx.t('roles.none', { userId: targetId }));
+    return;
+  }
+  if (isLastAdmin(targetId)) {
+    await ctx.reply(ctx.t('roles.lastAdmin'));
+    return;
+  }
+
+  await UserRole.destroy({ where: { user_id: targetId } });
+  userRoles.delete(targetId);
+  await recordAudit(ctx.from, 'admin.role_revoke', { details: { user_id: targetId, previous_role: previousRole } });
+  logger.info(`Admin ${ctx.from.id} revoked ${previousRole} from user ${targetId}`);
+
+  await ctx.reply(ctx.t('roles.revoked', { userId: targetId, role: formatRole(previousRole, ctx.locale) }));
+  const targetLocale = getUserLocale(targetId);
+  await notifyRoleChange(targetId, t(targetLocale, 'roles.revokedNotice', { role: formatRole(previousRole, targetLocale) }));
+});
+
+bot.action(/^admin_roles(?:_(\d+))?$/, async (ctx) => {
+  if (!await ensureCapabilityCallback(ctx, 'manage_roles')) return;
+
+  const roles = await UserRole.findAll({ order: [['role', 'ASC'], ['user_id', 'ASC']] });
+  const listPage = buildListPage(ctx, {
+    header: roles.length ? ctx.t('admin.roles.title') : html`${ctx.t('admin.roles.title')}\n\n${ctx.t('admin.roles.empty')}`,
+    entries: roles.map(role => ({
+      text: html`${ROLE_ICONS[role.role]} ${role.user_id}${role.username ? ` (@${role.username})` : ''} - ${ctx.t(`roles.names.${role.role}`)}`
+    })),
+    page: parseInt(ctx.match[1]) || 0,
+    prefix: 'admin_roles',
+    footer: ctx.t('roles.usage'),
+    rows: [[Markup.button.callback(ctx.tPlain('admin.backButton'), 'admin_panel')]],
+    pageSize: ROLES_PAGE_SIZE
+  });
+
+  await showListPage(ctx, listPage);
+});
+
+// Access approval
+// userText is a catalog key, sent in the language of the user the decision is about
+const ACCESS_DECISIONS = {
+  approve: { status: 'approved', action: 'admin.access_approve', userText: 'access.decided.approved' },
+  deny: { status: 'denied', action: 'admin.access_deny', userText: 'access.decided.denied' },
+  suspend: { status: 'suspended', action: 'admin.access_suspend', userText: 'access.decided.suspended' }
+};
+
+// Applies an approve/deny/suspend decision and tells the user; returns an error text on refusal
+async function decideAccess(ctx, targetId, decision) {
+  const { status, action, userText } = ACCESS_DECISIONS[decision];
+  const previousStatus = getAccessStatus(targetId);
+
+  if (getUserRole(targetId)) {
+    return ctx.t('access.errors.hasRole', { userId: targetId, role: formatRole(getUserRole(targetId), ctx.locale) });
+  }
+  if (!previousStatus) return ctx.t('access.errors.neverUsed', { userId: targetId });
+  if (previousStatus === status) {
+    return ctx.t('access.errors.already', { userId: targetId, status: formatAccessStatus(status, ctx.locale) });
+  }
+  if (decision === 'deny' && previousStatus !== 'pending') {
+    return ctx.t('access.errors.notPending', { userId: targetId, status: formatAccessStatus(previousStatus, ctx.locale) });
+  }
+
+  await setAccessStatus(targetId, status, ctx.from.id);
+  if (status !== 'approved') {
+    await clearUserSession(targetId);
+  }
+  await recordAudit(ctx.from, action, { details: { user_id: targetId, previous_status: previousStatus } });
+  logger.info(`Admin ${ctx.from.id} set access for user ${targetId} to ${status}`);
+
   try {
-    const userAccount = new UserAccountManager(account.phone, account.api_id, account.api_hash);
-    userAccount.session_string = account.session_string;
-    
-    const result = await userAccount.createGroupWithFeatures(groupName);
-    
-    if (result.success) {
-      await account.update({ last_used: new Date() });
-      
-      const keyboard = [
-        [Markup.button.url('🔗 Open Group', result.invite_link)],
-        [Markup.button.callback('📋 Copy Link', `copy_${result.invite_link}`)],
-        [Markup.button.callback('🏠 Main Menu', 'main_menu')]
-      ];
-      
-      await ctx.telegram.editMessageText(
-        statusMsg.chat.id,
-        statusMsg.message_id,
-        null,
-        `✅ **Group Created Successfully!**\n\n` +
-        `**Name:** ${groupName}\n` +
-        `**ID:** ${result.chat_id}\n` +
-        `**Account:** ${account.phone}\n` +
-        `**Features:** ✅ 'hello' message + Open permissions`,
-        { reply_markup: Markup.inlineKeyboard(keyboard).reply_markup }
-      );
-    } else {
-      await ctx.telegram.editMessageText(
-        statusMsg.chat.id,
-        statusMsg.message_id,
-        null,
-        `❌ Failed to create group: ${result.error || 'Unknown error'}`
-      );
-    }
-    
-    await userAccount.disconnect();
+    await bot.telegram.sendMessage(targetId, t(getUserLocale(targetId), userText));
   } catch (error) {
-    await ctx.telegram.editMessageText(
-      statusMsg.chat.id,
-      statusMsg.message_id,
-      null,
-      `❌ Error: ${error.message}`
-    );
+    logger.warn(`Could not notify user ${targetId} about access ${status}: ${error.message}`);
   }
-});
+  return null;
+}
 
-// List accounts command
-bot.command('listaccounts', async (ctx) => {
-  const userId = ctx.from.id;
-  const username = getUsernameFromCtx(ctx);
-  
-  let accounts;
-  if (isAdmin(userId, username)) {
-    accounts = await UserAccount.findAll({
-      order: [
-        ['owner_user_id', 'ASC'],
-        ['is_active', 'DESC'],
-        ['last_used', 'DESC']
-      ]
-    });
+// Oldest requests first
+async function showAccessRequests(ctx, page = 0) {
+  const total = await BotUser.count({ where: { status: 'pending' } });
+  const window = pageWindow(total, page);
+  const pending = await BotUser.findAll({
+    where: { status: 'pending' },
+    order: [['created_at', 'ASC']],
+    limit: window.limit,
+    offset: window.offset
+  });
+
+  let header = html`${ctx.t('access.requests.title', { mode: ACCESS_MODE })}\n`;
+  if (!total) {
+    header += ctx.t('access.requests.none');
+  } else if (total > pending.length && window.page === 0) {
+    header += ctx.t('access.requests.pendingOldest', { count: total, shown: pending.length });
   } else {
-    accounts = await UserAccount.findAll({
-      where: { owner_user_id: userId },
-      order: [
-        ['is_active', 'DESC'],
-        ['last_used', 'DESC']
+    header += ctx.t('access.requests.pending', { count: total });
+  }
+
+  const listPage = buildListPage(ctx, {
+    header,
+    entries: pending.map(user => ({
+      buttons: [
+        Markup.button.callback(`✅ ${user.username ? '@' + user.username : user.user_id}`, `access_approve_${user.user_id}_list`),
+        Markup.button.callback(ctx.tPlain('access.deny'), `access_deny_${user.user_id}_list`)
       ]
-    });
+    })),
+    page,
+    total,
+    prefix: 'access_requests',
+    footer: ctx.t('access.requests.existingUsers'),
+    rows: [[Markup.button.callback(ctx.tPlain('admin.backButton'), 'admin_panel')]]
+  });
+
+  await showListPage(ctx, listPage);
+}
+
+bot.action(/^access_requests(?:_(\d+))?$/, async (ctx) => {
+  if (!await ensureCapabilityCallback(ctx, 'manage_users')) return;
+  await showAccessRequests(ctx, parseInt(ctx.match[1]) || 0);
+});
+
+// The suffix says where the button lives: an admin notification, the
+// pending list, or (none) the admin view of a user's accounts
+bot.action(/^access_(approve|deny|suspend)_(\d+)(?:_(notice|list))?$/, async (ctx) => {
+  if (!await ensureCapabilityCallback(ctx, 'manage_users')) return;
+
+  const [, decision, targetId, source] = ctx.match;
+  const error = await decideAccess(ctx, targetId, decision);
+
+  if (source === 'notice') {
+    await ctx.editMessageText(ctx.t(error ? 'access.noticeDecided' : 'access.noticeDecidedByYou', {
+      userId: targetId,
+      status: formatAccessStatus(getAccessStatus(targetId), ctx.locale)
+    }));
+  } else if (source === 'list') {
+    await showAccessRequests(ctx);
+  } else {
+    await showAdminAccountPicker(ctx, 'view', 0, targetId);
   }
-  
-  if (!accounts.length) {
-    await ctx.reply('No accounts added yet. Use /addaccount');
+  if (error) {
+    await ctx.reply(error);
+  }
+});
+
+async function handleAccessCommand(ctx, decision) {
+  if (!hasCapability(ctx.from.id, 'manage_users')) {
+    await ctx.reply(ctx.t('common.adminOnly'));
     return;
   }
-  
-  let text;
-  if (isAdmin(userId, username)) {
-    text = '📱 **All User Accounts (Admin View)** 👑\n\n';
-    const accountsByOwner = {};
-    
-    for (const acc of accounts) {
-      const ownerId = acc.owner_user_id;
-      if (!accountsByOwner[ownerId]) {
-        accountsByOwner[ownerId] = [];
-      }
-      accountsByOwner[ownerId].push(acc);
-    }
-    
-    for (const [ownerId, ownerAccounts] of Object.entries(accountsByOwner)) {
-      text += `👤 **User ID:** ${ownerId}\n`;
-      if (ownerAccounts[0].owner_username) {
-        text += `👤 **Username:** @${ownerAccounts[0].owner_username}\n`;
-      }
-      
-      for (const [i, acc] of ownerAccounts.entries()) {
-        const status = acc.is_active ? '🟢 Active' : '🔴 Inactive';
-        const banned = acc.is_banned ? '🚫 Banned' : '';
-        
-        text += `  ${i + 1}. **${acc.phone}**\n`;
-        text += `     Status: ${status} ${banned}\n`;
-        text += `     Last used: ${acc.last_used ? acc.last_used.toLocaleString() : 'Never'}\n`;
-        text += `     Added: ${acc.created_at.toLocaleDateString()}\n\n`;
-      }
-      
-      text += '\n';
-    }
-  } else {
-    text = '📱 **Your Accounts:**\n\n';
-    for (const [i, acc] of accounts.entries()) {
-      const status = acc.is_active ? '🟢 Active' : '🔴 Inactive';
-      const banned = acc.is_banned ? '🚫 Banned' : '';
-      
-      text += `**${i + 1}. ${acc.phone}**\n`;
-      text += `   Status: ${status} ${banned}\n`;
-      text += `   Last used: ${acc.last_used ? acc.last_used.toLocaleString() : 'Never'}\n`;
-      text += `   Added: ${acc.created_at.toLocaleDateString()}\n\n`;
-    }
+
+  const [targetId] = ctx.message.text.split(/\s+/).slice(1);
+  if (!targetId || !/^\d+$/.test(targetId)) {
+    await ctx.reply(ctx.t('access.usage', { command: decision === 'suspend' ? 'suspend' : 'unsuspend' }));
+    return;
   }
-  
-  await ctx.reply(text);
-});
 
-// Stats command
-bot.command('stats', async (ctx) => {
-  const userId = ctx.from.id;
-  const username = getUsernameFromCtx(ctx);
-  
-  const totalAccounts = await UserAccount.count();
-  const activeAccounts = await UserAccount.count({ where: { is_active: true } });
-  const bannedAccounts = await UserAccount.count({ where: { is_banned: true } });
-  const uniqueUsers = await UserAccount.aggregate('owner_user_id', 'DISTINCT', { plain: false });
-  
-  const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-  const recentAccounts = await UserAccount.count({
-    where: {
-      last_used: {
-        [Sequelize.Op.gte]: dayAgo
-      }
-    }
-  });
-  
-  let text = '📊 **Bot Statistics**\n\n';
-  text += `**Total Accounts:** ${totalAccounts}\n`;
-  text += `**Active Accounts:** ${activeAccounts}\n`;
-  text += `**Banned Accounts:** ${bannedAccounts}\n`;
-  text += `**Unique Users:** ${uniqueUsers.length}\n`;
-  text += `**Active in last 24h:** ${recentAccounts}\n`;
-  
-  if (isAdmin(userId, username)) {
-    text += `\n**Admin Users:** ${ADMIN_USER_IDS.size}\n`;
-    text += `**Admin Usernames:** ${ADMIN_USERNAMES.map(u => '@' + u).join(', ')}\n`;
+  const error = await decideAccess(ctx, targetId, decision);
+  await ctx.reply(error || ctx.t('access.commandDone', {
+    userId: targetId,
+    status: formatAccessStatus(getAccessStatus(targetId), ctx.locale)
+  }));
+}
+
+bot.command('suspend', (ctx) => handleAccessCommand(ctx, 'suspend'));
+bot.command('unsuspend', (ctx) => handleAccessCommand(ctx, 'approve'));
+
+// Quota configuration
+function formatQuotaValue(value, locale = FALLBACK_LOCALE) {
+  if (value === null || value === undefined) return tPlain(locale, 'quota.values.inherit');
+  return value === UNLIMITED ? tPlain(locale, 'quota.values.unlimited') : String(value);
+}
+
+async function formatQuotaConfiguration(locale) {
+  const rows = await QuotaLimit.findAll({ order: [['scope', 'ASC'], ['subject', 'ASC']] });
+  const lines = [
+    tPlain(locale, 'quota.builtIn', {
+      limits: Object.keys(QUOTA_METRICS).map(metric => `${metric} ${formatQuotaValue(QUOTA_ENV_DEFAULTS[metric], locale)}`).join(', ')
+    })
+  ];
+  for (const row of rows) {
+    const subject = row.scope === 'default' ? 'default'
+      : row.scope === 'role' ? `role:${row.subject}`
+        : tPlain(locale, 'quota.userScope', { userId: row.subject });
+    lines.push(
+      `${subject}: ` +
+      Object.entries(QUOTA_METRICS).map(([metric, { column }]) => `${metric} ${formatQuotaValue(row[column], locale)}`).join(', ')
+    );
+  }
+  return lines.join('\n');
+}
+
+bot.command('setquota', async (ctx) => {
+  if (!hasCapability(ctx.from.id, 'manage_users')) {
+    await ctx.reply(ctx.t('common.adminOnly'));
+    return;
   }
-  
-  await ctx.reply(text);
-});
 
-// Cleanup command
-bot.command('cleanup', async (ctx) => {
-  const userId = ctx.from.id;
-  const username = getUsernameFromCtx(ctx);
-  
-  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-  
-  let whereClause;
-  if (isAdmin(userId, username)) {
-    whereClause = {
-      last_used: { [Sequelize.Op.lt]: weekAgo },
-      is_active: true
-    };
-  } else {
-    whereClause = {
-      owner_user_id: userId,
-      last_used: { [Sequelize.Op.lt]: weekAgo },
-      is_active: true
-    };
+  const [target, metric, rawValue] = ctx.message.text.split(/\s+/).slice(1);
+  if (!target) {
+    await ctx.reply(html`${ctx.t('quota.title', { configuration: await formatQuotaConfiguration(ctx.locale) })}\n\n${ctx.t('quota.usage')}`);
+    return;
   }
-  
-  const oldAccounts = await UserAccount.findAll({ where: whereClause });
-  const deactivated = oldAccounts.length;
-  
-  for (const account of oldAccounts) {
-    await account.update({ is_active: false });
+
+  let scope;
+  let subject;
+  if (target === 'default') {
+    [scope, subject] = ['default', '*'];
+  } else if (target.startsWith('role:') && ROLE_CAPABILITIES[target.slice(5)]) {
+    [scope, subject] = ['role', target.slice(5)];
+  } else if (/^\d+$/.test(target)) {
+    [scope, subject] = ['user', target];
   }
-  
-  if (isAdmin(userId, username)) {
-    await ctx.reply(
-      `🧹 **Admin Cleanup Completed!** 👑\n` +
-      `Deactivated ${deactivated} inactive accounts (not used in 7 days).`
-    );
-  } else {
-    await ctx.reply(
-      `🧹 Cleanup completed!\n` +
-      `Deactivated ${deactivated} of your inactive accounts (not used in 7 days).`
-    );
+
+  let value;
+  if (rawValue === 'unlimited') {
+    value = UNLIMITED;
+  } else if (rawValue === 'inherit') {
+    value = null;
+  } else if (/^\d+$/.test(rawValue || '')) {
+    value = parseInt(rawValue);
   }
-});
 
-// Admin command
-bot.command('admin', async (ctx) => {
-  const userId = ctx.from.id;
-  const username = getUsernameFromCtx(ctx);
-  
-  if (!isAdmin(userId, username)) {
-    await ctx.reply('❌ This command is only for administrators.');
+  if (!scope || !QUOTA_METRICS[metric] || value === undefined) {
+    await ctx.reply(ctx.t('quota.usage'));
     return;
   }
-  
-  const keyboard = [
-    [Markup.button.callback('📊 System Stats', 'admin_stats')],
-    [Markup.button.callback('👥 List All Users', 'admin_list_users')],
-    [Markup.button.callback('📱 List All Accounts', 'admin_list_all_accounts')],
-    [Markup.button.callback('🔄 Activate/Deactivate', 'admin_toggle_account')],
-    [Markup.button.callback('🚫 Ban/Unban Account', 'admin_ban_account')],
-    [Markup.button.callback('🗑️ Delete Account', 'admin_delete_account')],
-    [Markup.button.callback('🏠 Main Menu', 'main_menu')]
-  ];
-  
-  await ctx.reply(
-    '👑 **Admin Panel**\n\n' +
-    'Select an option:',
-    Markup.inlineKeyboard(keyboard)
-  );
+
+  const [row] = await QuotaLimit.findOrCreate({ where: { scope, subject } });
+  await row.update({ [QUOTA_METRICS[metric].column]: value, updated_by: ctx.from.id, updated_at: new Date() });
+  await recordAudit(ctx.from, 'admin.quota_set', { details: { scope, subject, metric, value: formatQuotaValue(value) } });
+  logger.info(`Admin ${ctx.from.id} set ${metric} quota for ${scope} ${subject} to ${formatQuotaValue(value)}`);
+
+  await ctx.reply(ctx.t('quota.set', {
+    metric: ctx.tPlain(`quota.labels.${metric}`),
+    target,
+    value: formatQuotaValue(value, ctx.locale)
+  }));
 });
 
 // Scene entry commands
@@ -1375,7 +6983,7 @@ bot.command('sendmessage', (ctx) => ctx.scene.enter('sendMessage'));
 // Cancel command
 bot.command('cancel', async (ctx) => {
   await clearUserSession(ctx.from.id);
-  await ctx.reply('❌ Operation cancelled.');
+  await ctx.reply(ctx.t('common.cancelled'));
   if (ctx.scene) {
     await ctx.scene.leave();
   }
@@ -1385,147 +6993,449 @@ bot.command('cancel', async (ctx) => {
 bot.action(/copy_(.+)/, async (ctx) => {
   await ctx.answerCbQuery();
   const link = ctx.match[1];
+  await ctx.editMessageText(ctx.t('createGroup.linkCopied', { link }));
+});
+
+bot.action('create_another', async (ctx) => {
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(ctx.t('menu.createAnother'));
+});
+
+bot.action('send_another', async (ctx) => {
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(ctx.t('menu.sendAnother'));
+});
+
+bot.action('main_menu', async (ctx) => {
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(ctx.t('menu.main'));
+});
+
+bot.action('admin_stats', async (ctx) => {
+  if (!await ensureCapabilityCallback(ctx, 'view_all')) return;
+
   await ctx.editMessageText(
-    `📋 **Invite Link:**\n\n\`${link}\`\n\n` +
-    'Copy and share this link!'
+    html`${await formatBotStatistics(ctx.locale)}\n\n${ctx.t('stats.roles', { roles: formatRoleCounts(ctx.locale) })}\n`,
+    Markup.inlineKeyboard([[Markup.button.callback(ctx.tPlain('admin.backButton'), 'admin_panel')]])
   );
 });
 
-bot.action('list_accounts', async (ctx) => {
-  await ctx.answerCbQuery();
-  // Simulate listaccounts command
-  const userId = ctx.from.id;
-  const username = ctx.from.username;
-  
-  let accounts;
-  if (isAdmin(userId, username)) {
-    accounts = await UserAccount.findAll({
-      order: [
-        ['owner_user_id', 'ASC'],
-        ['is_active', 'DESC'],
-        ['last_used', 'DESC']
-      ]
-    });
-  } else {
-    accounts = await UserAccount.findAll({
-      where: { owner_user_id: userId },
-      order: [
-        ['is_active', 'DESC'],
-        ['last_used', 'DESC']
-      ]
+// Account removal
+// Logs the Telegram session out first so the authorization is revoked
+// server-side, then deletes the account with the records that belong to it.
+// Accounts busy with a running job are left alone.
+async function logOutAndDeleteAccount(account) {
+  const runningJob = await BackgroundJob.findOne({
+    where: { account_id: account.id, status: 'running' }
+  });
+  if (runningJob) {
+    return { deleted: false, runningJobId: runningJob.id };
+  }
+
+  let logOutResult = { success: false, error: 'No stored session' };
+  if (account.session_string) {
+    logOutResult = await runAccountOperation(account.id, { operation: 'account_removal' }, async () => {
+      const manager = accountClients.acquire(account);
+      try {
+        return await manager.logOut();
+      } finally {
+        await accountClients.release(manager);
+      }
     });
   }
-  
-  if (!accounts.length) {
-    await ctx.editMessageText('No accounts added yet. Use /addaccount');
-    return;
+  await accountClients.evict(account.id);
+
+  let removedGroups = 0;
+  await sequelize.transaction(async (transaction) => {
+    await BackgroundJob.update(
+      { status: 'cancelled', cancel_requested: true, error: 'Account removed', finished_at: new Date() },
+      { where: { account_id: account.id, status: 'queued' }, transaction }
+    );
+    const groups = await CreatedGroup.findAll({
+      where: { account_id: account.id },
+      attributes: ['id'],
+      transaction
+    });
+    await GroupInviteLink.destroy({ where: { group_id: groups.map(group => group.id) }, transaction });
+    removedGroups = await CreatedGroup.destroy({ where: { account_id: account.id }, transaction });
+    await account.destroy({ transaction });
+  });
+
+  return {
+    deleted: true,
+    loggedOut: logOutResult.success,
+    logOutError: logOutResult.error,
+    removedGroups
+  };
+}
+
+async function auditAccountRemoval(ctx, action, account, result) {
+  await recordAudit(ctx.from, action, {
+    account,
+    outcome: result.deleted ? 'success' : 'failure',
+    error: result.deleted ? null : `Account busy with job #${result.runningJobId}`,
+    details: result.deleted
+      ? { logged_out: result.loggedOut, log_out_error: result.logOutError, removed_groups: result.removedGroups }
+      : null
+  });
+}
+
+function formatAccountRemoval(ctx, phone, result) {
+  if (!result.deleted) {
+    return ctx.t('removeAccount.busy', { phone, id: result.runningJobId });
   }
-  
-  let text;
-  if (isAdmin(userId, username)) {
-    text = '📱 **All User Accounts (Admin View)** 👑\n\n';
-    const accountsByOwner = {};
-    
-    for (const acc of accounts) {
-      const ownerId = acc.owner_user_id;
-      if (!accountsByOwner[ownerId]) {
-        accountsByOwner[ownerId] = [];
-      }
-      accountsByOwner[ownerId].push(acc);
-    }
-    
-    for (const [ownerId, ownerAccounts] of Object.entries(accountsByOwner)) {
-      text += `👤 **User ID:** ${ownerId}\n`;
-      if (ownerAccounts[0].owner_username) {
-        text += `👤 **Username:** @${ownerAccounts[0].owner_username}\n`;
-      }
-      
-      for (const [i, acc] of ownerAccounts.entries()) {
-        const status = acc.is_active ? '🟢 Active' : '🔴 Inactive';
-        const banned = acc.is_banned ? '🚫 Banned' : '';
-        
-        text += `  ${i + 1}. **${acc.phone}**\n`;
-        text += `     Status: ${status} ${banned}\n`;
-        text += `     Last used: ${acc.last_used ? acc.last_used.toLocaleString() : 'Never'}\n`;
-        text += `     Added: ${acc.created_at.toLocaleDateString()}\n\n`;
-      }
-      
-      text += '\n';
-    }
-  } else {
-    text = '📱 **Your Accounts:**\n\n';
-    for (const [i, acc] of accounts.entries()) {
-      const status = acc.is_active ? '🟢 Active' : '🔴 Inactive';
-      const banned = acc.is_banned ? '🚫 Banned' : '';
-      
-      text += `**${i + 1}. ${acc.phone}**\n`;
-      text += `   Status: ${status} ${banned}\n`;
-      text += `   Last used: ${acc.last_used ? acc.last_used.toLocaleString() : 'Never'}\n`;
-      text += `   Added: ${acc.created_at.toLocaleDateString()}\n\n`;
-    }
+
+  return ctx.t('removeAccount.deleted', {
+    phone,
+    logOut: result.loggedOut
+      ? ctx.t('removeAccount.loggedOut')
+      : ctx.t('removeAccount.logOutFailed', { error: result.logOutError }),
+    groups: ctx.t('removeAccount.removedGroups', { count: result.removedGroups })
+  });
+}
+
+async function showRemoveAccountPicker(ctx, page, edit = true) {
+  const where = { owner_user_id: ctx.from.id };
+  const total = await UserAccount.count({ where });
+  const { limit, offset } = pageWindow(total, page);
+  const accounts = await UserAccount.findAll({
+    where,
+    order: [['id', 'ASC']],
+    limit,
+    offset
+  });
+
+  if (!total) {
+    const text = ctx.t('common.noAccountsYet');
+    return edit ? ctx.editMessageText(text) : ctx.reply(text);
   }
-  
-  await ctx.editMessageText(text);
+
+  const listPage = buildListPage(ctx, {
+    header: ctx.t('removeAccount.title'),
+    entries: accounts.map(acc => ({
+      buttons: [Markup.button.callback(`${formatAccountStatus(acc)} ${acc.phone}`, `remove_account_${acc.id}`)]
+    })),
+    page,
+    total,
+    prefix: 'remove_accounts',
+    rows: [[Markup.button.callback(ctx.tPlain('common.cancelButton'), 'remove_cancel')]]
+  });
+
+  await showListPage(ctx, listPage, edit);
+}
+
+bot.command('removeaccount', async (ctx) => {
+  await showRemoveAccountPicker(ctx, 0, false);
 });
 
-bot.action('create_another', async (ctx) => {
+bot.action(/^remove_accounts_(\d+)$/, async (ctx) => {
   await ctx.answerCbQuery();
-  await ctx.editMessageText(
-    '🚀 **Create Another Group**\n\n' +
-    'Use the command: `/creategroup`'
-  );
+  await showRemoveAccountPicker(ctx, parseInt(ctx.match[1]));
 });
 
-bot.action('send_another', async (ctx) => {
+bot.action(/^remove_account_(\d+)$/, async (ctx) => {
   await ctx.answerCbQuery();
+
+  const account = await UserAccount.findOne({
+    where: { id: ctx.match[1], owner_user_id: ctx.from.id }
+  });
+  if (!account) {
+    await ctx.editMessageText(ctx.t('admin.account.notFound'));
+    return;
+  }
+
+  const groupCount = await CreatedGroup.count({ where: { account_id: account.id } });
+
   await ctx.editMessageText(
-    '📤 **Send Another Message**\n\n' +
-    'Use the command: `/sendmessage`'
+    ctx.t('removeAccount.confirm', {
+      phone: account.phone,
+      groups: ctx.t('removeAccount.groupRecords', { count: groupCount })
+    }),
+    Markup.inlineKeyboard([
+      [Markup.button.callback(ctx.tPlain('removeAccount.removeButton'), `remove_confirm_${account.id}`)],
+      [Markup.button.callback(ctx.tPlain('common.back'), 'remove_accounts_0')],
+      [Markup.button.callback(ctx.tPlain('common.cancelButton'), 'remove_cancel')]
+    ])
   );
 });
 
-bot.action('main_menu', async (ctx) => {
+bot.action(/^remove_confirm_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+
+  const account = await UserAccount.findOne({
+    where: { id: ctx.match[1], owner_user_id: ctx.from.id }
+  });
+  if (!account) {
+    await ctx.editMessageText(ctx.t('admin.account.notFound'));
+    return;
+  }
+
+  const phone = account.phone;
+  await ctx.editMessageText(ctx.t('removeAccount.removing', { phone }));
+
+  const result = await logOutAndDeleteAccount(account);
+  if (result.deleted) {
+    logger.info(`User ${ctx.from.id} removed account ${phone}`);
+  }
+  await auditAccountRemoval(ctx, 'account.remove', account, result);
+
+  await ctx.editMessageText(formatAccountRemoval(ctx, phone, result));
+});
+
+bot.action('remove_cancel', async (ctx) => {
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(ctx.t('common.cancelled'));
+});
+
+// Admin panel actions
+const ADMIN_ACCOUNT_MODE_CAPABILITIES = {
+  view: 'view_all',
+  toggle: 'manage_accounts',
+  ban: 'manage_accounts',
+  delete: 'manage_accounts'
+};
+
+async function ensureCapabilityCallback(ctx, capability) {
+  if (!hasCapability(ctx.from.id, capability)) {
+    await ctx.answerCbQuery(ctx.tPlain('common.adminOnlyAlert'), { show_alert: true });
+    return false;
+  }
   await ctx.answerCbQuery();
+  return true;
+}
+
+async function showAdminAccountPicker(ctx, mode, page, ownerId = null) {
+  const where = ownerId ? { owner_user_id: ownerId } : {};
+  const total = await UserAccount.count({ where });
+  const { limit, offset } = pageWindow(total, page);
+  const accounts = await UserAccount.findAll({
+    where,
+    order: [['owner_user_id', 'ASC'], ['id', 'ASC']],
+    limit,
+    offset
+  });
+
+  const rows = [];
+  if (ownerId && hasCapability(ctx.from.id, 'manage_users') && !getUserRole(ownerId)) {
+    rows.push([getAccessStatus(ownerId) === 'suspended'
+      ? Markup.button.callback(ctx.tPlain('admin.accounts.restoreAccess'), `access_approve_${ownerId}`)
+      : Markup.button.callback(ctx.tPlain('admin.accounts.suspendUser'), `access_suspend_${ownerId}`)]);
+  }
+  rows.push([Markup.button.callback(ctx.tPlain('admin.backButton'), 'admin_panel')]);
+
+  let header = html`${ctx.t(`admin.accounts.modes.${mode}`)}\n\n`;
+  if (ownerId) {
+    header += html`${ctx.t('admin.accounts.owner', {
+      userId: ownerId,
+      access: getUserRole(ownerId) ? formatRole(getUserRole(ownerId), ctx.locale) : formatAccessStatus(getAccessStatus(ownerId), ctx.locale)
+    })}\n`;
+  }
+  header += total ? ctx.t('admin.accounts.select', { count: total }) : ctx.t('admin.accounts.none');
+
+  const listPage = buildListPage(ctx, {
+    header,
+    entries: accounts.map(acc => ({
+      buttons: [Markup.button.callback(
+        `${formatAccountStatus(acc)} ${acc.phone}${acc.owner_username ? ` (@${acc.owner_username})` : ''}`,
+        `admin_account_${mode}_${acc.id}`
+      )]
+    })),
+    page,
+    total,
+    prefix: `admin_accounts_${mode}`,
+    suffix: ownerId ? `_${ownerId}` : '',
+    rows
+  });
+
+  await showListPage(ctx, listPage);
+}
+
+async function showAdminAccountDetails(ctx, account) {
+  const keyboard = [];
+  if (hasCapability(ctx.from.id, 'manage_accounts')) {
+    keyboard.push(
+      [Markup.button.callback(
+        ctx.tPlain(account.is_active ? 'admin.account.deactivateButton' : 'admin.account.activateButton'),
+        `admin_account_toggle_${account.id}`
+      )],
+      [Markup.button.callback(
+        ctx.tPlain(account.is_banned ? 'admin.account.unbanButton' : 'admin.account.banButton'),
+        `admin_account_ban_${account.id}`
+      )],
+      [Markup.button.callback(ctx.tPlain('admin.account.deleteButton'), `admin_account_delete_${account.id}`)]
+    );
+  }
+  keyboard.push([Markup.button.callback(ctx.tPlain('admin.account.backButton'), 'admin_list_all_accounts')]);
+
+  const status = ctx.t(account.is_active ? 'admin.account.active' : 'admin.account.inactive');
+  await ctx.editMessageText(
+    ctx.t('admin.account.details', {
+      phone: account.phone,
+      owner: `${account.owner_user_id}${account.owner_username ? ` (@${account.owner_username})` : ''}`,
+      status: account.is_banned ? html`${status} ${ctx.t('admin.account.banned')}` : status,
+      lastUsed: account.last_used ? formatDateTime(account.last_used, ctx.locale) : ctx.t('admin.account.never'),
+      added: formatDate(account.created_at, ctx.locale)
+    }),
+    Markup.inlineKeyboard(keyboard)
+  );
+}
+
+bot.action('noop', (ctx) => ctx.answerCbQuery());
+
+bot.action('admin_panel', async (ctx) => {
+  if (!await ensureCapabilityCallback(ctx, 'view_all')) return;
+
   await ctx.editMessageText(
-    '🏠 **Main Menu**\n\n' +
-    'Use the command: `/start`'
+    ctx.t('admin.panel'),
+    Markup.inlineKeyboard(buildAdminPanelKeyboard(ctx))
   );
 });
 
-bot.action('admin_stats', async (ctx) => {
-  await ctx.answerCbQuery();
-  const userId = ctx.from.id;
-  const username = ctx.from.username;
-  
-  if (!isAdmin(userId, username)) {
-    await ctx.answerCbQuery('Admin only!', { show_alert: true });
+bot.action(['admin_list_users', /^admin_users_(\d+)$/], async (ctx) => {
+  if (!await ensureCapabilityCallback(ctx, 'view_all')) return;
+
+  const owners = await UserAccount.findAll({
+    attributes: [
+      'owner_user_id',
+      [Sequelize.fn('MAX', Sequelize.col('owner_username')), 'owner_username'],
+      [Sequelize.fn('COUNT', Sequelize.col('id')), 'account_count']
+    ],
+    group: ['owner_user_id'],
+    order: [['owner_user_id', 'ASC']],
+    raw: true
+  });
+
+  const listPage = buildListPage(ctx, {
+    header: html`${ctx.t('admin.users.title')}\n\n` +
+      (owners.length ? ctx.t('admin.users.select', { count: owners.length }) : ctx.t('admin.users.none')),
+    entries: owners.map(owner => ({
+      buttons: [Markup.button.callback(
+        `👤 ${owner.owner_username ? '@' + owner.owner_username : owner.owner_user_id} (${owner.account_count})`,
+        `admin_user_${owner.owner_user_id}`
+      )]
+    })),
+    page: ctx.match[1] ? parseInt(ctx.match[1]) : 0,
+    prefix: 'admin_users',
+    rows: [[Markup.button.callback(ctx.tPlain('admin.backButton'), 'admin_panel')]]
+  });
+
+  await showListPage(ctx, listPage);
+});
+
+bot.action(/^admin_user_(\d+)$/, async (ctx) => {
+  if (!await ensureCapabilityCallback(ctx, 'view_all')) return;
+  await showAdminAccountPicker(ctx, 'view', 0, ctx.match[1]);
+});
+
+bot.action('admin_list_all_accounts', async (ctx) => {
+  if (!await ensureCapabilityCallback(ctx, 'view_all')) return;
+  await showAdminAccountPicker(ctx, 'view', 0);
+});
+
+bot.action('admin_toggle_account', async (ctx) => {
+  if (!await ensureCapabilityCallback(ctx, 'manage_accounts')) return;
+  await showAdminAccountPicker(ctx, 'toggle', 0);
+});
+
+bot.action('admin_ban_account', async (ctx) => {
+  if (!await ensureCapabilityCallback(ctx, 'manage_accounts')) return;
+  await showAdminAccountPicker(ctx, 'ban', 0);
+});
+
+bot.action('admin_delete_account', async (ctx) => {
+  if (!await ensureCapabilityCallback(ctx, 'manage_accounts')) return;
+  await showAdminAccountPicker(ctx, 'delete', 0);
+});
+
+bot.action(/^admin_accounts_(view|toggle|ban|delete)_(\d+)(?:_(\d+))?$/, async (ctx) => {
+  if (!await ensureCapabilityCallback(ctx, ADMIN_ACCOUNT_MODE_CAPABILITIES[ctx.match[1]])) return;
+  await showAdminAccountPicker(ctx, ctx.match[1], parseInt(ctx.match[2]), ctx.match[3] || null);
+});
+
+bot.action(/^admin_account_(view|toggle|ban|delete)_(\d+)$/, async (ctx) => {
+  if (!await ensureCapabilityCallback(ctx, ADMIN_ACCOUNT_MODE_CAPABILITIES[ctx.match[1]])) return;
+
+  const mode = ctx.match[1];
+  const account = await UserAccount.findByPk(ctx.match[2]);
+  if (!account) {
+    await ctx.editMessageText(
+      ctx.t('admin.account.notFound'),
+      Markup.inlineKeyboard([[Markup.button.callback(ctx.tPlain('admin.backButton'), 'admin_panel')]])
+    );
     return;
   }
-  
-  const totalAccounts = await UserAccount.count();
-  const activeAccounts = await UserAccount.count({ where: { is_active: true } });
-  const bannedAccounts = await UserAccount.count({ where: { is_banned: true } });
-  const uniqueUsers = await UserAccount.aggregate('owner_user_id', 'DISTINCT', { plain: false });
-  
-  const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-  const recentAccounts = await UserAccount.count({
-    where: {
-      last_used: {
-        [Sequelize.Op.gte]: dayAgo
-      }
-    }
-  });
-  
-  let text = '📊 **Bot Statistics**\n\n';
-  text += `**Total Accounts:** ${totalAccounts}\n`;
-  text += `**Active Accounts:** ${activeAccounts}\n`;
-  text += `**Banned Accounts:** ${bannedAccounts}\n`;
-  text += `**Unique Users:** ${uniqueUsers.length}\n`;
-  text += `**Active in last 24h:** ${recentAccounts}\n`;
-  text += `\n**Admin Users:** ${ADMIN_USER_IDS.size}\n`;
-  text += `**Admin Usernames:** ${ADMIN_USERNAMES.map(u => '@' + u).join(', ')}\n`;
-  
-  await ctx.editMessageText(text);
+
+  switch (mode) {
+    case 'view':
+      await showAdminAccountDetails(ctx, account);
+      break;
+
+    case 'toggle':
+      await account.update({ is_active: !account.is_active });
+      logger.info(`Admin ${ctx.from.id} set account ${account.phone} active=${account.is_active}`);
+      await recordAudit(ctx.from, 'admin.account_toggle', { account, details: { is_active: account.is_active } });
+      await showAdminAccountDetails(ctx, account);
+      break;
+
+    case 'ban':
+      await ctx.editMessageText(
+        ctx.t(account.is_banned ? 'admin.account.confirmUnban' : 'admin.account.confirmBan', { phone: account.phone }),
+        Markup.inlineKeyboard([
+          [Markup.button.callback(ctx.tPlain('admin.account.confirmButton'), `admin_ban_confirm_${account.id}`)],
+          [Markup.button.callback(ctx.tPlain('common.cancelButton'), `admin_account_view_${account.id}`)]
+        ])
+      );
+      break;
+
+    case 'delete':
+      await ctx.editMessageText(
+        ctx.t('admin.account.confirmDelete', { phone: account.phone }),
+        Markup.inlineKeyboard([
+          [Markup.button.callback(ctx.tPlain('admin.account.deleteButton'), `admin_delete_confirm_${account.id}`)],
+          [Markup.button.callback(ctx.tPlain('common.cancelButton'), `admin_account_view_${account.id}`)]
+        ])
+      );
+      break;
+  }
+});
+
+bot.action(/^admin_ban_confirm_(\d+)$/, async (ctx) => {
+  if (!await ensureCapabilityCallback(ctx, 'manage_accounts')) return;
+
+  const account = await UserAccount.findByPk(ctx.match[1]);
+  if (!account) {
+    await ctx.editMessageText(ctx.t('admin.account.notFound'));
+    return;
+  }
+
+  await account.update({ is_banned: !account.is_banned });
+  logger.info(`Admin ${ctx.from.id} set account ${account.phone} banned=${account.is_banned}`);
+  await recordAudit(ctx.from, 'admin.account_ban', { account, details: { is_banned: account.is_banned } });
+  await showAdminAccountDetails(ctx, account);
+});
+
+bot.action(/^admin_delete_confirm_(\d+)$/, async (ctx) => {
+  if (!await ensureCapabilityCallback(ctx, 'manage_accounts')) return;
+
+  const account = await UserAccount.findByPk(ctx.match[1]);
+  if (!account) {
+    await ctx.editMessageText(ctx.t('admin.account.notFound'));
+    return;
+  }
+
+  const phone = account.phone;
+  await ctx.editMessageText(ctx.t('admin.account.deleting', { phone }));
+
+  const result = await logOutAndDeleteAccount(account);
+  if (result.deleted) {
+    logger.info(`Admin ${ctx.from.id} deleted account ${phone}`);
+  }
+  await auditAccountRemoval(ctx, 'admin.account_delete', account, result);
+
+  await ctx.editMessageText(
+    formatAccountRemoval(ctx, phone, result),
+    Markup.inlineKeyboard([[Markup.button.callback(ctx.tPlain('admin.backButton'), 'admin_panel')]])
+  );
 });
 
 // Error handling
@@ -1533,7 +7443,7 @@ bot.catch((err, ctx) => {
   logger.error(`Error for ${ctx.updateType}:`, err);
   
   if (ctx.message) {
-    ctx.reply('❌ An error occurred. Please try again.');
+    ctx.reply(t(ctx.locale || DEFAULT_LOCALE, 'common.error'));
   }
 });
 
@@ -1565,16 +7475,23 @@ async function start() {
       logger.info(`Web server listening on port ${PORT}`);
     });
     
+    // Resume queued jobs and start workers
+    await startJobWorkers();
+    startHealthChecks();
+    await resumeConversations();
+    startConversationSweeper();
+    accountClients.start();
+    
     // Launch bot
     await bot.launch();
     
     logger.info('🤖 Bot is running... Press Ctrl+C to stop');
     logger.info(`📊 Database initialized successfully`);
-    logger.info(`👑 Admin users: ${ADMIN_USERNAMES.join(', ')}`);
+    logger.info(`👑 Roles: ${formatRoleCounts()}`);
     logger.info(`🎯 Features Available:`);
     logger.info(`   • Concurrent user handling`);
     logger.info(`   • User account isolation`);
-    logger.info(`   • Admin controls for @${ADMIN_USERNAMES[0]}`);
+    logger.info(`   • Role-based admin controls (viewer, operator, admin)`);
     logger.info(`   • Welcome message: 'hello'`);
     logger.info(`   • Open all permissions`);
     logger.info(`   • Blank group descriptions`);
@@ -1582,8 +7499,20 @@ async function start() {
     logger.info(`   • Send messages to self-created groups (creator only)`);
     
     // Enable graceful stop
-    process.once('SIGINT', () => bot.stop('SIGINT'));
-    process.once('SIGTERM', () => bot.stop('SIGTERM'));
+    process.once('SIGINT', () => {
+      stopJobWorkers();
+      stopHealthChecks();
+      stopConversationSweeper();
+      accountClients.stop().catch(() => {});
+      bot.stop('SIGINT');
+    });
+    process.once('SIGTERM', () => {
+      stopJobWorkers();
+      stopHealthChecks();
+      stopConversationSweeper();
+      accountClients.stop().catch(() => {});
+      bot.stop('SIGTERM');
+    });
     
   } catch (error) {
     logger.error('Failed to start bot:', error);
@@ -1591,9 +7520,36 @@ async function start() {
   }
 }
 
+// Re-encrypt stored credentials: ACCOUNT_ENCRYPTION_KEY_NEW=... npm run rotate-key
+async function rotateKeyCommand() {
+  const oldSecret = process.env.ACCOUNT_ENCRYPTION_KEY;
+  const newSecret = process.env.ACCOUNT_ENCRYPTION_KEY_NEW;
+
+  if (!oldSecret || !newSecret) {
+    logger.error('Both ACCOUNT_ENCRYPTION_KEY and ACCOUNT_ENCRYPTION_KEY_NEW must be set');
+    process.exit(1);
+  }
+
+  try {
+    await initDatabase();
+    const { rotated, skipped } = await rotateEncryptionKey(oldSecret, newSecret);
+    await recordAudit(null, 'system.key_rotation', { details: { rotated, skipped } });
+    logger.info(`🔐 Re-encrypted ${rotated} accounts (${skipped} already on the new key)`);
+    logger.info('Now replace ACCOUNT_ENCRYPTION_KEY with the new key and restart the bot');
+    await sequelize.close();
+  } catch (error) {
+    logger.error('Key rotation failed:', error);
+    process.exit(1);
+  }
+}
+
 // Start the application
 if (require.main === module) {
-  start();
+  if (process.argv[2] === 'rotate-key') {
+    rotateKeyCommand();
+  } else {
+    start();
+  }
 }
 
 module.exports = {
@@ -1601,5 +7557,14 @@ module.exports = {
   start,
   UserAccount,
   CreatedGroup,
-  UserAccountManager
+  UserAccountManager,
+  initDatabase,
+  migrateAccountEncryption,
+  resolveGroup,
+  buildGroupPeer,
+  parseAuditArgs,
+  buildAuditWhere,
+  toCsvValue,
+  isLastAdmin,
+  sweepExpiredConversations
 };
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The bot keeps its database and log in the working directory
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-')));
+process.env.ACCOUNT_ENCRYPTION_KEY = 'test-key';
+process.env.BOOTSTRAP_ADMIN_ID = '800';
+process.env.ACCESS_MODE = 'approval';
+
+const { Telegram } = require('telegraf');
+
+const user = id => ({ id, is_bot: false, first_name: 'Tester', username: `tester${id}`, language_code: 'en' });
+const admin = user(800);
+const sent = [];
+let updateId = 0;
+
+// Stubbed before the bot loads, since bot.telegram binds callApi when it is set up
+Telegram.prototype.callApi = async function (method, payload = {}) {
+  sent.push({ method, chatId: String(payload.chat_id), text: String(payload.text || payload.caption || '') });
+  return { message_id: sent.length, date: 0, chat: { id: payload.chat_id, type: 'private' } };
+};
+
+const { bot, initDatabase } = require('../index.js');
+
+function sendText(from, text) {
+  const entities = text.startsWith('/')
+    ? [{ type: 'bot_command', offset: 0, length: text.split(' ')[0].length }]
+    : undefined;
+  return bot.handleUpdate({
+    update_id: ++updateId,
+    message: { message_id: updateId, date: 0, chat: { id: from.id, type: 'private' }, from, text, entities }
+  });
+}
+
+function press(from, data) {
+  return bot.handleUpdate({
+    update_id: ++updateId,
+    callback_query: {
+      id: String(updateId),
+      from,
+      chat_instance: '1',
+      data,
+      message: { message_id: 1, date: 0, chat: { id: from.id, type: 'private' }, text: 'menu' }
+    }
+  });
+}
+
+function lastText(chatId) {
+  const message = sent.filter(m => m.chatId === String(chatId) && m.text).pop();
+  return message ? message.text : '';
+}
+
+test.before(async () => {
+  await initDatabase();
+  bot.botInfo = { id: 1, is_bot: true, first_name: 'Bot', username: 'test_bot' };
+});
+
+test('a new user waits for approval and gets in once approved', async () => {
+  const newcomer = user(801);
+
+  await sendText(newcomer, '/start');
+  assert.match(lastText(newcomer.id), /waiting for an administrator/);
+  assert.match(lastText(admin.id), /Access request/);
+
+  await sendText(admin, '/unsuspend 801');
+  assert.match(lastText(admin.id), /Approved: user 801/);
+  assert.match(lastText(newcomer.id), /was approved/);
+
+  await sendText(newcomer, '/start');
+  assert.match(lastText(newcomer.id), /Available commands/);
+});
+
+test('only pending requests can be denied', async () => {
+  await press(admin, 'access_deny_801_list');
+  assert.match(lastText(admin.id), /not pending/);
+
+  const requester = user(802);
+  await sendText(requester, '/start');
+  await press(admin, 'access_deny_802_notice');
+  assert.match(lastText(requester.id), /request was denied/);
+
+  await sendText(requester, '/start');
+  assert.match(lastText(requester.id), /request was denied/);
+});
+
+test('a suspended user is blocked until unsuspended', async () => {
+  const member = user(801);
+
+  await sendText(admin, '/suspend 801');
+  assert.match(lastText(member.id), /was suspended/);
+  await sendText(member, '/start');
+  assert.match(lastText(member.id), /is suspended/);
+
+  await sendText(admin, '/suspend 801');
+  assert.match(lastText(admin.id), /already/);
+});
+
+test('users with a role or who never used the bot are refused', async () => {
+  await sendText(admin, '/suspend 800');
+  assert.match(lastText(admin.id), /has the .* role/);
+
+  await sendText(admin, '/suspend 899');
+  assert.match(lastText(admin.id), /never used the bot/);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The bot keeps its database and log in the working directory
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-')));
+process.env.ACCOUNT_ENCRYPTION_KEY = 'test-key';
+
+const { UserAccount, UserAccountManager, migrateAccountEncryption } = require('../index.js');
+
+// Reads the stored columns without going through the model
+async function rawRow(id) {
+  const [rows] = await UserAccount.sequelize.query(
+    'SELECT api_hash, session_string, data_key FROM user_accounts WHERE id = ?',
+    { replacements: [id] }
+  );
+  return rows[0];
+}
+
+function aesEncrypt(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+// Wraps a data key the way accounts were stored before the scrypt master key
+function wrapWithLegacyKey(dataKey) {
+  const masterKey = crypto.createHash('sha256').update('test-key').digest();
+  const keyId = crypto.createHash('sha256').update(masterKey).digest('hex').slice(0, 8);
+  return `v1:${keyId}:${aesEncrypt(masterKey, dataKey)}`;
+}
+
+test.before(async () => {
+  await UserAccount.sequelize.sync();
+});
+
+test('saving an account encrypts its credentials', async () => {
+  const account = await UserAccount.create({ phone: '+10000000001', api_id: '1', api_hash: 'hash-one' });
+  const row = await rawRow(account.id);
+
+  assert.ok(row.data_key.startsWith('v2:'));
+  assert.ok(row.api_hash.startsWith('enc:v1:'));
+  assert.notStrictEqual(row.api_hash, 'hash-one');
+});
+
+test('a static update of the session string stores it encrypted', async () => {
+  const account = await UserAccount.create({ phone: '+10000000002', api_id: '1', api_hash: 'hash-two' });
+  await UserAccount.update({ session_string: 'session-two' }, { where: { id: account.id } });
+
+  const row = await rawRow(account.id);
+  assert.ok(row.session_string.startsWith('enc:v1:'));
+
+  const manager = UserAccountManager.fromAccount(await UserAccount.findByPk(account.id));
+  assert.strictEqual(manager.session_string, 'session-two');
+});
+
+test('startup rewraps data keys stored under the v1 master key', async () => {
+  const account = await UserAccount.create({ phone: '+10000000003', api_id: '1', api_hash: 'hash-three' });
+  const dataKey = crypto.randomBytes(32);
+  const sealed = value => `enc:v1:${aesEncrypt(dataKey, Buffer.from(value, 'utf8'))}`;
+  await UserAccount.sequelize.query(
+    'UPDATE user_accounts SET data_key = ?, api_hash = ? WHERE id = ?',
+    { replacements: [wrapWithLegacyKey(dataKey), sealed('hash-three'), account.id] }
+  );
+
+  await migrateAccountEncryption();
+
+  const row = await rawRow(account.id);
+  assert.ok(row.data_key.startsWith('v2:'));
+  const manager = UserAccountManager.fromAccount(await UserAccount.findByPk(account.id));
+  assert.strictEqual(manager.api_hash, 'hash-three');
+});
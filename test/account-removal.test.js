@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The bot keeps its database and log in the working directory
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-')));
+process.env.ACCOUNT_ENCRYPTION_KEY = 'test-key';
+process.env.BOOTSTRAP_ADMIN_ID = '300';
+
+const { Telegram } = require('telegraf');
+const { Api } = require('telegram');
+const { bot, UserAccount, UserAccountManager, initDatabase } = require('../index.js');
+
+const user = id => ({ id, is_bot: false, first_name: 'Tester', username: `tester${id}`, language_code: 'en' });
+const sent = [];
+const invoked = [];
+let updateId = 0;
+
+Telegram.prototype.callApi = async function (method, payload = {}) {
+  sent.push({ method, chatId: payload.chat_id, text: String(payload.text || payload.caption || '') });
+  return { message_id: sent.length, date: 0, chat: { id: payload.chat_id, type: 'private' } };
+};
+
+function press(from, data) {
+  return bot.handleUpdate({
+    update_id: ++updateId,
+    callback_query: {
+      id: String(updateId),
+      from,
+      chat_instance: '1',
+      data,
+      message: { message_id: 1, date: 0, chat: { id: from.id, type: 'private' }, text: 'menu' }
+    }
+  });
+}
+
+function createAccount(phone, ownerId) {
+  return UserAccount.create({
+    phone,
+    api_id: '1',
+    api_hash: '0123456789abcdef',
+    session_string: 'session',
+    owner_user_id: ownerId
+  });
+}
+
+test.before(async () => {
+  await initDatabase();
+  bot.botInfo = { id: 1, is_bot: true, first_name: 'Bot', username: 'test_bot' };
+  UserAccountManager.prototype.connect = async function () {
+    this.client = {
+      async invoke(request) {
+        invoked.push(request);
+        return true;
+      }
+    };
+    this.is_connected = true;
+  };
+  UserAccountManager.prototype.disconnect = async function () {
+    this.is_connected = false;
+  };
+});
+
+test.beforeEach(() => {
+  invoked.length = 0;
+});
+
+test('removing an account logs its session out before deleting it', async () => {
+  const owner = user(301);
+  const account = await createAccount('+30000000001', owner.id);
+
+  await press(owner, `remove_confirm_${account.id}`);
+
+  assert.strictEqual(invoked.length, 1);
+  assert.ok(invoked[0] instanceof Api.auth.LogOut);
+  assert.strictEqual(await UserAccount.findByPk(account.id), null);
+});
+
+test('an admin deleting an account logs its session out too', async () => {
+  const admin = user(300);
+  const account = await createAccount('+30000000002', 302);
+
+  await press(admin, `admin_delete_confirm_${account.id}`);
+
+  assert.strictEqual(invoked.length, 1);
+  assert.ok(invoked[0] instanceof Api.auth.LogOut);
+  assert.strictEqual(await UserAccount.findByPk(account.id), null);
+});
+
+test('only admins can delete other users\' accounts', async () => {
+  const account = await createAccount('+30000000003', 303);
+
+  await press(user(304), `admin_delete_confirm_${account.id}`);
+
+  assert.strictEqual(invoked.length, 0);
+  assert.ok(await UserAccount.findByPk(account.id));
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The bot keeps its database and log in the working directory
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-')));
+process.env.ACCOUNT_ENCRYPTION_KEY = 'test-key';
+
+const { UserAccount, parseAuditArgs, buildAuditWhere, toCsvValue } = require('../index.js');
+
+const { AuditEvent } = UserAccount.sequelize.models;
+
+async function actionsMatching(args) {
+  const { filters } = parseAuditArgs(args);
+  const events = await AuditEvent.findAll({ where: buildAuditWhere(filters), order: [['id', 'ASC']] });
+  return events.map(event => event.action);
+}
+
+test.before(async () => {
+  await UserAccount.sequelize.sync();
+  await AuditEvent.bulkCreate([
+    { action: 'account.add', actor_id: 1, actor_username: 'alice', account_id: 11, account_phone: '+15550001111',
+      created_at: new Date('2024-01-10T12:00:00') },
+    { action: 'group.create', actor_id: 1, actor_username: 'alice', account_id: 11, account_phone: '+15550001111',
+      created_at: new Date('2024-01-15T12:00:00') },
+    { action: 'group.delete', actor_id: 2, actor_username: 'bob', account_id: 12, account_phone: '+15550002222',
+      created_at: new Date('2024-02-01T12:00:00') }
+  ]);
+});
+
+test('filters and the csv flag are parsed from the arguments', () => {
+  assert.deepStrictEqual(parseAuditArgs(['user:@alice', 'Action:group.', 'from:2024-01-01', 'CSV']), {
+    filters: { user: '@alice', action: 'group.', from: '2024-01-01' },
+    csv: true
+  });
+  assert.deepStrictEqual(parseAuditArgs([]), { filters: {}, csv: false });
+});
+
+test('unknown filters and malformed dates are rejected', () => {
+  assert.deepStrictEqual(parseAuditArgs(['phone:123']), {
+    error: 'audit.errors.unknownFilter',
+    errorParams: { filter: 'phone:123' }
+  });
+  assert.deepStrictEqual(parseAuditArgs(['user:']), {
+    error: 'audit.errors.unknownFilter',
+    errorParams: { filter: 'user:' }
+  });
+  assert.deepStrictEqual(parseAuditArgs(['from:15.01.2024']), {
+    error: 'audit.errors.badDate',
+    errorParams: { value: '15.01.2024' }
+  });
+});
+
+test('filters select the matching events', async () => {
+  assert.deepStrictEqual(await actionsMatching(['user:1']), ['account.add', 'group.create']);
+  assert.deepStrictEqual(await actionsMatching(['user:@bob']), ['group.delete']);
+  assert.deepStrictEqual(await actionsMatching(['account:12']), ['group.delete']);
+  assert.deepStrictEqual(await actionsMatching(['account:+1555000111']), ['account.add', 'group.create']);
+  assert.deepStrictEqual(await actionsMatching(['action:group.']), ['group.create', 'group.delete']);
+  assert.deepStrictEqual(await actionsMatching(['from:2024-01-15', 'to:2024-01-31']), ['group.create']);
+});
+
+test('csv values are quoted only when they need to be', () => {
+  assert.strictEqual(toCsvValue(null), '');
+  assert.strictEqual(toCsvValue(undefined), '');
+  assert.strictEqual(toCsvValue(42), '42');
+  assert.strictEqual(toCsvValue('plain'), 'plain');
+  assert.strictEqual(toCsvValue('a,b'), '"a,b"');
+  assert.strictEqual(toCsvValue('say "hi"'), '"say ""hi"""');
+  assert.strictEqual(toCsvValue('two\nlines'), '"two\nlines"');
+  assert.strictEqual(toCsvValue(new Date('2024-01-15T12:00:00Z')), '2024-01-15T12:00:00.000Z');
+  assert.strictEqual(toCsvValue({ a: 1, b: 'x' }), '"{""a"":1,""b"":""x""}"');
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The bot keeps its database and log in the working directory
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-')));
+process.env.ACCOUNT_ENCRYPTION_KEY = 'test-key';
+process.env.CONVERSATION_TTL_MINUTES = '30';
+
+const { Telegram } = require('telegraf');
+
+const user = id => ({ id, is_bot: false, first_name: 'Tester', username: `tester${id}`, language_code: 'en' });
+const sent = [];
+let updateId = 0;
+
+// Stubbed before the bot loads, since bot.telegram binds callApi when it is set up
+Telegram.prototype.callApi = async function (method, payload = {}) {
+  sent.push({ method, chatId: String(payload.chat_id), text: String(payload.text || payload.caption || '') });
+  return { message_id: sent.length, date: 0, chat: { id: payload.chat_id, type: 'private' } };
+};
+
+const { bot, UserAccount, sweepExpiredConversations } = require('../index.js');
+
+const { ConversationState } = UserAccount.sequelize.models;
+const TTL_MS = 30 * 60 * 1000;
+
+function sendText(from, text) {
+  const entities = text.startsWith('/')
+    ? [{ type: 'bot_command', offset: 0, length: text.split(' ')[0].length }]
+    : undefined;
+  return bot.handleUpdate({
+    update_id: ++updateId,
+    message: { message_id: updateId, date: 0, chat: { id: from.id, type: 'private' }, from, text, entities }
+  });
+}
+
+function receivedText(from, fragment) {
+  return sent.some(m => m.chatId === String(from.id) && m.text.includes(fragment));
+}
+
+async function expiriesOf(from) {
+  const rows = await ConversationState.findAll({ where: { user_id: from.id } });
+  return rows.map(row => row.expires_at.getTime());
+}
+
+test.before(async () => {
+  await UserAccount.sequelize.sync();
+  bot.botInfo = { id: 1, is_bot: true, first_name: 'Bot', username: 'test_bot' };
+});
+
+test.afterEach(() => test.mock.reset());
+
+test('updates within a sweep interval do not query conversation state', async (t) => {
+  const from = user(950);
+  const count = t.mock.method(ConversationState, 'count');
+
+  await sendText(from, '/start');
+  await sendText(from, '/start');
+  await sendText(from, '/start');
+
+  assert.strictEqual(count.mock.callCount(), 1);
+});
+
+test('the sweeper keeps a flow that is still active and expires it once idle', async (t) => {
+  const from = user(951);
+  const start = Date.now();
+  t.mock.timers.enable({ apis: ['Date'], now: start });
+
+  await sendText(from, '/addaccount');
+  assert.ok((await expiriesOf(from)).length > 0);
+
+  // Moves the flow's expiry in memory only
+  t.mock.timers.tick(30 * 1000);
+  await sendText(from, '12345');
+  const expiresAt = Date.now() + TTL_MS;
+
+  // The stored expiry has passed, but the user was active since
+  t.mock.timers.tick(TTL_MS - 20 * 1000);
+  await sweepExpiredConversations();
+  assert.ok(!receivedText(from, 'expired'));
+  assert.ok((await expiriesOf(from)).every(time => time === expiresAt));
+
+  t.mock.timers.tick(30 * 1000);
+  await sweepExpiredConversations();
+  assert.ok(receivedText(from, 'Your /addaccount flow expired after 30m 0s'));
+  assert.deepStrictEqual(await expiriesOf(from), []);
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The bot keeps its database and log in the working directory
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-')));
+process.env.ACCOUNT_ENCRYPTION_KEY = 'test-key';
+
+const { Api } = require('telegram');
+const { UserAccountManager, resolveGroup } = require('../index.js');
+
+const channel = new Api.Channel({ id: 5001, accessHash: 7001, title: 'Test group' });
+
+// A manager whose client records every request; answers maps request
+// classes to what invoke returns for them
+function managerFor(phone, answers = new Map()) {
+  const manager = new UserAccountManager(phone, '1', 'hash');
+  const requests = [];
+  manager.connect = async () => {};
+  manager.client = {
+    async invoke(request) {
+      requests.push(request);
+      const answer = answers.get(request.constructor);
+      return typeof answer === 'function' ? answer(request) : answer;
+    },
+    async uploadFile() {
+      return new Api.InputFile({ id: 1, parts: 1, name: 'group_photo.jpg', md5Checksum: '' });
+    },
+    async sendMessage(peer, params) {
+      requests.push({ sendMessage: peer, ...params });
+    },
+    async getEntity(username) {
+      return new Api.User({ id: 9001, username });
+    },
+    async getDialogs() {
+      return manager.dialogs || [];
+    }
+  };
+  return { manager, requests };
+}
+
+test('creating a group sends typed requests for every step', async () => {
+  const { manager, requests } = managerFor('+40000000001', new Map([
+    [Api.channels.CreateChannel, { chats: [channel] }],
+    [Api.messages.ExportChatInvite, new Api.ChatInviteExported({ link: 'https://t.me/+abc' })]
+  ]));
+
+  const result = await manager.createGroupWithFeatures('Test group', {
+    about: 'About',
+    photo: Buffer.from('photo'),
+    welcomeMessageText: 'hello',
+    members: ['friend']
+  });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.invite_link, 'https://t.me/+abc');
+
+  const [create, photo, history, invite, welcome, member] = requests;
+  assert.ok(create instanceof Api.channels.CreateChannel);
+  assert.strictEqual(create.title, 'Test group');
+  assert.strictEqual(create.megagroup, true);
+  assert.ok(photo instanceof Api.channels.EditPhoto);
+  assert.ok(photo.photo instanceof Api.InputChatUploadedPhoto);
+  assert.ok(history instanceof Api.channels.TogglePreHistoryHidden);
+  assert.strictEqual(history.enabled, false);
+  assert.ok(invite instanceof Api.messages.ExportChatInvite);
+  assert.strictEqual(welcome.sendMessage, channel);
+  assert.ok(member instanceof Api.channels.InviteToChannel);
+});
+
+test('a permission profile is applied as default banned rights and slow mode', async () => {
+  const { manager, requests } = managerFor('+40000000002');
+
+  await manager.applyPermissionProfile(channel, {
+    banned_rights: ['send_messages', 'pin_messages'],
+    slow_mode_seconds: 30
+  });
+
+  const [rights, slowMode] = requests;
+  assert.ok(rights instanceof Api.messages.EditChatDefaultBannedRights);
+  assert.ok(rights.bannedRights instanceof Api.ChatBannedRights);
+  assert.strictEqual(rights.bannedRights.sendMessages, true);
+  assert.strictEqual(rights.bannedRights.pinMessages, true);
+  assert.strictEqual(rights.bannedRights.sendMedia, false);
+  assert.strictEqual(rights.bannedRights.viewMessages, false);
+  assert.ok(slowMode instanceof Api.channels.ToggleSlowMode);
+  assert.strictEqual(slowMode.seconds, 30);
+});
+
+test('a recorded group with an access hash resolves to an input channel', async () => {
+  const { manager, requests } = managerFor('+40000000003');
+
+  const peer = await resolveGroup(manager, { chat_id: '5001', access_hash: '-7001' });
+
+  assert.ok(peer instanceof Api.InputChannel);
+  assert.strictEqual(peer.channelId.toString(), '5001');
+  assert.strictEqual(peer.accessHash.toString(), '-7001');
+  assert.strictEqual(requests.length, 0);
+});
+
+test('group edits and deletion send typed requests', async () => {
+  const { manager, requests } = managerFor('+40000000004');
+
+  await manager.editGroupTitle(channel, 'New title');
+  await manager.editGroupAbout(channel, 'New about');
+  await manager.setGroupHistoryVisible(channel, true);
+  await manager.deleteGroup(channel);
+
+  const [title, about, history, deletion] = requests;
+  assert.ok(title instanceof Api.channels.EditTitle);
+  assert.strictEqual(title.title, 'New title');
+  assert.ok(about instanceof Api.messages.EditChatAbout);
+  assert.strictEqual(about.about, 'New about');
+  assert.ok(history instanceof Api.channels.TogglePreHistoryHidden);
+  assert.strictEqual(history.enabled, false);
+  assert.ok(deletion instanceof Api.channels.DeleteChannel);
+});
+
+test('an edit that changes nothing is not an error', async () => {
+  const { manager } = managerFor('+40000000005', new Map([
+    [Api.channels.EditTitle, () => {
+      const error = new Error('CHAT_NOT_MODIFIED');
+      error.errorMessage = 'CHAT_NOT_MODIFIED';
+      throw error;
+    }]
+  ]));
+
+  await manager.editGroupTitle(channel, 'Test group');
+});
+
+test('discovery asks Telegram whether the account created a min group', async () => {
+  const created = new Api.Channel({ id: 6001, accessHash: 1, title: 'Created', megagroup: true, creator: true });
+  const minCreated = new Api.Channel({ id: 6002, accessHash: 2, title: 'Min created', megagroup: true, min: true });
+  const minJoined = new Api.Channel({ id: 6003, accessHash: 3, title: 'Min joined', megagroup: true, min: true });
+  const joined = new Api.Channel({ id: 6004, accessHash: 4, title: 'Joined', megagroup: true });
+  const { manager, requests } = managerFor('+40000000006', new Map([
+    [Api.channels.GetParticipant, request => ({
+      participant: request.channel === minCreated
+        ? new Api.ChannelParticipantCreator({ userId: 1 })
+        : new Api.ChannelParticipant({ userId: 1, date: 0 })
+    })]
+  ]));
+  manager.dialogs = [
+    { entity: new Api.User({ id: 7001 }), isUser: true },
+    ...[created, minCreated, minJoined, joined].map(entity => ({ entity, isUser: false }))
+  ];
+
+  const groups = await manager.discoverCreatedGroups();
+
+  assert.deepStrictEqual(groups.map(group => group.title), ['Created', 'Min created']);
+  assert.strictEqual(requests.length, 2);
+  assert.ok(requests.every(request => request instanceof Api.channels.GetParticipant));
+  assert.ok(requests[0].participant instanceof Api.InputPeerSelf);
+});
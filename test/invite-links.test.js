@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The bot keeps its database and log in the working directory
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-')));
+process.env.ACCOUNT_ENCRYPTION_KEY = 'test-key';
+
+const { Telegram } = require('telegraf');
+const { Api } = require('telegram');
+const { bot, UserAccount, CreatedGroup, UserAccountManager } = require('../index.js');
+
+const user = id => ({ id, is_bot: false, first_name: 'Tester', username: `tester${id}`, language_code: 'en' });
+const sent = [];
+let updateId = 0;
+
+Telegram.prototype.callApi = async function (method, payload = {}) {
+  sent.push({
+    method,
+    chatId: payload.chat_id,
+    text: String(payload.text || payload.caption || ''),
+    buttons: payload.reply_markup ? payload.reply_markup.inline_keyboard.flat() : []
+  });
+  return { message_id: sent.length, date: 0, chat: { id: payload.chat_id, type: 'private' } };
+};
+
+function press(from, data) {
+  return bot.handleUpdate({
+    update_id: ++updateId,
+    callback_query: {
+      id: String(updateId),
+      from,
+      chat_instance: '1',
+      data,
+      message: { message_id: 1, date: 0, chat: { id: from.id, type: 'private' }, text: 'menu' }
+    }
+  });
+}
+
+function lastEdit(from) {
+  return sent.filter(m => m.chatId === from.id && m.method === 'editMessageText').pop();
+}
+
+// A manager whose client records every request
+function managerFor(phone, requests) {
+  const manager = new UserAccountManager(phone, '1', 'hash');
+  manager.connect = async () => {};
+  manager.client = {
+    async invoke(request) {
+      requests.push(request);
+      return { invites: [] };
+    }
+  };
+  return manager;
+}
+
+test.before(async () => {
+  await UserAccount.sequelize.sync();
+  bot.botInfo = { id: 1, is_bot: true, first_name: 'Bot', username: 'test_bot' };
+});
+
+test('invite link requests are built with Api classes', async () => {
+  const requests = [];
+  const manager = managerFor('+50000000001', requests);
+  const channel = new Api.InputChannel({ channelId: 5001, accessHash: 7001 });
+  const expireDate = new Date(1800000000 * 1000);
+
+  await manager.exportInviteLink(channel, { expireDate, usageLimit: 10 });
+  await manager.revokeInviteLink(channel, 'https://t.me/+abc');
+  await manager.getInviteLinks(channel);
+
+  const [exported, revoked, listed] = requests;
+  assert.ok(exported instanceof Api.messages.ExportChatInvite);
+  assert.strictEqual(exported.expireDate, 1800000000);
+  assert.strictEqual(exported.usageLimit, 10);
+  assert.ok(!exported.requestNeeded);
+  assert.ok(revoked instanceof Api.messages.EditExportedChatInvite);
+  assert.strictEqual(revoked.revoked, true);
+  assert.ok(listed instanceof Api.messages.GetExportedChatInvites);
+  assert.ok(listed.adminId instanceof Api.InputUserSelf);
+});
+
+test('a group with many invite links shows them a page at a time', async () => {
+  const owner = user(501);
+  const account = await UserAccount.create({
+    phone: '+50000000002',
+    api_id: '1',
+    api_hash: '0123456789abcdef',
+    owner_user_id: owner.id
+  });
+  const group = await CreatedGroup.create({
+    group_name: 'Linked group',
+    chat_id: '5002',
+    account_id: account.id,
+    created_by_user: owner.id,
+    owner_user_id: owner.id
+  });
+  const { GroupInviteLink } = UserAccount.sequelize.models;
+  for (let i = 0; i < 10; i++) {
+    await GroupInviteLink.create({
+      group_id: group.id,
+      link: `https://t.me/+link${String(i).padStart(4, '0')}`,
+      created_at: new Date(Date.now() - i * 1000)
+    });
+  }
+
+  await press(owner, `group_links_${group.id}`);
+  const first = lastEdit(owner);
+  assert.strictEqual(first.buttons.filter(b => /^group_link_\d+$/.test(b.callback_data)).length, 8);
+  assert.ok(first.text.includes('+link0000'));
+  assert.ok(first.buttons.some(b => b.callback_data === `group_links_${group.id}_1`));
+
+  await press(owner, `group_links_${group.id}_1`);
+  const second = lastEdit(owner);
+  assert.strictEqual(second.buttons.filter(b => /^group_link_\d+$/.test(b.callback_data)).length, 2);
+  assert.ok(second.text.includes('+link0009'));
+  assert.ok(!second.text.includes('+link0000'));
+});
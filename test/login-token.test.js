@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The bot keeps its database and log in the working directory
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-')));
+process.env.ACCOUNT_ENCRYPTION_KEY = 'test-key';
+
+const { Api } = require('telegram');
+const { UserAccountManager } = require('../index.js');
+
+// A client whose invoke answers with the given results in order
+function stubClient(results, requests) {
+  return {
+    session: { save: () => 'session-string' },
+    addEventHandler() {},
+    async invoke(request) {
+      requests.push(request);
+      const result = results.shift();
+      if (result instanceof Error) throw result;
+      return result;
+    }
+  };
+}
+
+function managerWith(results, requests) {
+  const manager = new UserAccountManager(null, '12345', '0123456789abcdef');
+  manager.connect = async () => {
+    manager.client = stubClient(results, requests);
+  };
+  return manager;
+}
+
+const success = new Api.auth.LoginTokenSuccess({
+  authorization: new Api.auth.Authorization({ user: new Api.User({ phone: '15550001111' }) })
+});
+
+test('a fresh token is returned as a tg://login URL', async () => {
+  const requests = [];
+  const token = Buffer.from('token');
+  const manager = managerWith([new Api.auth.LoginToken({ token, expires: 1700000000 })], requests);
+
+  const result = await manager.exportLoginToken();
+
+  assert.ok(requests[0] instanceof Api.auth.ExportLoginToken);
+  assert.strictEqual(requests[0].apiId, 12345);
+  assert.strictEqual(requests[0].apiHash, '0123456789abcdef');
+  assert.deepStrictEqual(result, {
+    success: true,
+    authorized: false,
+    url: `tg://login?token=${token.toString('base64url')}`,
+    expires: new Date(1700000000 * 1000)
+  });
+});
+
+test('an accepted token logs the account in', async () => {
+  const manager = managerWith([success], []);
+
+  const result = await manager.exportLoginToken();
+
+  assert.deepStrictEqual(result, { success: true, authorized: true, session: 'session-string' });
+  assert.strictEqual(manager.phone, '+15550001111');
+});
+
+test('a token for another data center is imported there', async () => {
+  const requests = [];
+  const token = Buffer.from('migrated');
+  const manager = managerWith([new Api.auth.LoginTokenMigrateTo({ dcId: 4, token }), success], requests);
+  const switchedTo = [];
+  manager.reconnectToDC = async (dcId) => {
+    switchedTo.push(dcId);
+  };
+
+  const result = await manager.exportLoginToken();
+
+  assert.deepStrictEqual(switchedTo, [4]);
+  assert.ok(requests[1] instanceof Api.auth.ImportLoginToken);
+  assert.strictEqual(requests[1].token, token);
+  assert.strictEqual(result.authorized, true);
+});
+
+test('an account with a cloud password asks for it', async () => {
+  const error = new Error('SESSION_PASSWORD_NEEDED');
+  error.errorMessage = 'SESSION_PASSWORD_NEEDED';
+  const manager = managerWith([error], []);
+
+  assert.deepStrictEqual(await manager.exportLoginToken(), { success: false, requires2FA: true });
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The bot keeps its database and log in the working directory
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-')));
+process.env.ACCOUNT_ENCRYPTION_KEY = 'test-key';
+
+const { Telegram } = require('telegraf');
+const { bot, UserAccount, UserAccountManager } = require('../index.js');
+
+const user = id => ({ id, is_bot: false, first_name: 'Tester', username: `tester${id}`, language_code: 'en' });
+const sent = [];
+let updateId = 0;
+
+Telegram.prototype.callApi = async function (method, payload = {}) {
+  sent.push({ method, chatId: payload.chat_id, text: String(payload.text || payload.caption || '') });
+  return { message_id: sent.length, date: 0, chat: { id: payload.chat_id, type: 'private' } };
+};
+
+function sendText(from, text) {
+  const entities = text.startsWith('/')
+    ? [{ type: 'bot_command', offset: 0, length: text.split(' ')[0].length }]
+    : undefined;
+  return bot.handleUpdate({
+    update_id: ++updateId,
+    message: { message_id: updateId, date: 0, chat: { id: from.id, type: 'private' }, from, text, entities }
+  });
+}
+
+function press(from, data) {
+  return bot.handleUpdate({
+    update_id: ++updateId,
+    callback_query: {
+      id: String(updateId),
+      from,
+      chat_instance: '1',
+      data,
+      message: { message_id: 1, date: 0, chat: { id: from.id, type: 'private' }, text: 'menu' }
+    }
+  });
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) return false;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return true;
+}
+
+function receivedText(from, fragment) {
+  return sent.some(m => m.chatId === from.id && m.text.includes(fragment));
+}
+
+async function startQrLogin(from) {
+  await sendText(from, '/addaccount');
+  await sendText(from, '12345');
+  await sendText(from, '0123456789abcdef');
+  await press(from, 'login_method_qr');
+}
+
+// Inside the /addaccount scene its text handler would swallow /start
+function answersStart(from) {
+  return waitFor(async () => {
+    await sendText(from, '/start');
+    return receivedText(from, 'Available commands');
+  });
+}
+
+test.before(async () => {
+  await UserAccount.sequelize.sync();
+  bot.botInfo = { id: 1, is_bot: true, first_name: 'Bot', username: 'test_bot' };
+  UserAccountManager.prototype.connect = async function () {};
+  UserAccountManager.prototype.disconnect = async function () {};
+});
+
+test.after(() => UserAccount.sequelize.close());
+
+test('a successful QR login leaves the /addaccount scene', async () => {
+  const from = user(1001);
+  UserAccountManager.prototype.exportLoginToken = async function () {
+    this.phone = '+15550001';
+    this.session_string = 'session';
+    return { success: true, authorized: true, session: this.session_string };
+  };
+
+  await startQrLogin(from);
+
+  assert.ok(await waitFor(() => receivedText(from, 'Account added successfully via QR code')));
+  assert.strictEqual(await UserAccount.count({ where: { owner_user_id: from.id } }), 1);
+  assert.ok(await answersStart(from), '/start was not answered after the QR login finished');
+});
+
+test('a failed QR login leaves the /addaccount scene', async () => {
+  const from = user(1002);
+  UserAccountManager.prototype.exportLoginToken = async function () {
+    return { success: false, error: 'API_ID_INVALID' };
+  };
+
+  await startQrLogin(from);
+
+  assert.ok(await waitFor(() => receivedText(from, 'API_ID_INVALID')));
+  assert.ok(await answersStart(from), '/start was not answered after the QR login failed');
+});
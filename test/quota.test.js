@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The bot keeps its database and log in the working directory
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-')));
+process.env.ACCOUNT_ENCRYPTION_KEY = 'test-key';
+process.env.BOOTSTRAP_ADMIN_ID = '900';
+
+const { Telegram } = require('telegraf');
+
+const admin = { id: 900, is_bot: false, first_name: 'Admin', username: 'admin900', language_code: 'en' };
+const sent = [];
+let updateId = 0;
+
+// Stubbed before the bot loads, since bot.telegram binds callApi when it is set up
+Telegram.prototype.callApi = async function (method, payload = {}) {
+  sent.push({ method, chatId: String(payload.chat_id), text: String(payload.text || payload.caption || '') });
+  return { message_id: sent.length, date: 0, chat: { id: payload.chat_id, type: 'private' } };
+};
+
+const { bot, UserAccount, initDatabase } = require('../index.js');
+
+const { QuotaLimit } = UserAccount.sequelize.models;
+
+async function setQuota(args) {
+  await bot.handleUpdate({
+    update_id: ++updateId,
+    message: {
+      message_id: updateId,
+      date: 0,
+      chat: { id: admin.id, type: 'private' },
+      from: admin,
+      text: `/setquota ${args}`.trim(),
+      entities: [{ type: 'bot_command', offset: 0, length: 9 }]
+    }
+  });
+  return sent[sent.length - 1].text;
+}
+
+async function limitsOf(scope, subject) {
+  const row = await QuotaLimit.findOne({ where: { scope, subject } });
+  return row && [row.max_accounts, row.groups_per_day, row.messages_per_day];
+}
+
+test.before(async () => {
+  await initDatabase();
+  bot.botInfo = { id: 1, is_bot: true, first_name: 'Bot', username: 'test_bot' };
+});
+
+test('a number sets the limit for a role, a user or the default', async () => {
+  assert.strictEqual(await setQuota('role:operator groups 200'), '✅ Groups created today limit for role:operator set to 200.');
+  assert.deepStrictEqual(await limitsOf('role', 'operator'), [null, 200, null]);
+
+  await setQuota('901 accounts 3');
+  assert.deepStrictEqual(await limitsOf('user', '901'), [3, null, null]);
+
+  await setQuota('default messages 40');
+  assert.deepStrictEqual(await limitsOf('default', '*'), [null, null, 40]);
+});
+
+test('unlimited and inherit set and clear a limit', async () => {
+  assert.match(await setQuota('901 messages unlimited'), /set to unlimited\.$/);
+  assert.deepStrictEqual(await limitsOf('user', '901'), [3, null, -1]);
+
+  assert.match(await setQuota('901 accounts inherit'), /set to inherit\.$/);
+  assert.deepStrictEqual(await limitsOf('user', '901'), [null, null, -1]);
+});
+
+test('malformed arguments show the usage and change nothing', async () => {
+  for (const args of ['role:owner groups 5', 'someone groups 5', '901 widgets 5', '901 groups lots', '901 groups']) {
+    assert.match(await setQuota(args), /^Usage: \/setquota/, args);
+  }
+  assert.deepStrictEqual(await limitsOf('user', '901'), [null, null, -1]);
+  assert.strictEqual(await limitsOf('role', 'owner'), null);
+});
+
+test('without arguments the current configuration is listed', async () => {
+  const text = await setQuota('');
+  assert.match(text, /role:operator: accounts inherit, groups 200, messages inherit/);
+  assert.match(text, /user 901: accounts inherit, groups inherit, messages unlimited/);
+});
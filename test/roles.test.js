@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The bot keeps its database and log in the working directory
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-')));
+process.env.ACCOUNT_ENCRYPTION_KEY = 'test-key';
+process.env.BOOTSTRAP_ADMIN_ID = '700';
+
+const { Telegram } = require('telegraf');
+
+const user = id => ({ id, is_bot: false, first_name: 'Tester', username: `tester${id}`, language_code: 'en' });
+const sent = [];
+let updateId = 0;
+
+// Stubbed before the bot loads, since bot.telegram binds callApi when it is set up
+Telegram.prototype.callApi = async function (method, payload = {}) {
+  sent.push({ method, chatId: String(payload.chat_id), text: String(payload.text || payload.caption || '') });
+  return { message_id: sent.length, date: 0, chat: { id: payload.chat_id, type: 'private' } };
+};
+
+const { bot, initDatabase, isLastAdmin } = require('../index.js');
+
+function sendText(from, text) {
+  const entities = text.startsWith('/')
+    ? [{ type: 'bot_command', offset: 0, length: text.split(' ')[0].length }]
+    : undefined;
+  return bot.handleUpdate({
+    update_id: ++updateId,
+    message: { message_id: updateId, date: 0, chat: { id: from.id, type: 'private' }, from, text, entities }
+  });
+}
+
+function lastReply(from) {
+  return sent.filter(m => m.chatId === String(from.id)).pop().text;
+}
+
+test.before(async () => {
+  await initDatabase();
+  bot.botInfo = { id: 1, is_bot: true, first_name: 'Bot', username: 'test_bot' };
+});
+
+test('the only admin cannot lose the role', async () => {
+  const admin = user(700);
+
+  assert.strictEqual(isLastAdmin('700'), true);
+  assert.strictEqual(isLastAdmin('701'), false);
+
+  await sendText(admin, '/revokerole 700');
+  assert.match(lastReply(admin), /only admin/);
+
+  await sendText(admin, '/grantrole 700 viewer');
+  assert.match(lastReply(admin), /only admin/);
+  assert.strictEqual(isLastAdmin('700'), true);
+});
+
+test('an admin can step down once there is another', async () => {
+  const admin = user(700);
+
+  await sendText(admin, '/grantrole 701 operator');
+  assert.strictEqual(isLastAdmin('700'), true);
+
+  await sendText(admin, '/grantrole 702 admin');
+  assert.strictEqual(isLastAdmin('700'), false);
+  assert.strictEqual(isLastAdmin('702'), false);
+
+  await sendText(admin, '/revokerole 700');
+  assert.ok(sent.some(m => /Removed the .* role from user 700/.test(m.text)));
+  assert.strictEqual(isLastAdmin('702'), true);
+});
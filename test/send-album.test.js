@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The bot keeps its database and log in the working directory
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-')));
+process.env.ACCOUNT_ENCRYPTION_KEY = 'test-key';
+
+const { Telegram } = require('telegraf');
+const { bot, UserAccount, UserAccountManager } = require('../index.js');
+
+const user = id => ({ id, is_bot: false, first_name: 'Tester', username: `tester${id}`, language_code: 'en' });
+const sent = [];
+let updateId = 0;
+
+Telegram.prototype.callApi = async function (method, payload = {}) {
+  sent.push({ method, chatId: payload.chat_id, text: String(payload.text || payload.caption || '') });
+  return { message_id: sent.length, date: 0, chat: { id: payload.chat_id, type: 'private' } };
+};
+
+function sendMessage(from, message) {
+  return bot.handleUpdate({
+    update_id: ++updateId,
+    message: { message_id: updateId, date: 0, chat: { id: from.id, type: 'private' }, from, ...message }
+  });
+}
+
+function sendText(from, text) {
+  const entities = text.startsWith('/')
+    ? [{ type: 'bot_command', offset: 0, length: text.split(' ')[0].length }]
+    : undefined;
+  return sendMessage(from, { text, entities });
+}
+
+function press(from, data) {
+  return bot.handleUpdate({
+    update_id: ++updateId,
+    callback_query: {
+      id: String(updateId),
+      from,
+      chat_instance: '1',
+      data,
+      message: { message_id: 1, date: 0, chat: { id: from.id, type: 'private' }, text: 'menu' }
+    }
+  });
+}
+
+async function waitFor(condition, timeoutMs = 4000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) return false;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return true;
+}
+
+function receivedText(from, fragment) {
+  return sent.some(m => m.chatId === from.id && m.text.includes(fragment));
+}
+
+// Picks the user's only account and sends a two-photo album
+async function sendAlbum(from) {
+  await sendText(from, '/sendmessage');
+  await press(from, 'msg_single');
+  await press(from, 'msg_acc_0');
+  for (let i = 0; i < 2; i++) {
+    await sendMessage(from, {
+      media_group_id: `album${from.id}`,
+      photo: [{ file_id: `photo${i}`, file_unique_id: `photo${i}`, width: 1, height: 1 }]
+    });
+  }
+}
+
+test.before(async () => {
+  await UserAccount.sequelize.sync();
+  bot.botInfo = { id: 1, is_bot: true, first_name: 'Bot', username: 'test_bot' };
+  UserAccountManager.prototype.connect = async function () {};
+  UserAccountManager.prototype.disconnect = async function () {};
+});
+
+test('an album whose account lookup ends the flow leaves the scene', async () => {
+  const from = user(601);
+  await UserAccount.create({ phone: '+60000000001', api_id: '1', api_hash: '0123456789abcdef', owner_user_id: from.id });
+  UserAccountManager.prototype.getSelfCreatedGroups = async () => [];
+
+  await sendAlbum(from);
+
+  assert.ok(await waitFor(() => receivedText(from, 'No self-created groups')));
+  await sendText(from, '/start');
+  assert.ok(receivedText(from, 'Available commands'));
+});
+
+test('an album whose handling fails tells the user', async () => {
+  const from = user(602);
+  await UserAccount.create({ phone: '+60000000002', api_id: '1', api_hash: '0123456789abcdef', owner_user_id: from.id });
+  UserAccountManager.prototype.getSelfCreatedGroups = async () => {
+    throw new Error('lookup failed');
+  };
+
+  await sendAlbum(from);
+
+  assert.ok(await waitFor(() => receivedText(from, 'An error occurred')));
+});
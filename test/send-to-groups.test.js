@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The bot keeps its database and log in the working directory
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-')));
+process.env.ACCOUNT_ENCRYPTION_KEY = 'test-key';
+
+const { Api } = require('telegram');
+const { UserAccount, UserAccountManager, buildGroupPeer } = require('../index.js');
+
+const groups = [
+  { id: '101', title: 'First' },
+  { id: '102', title: 'Second' },
+  { id: '103', title: 'Third' }
+];
+
+// A manager whose client runs sendMessage through the given handler
+function managerFor(phone, sendMessage) {
+  const manager = new UserAccountManager(phone, '1', 'hash');
+  manager.connect = async () => {};
+  manager.client = { sendMessage };
+  return manager;
+}
+
+function floodWait(seconds) {
+  const error = new Error(`A wait of ${seconds} seconds is required`);
+  error.errorMessage = 'FLOOD';
+  error.seconds = seconds;
+  return error;
+}
+
+test.before(async () => {
+  await UserAccount.sequelize.sync();
+});
+
+test('a long flood wait fails the remaining groups without sending to them', async () => {
+  const peers = [];
+  const manager = managerFor('+20000000001', async (peer) => {
+    peers.push(peer);
+    if (peers.length === 2) throw floodWait(3600);
+  });
+  const progress = [];
+
+  const results = await manager.sendMessageToGroups(groups, 'hello', {
+    onProgress: (done, total) => progress.push([done, total])
+  });
+
+  assert.deepStrictEqual(peers, ['101', '102']);
+  assert.deepStrictEqual(results.map(r => [r.group_id, r.success]), [['101', true], ['102', false], ['103', false]]);
+  assert.match(results[2].error, /paused by Telegram rate limits/);
+  assert.deepStrictEqual(progress, [[1, 3], [3, 3]]);
+});
+
+test('an ordinary error fails only its own group', async () => {
+  const peers = [];
+  const manager = managerFor('+20000000002', async (peer) => {
+    peers.push(peer);
+    if (peer === '102') throw new Error('CHAT_WRITE_FORBIDDEN');
+  });
+
+  const results = await manager.sendMessageToGroups(groups, 'hello');
+
+  assert.deepStrictEqual(peers, ['101', '102', '103']);
+  assert.deepStrictEqual(results.map(r => r.success), [true, false, true]);
+  assert.strictEqual(results[1].error, 'CHAT_WRITE_FORBIDDEN');
+});
+
+test('queued groups reach sendMessage as typed input peers', async () => {
+  const peers = [];
+  const manager = managerFor('+20000000003', async (peer) => {
+    peers.push(peer);
+  });
+  const targets = [
+    { id: '201', title: 'Supergroup', access_hash: '-3001' },
+    { id: '202', title: 'Basic group', access_hash: null }
+  ];
+
+  await manager.sendMessageToGroups(targets.map(group => ({ ...group, peer: buildGroupPeer(group) })), 'hello');
+
+  assert.ok(peers[0] instanceof Api.InputPeerChannel);
+  assert.strictEqual(peers[0].channelId.toString(), '201');
+  assert.strictEqual(peers[0].accessHash.toString(), '-3001');
+  assert.ok(peers[1] instanceof Api.InputPeerChat);
+  assert.strictEqual(peers[1].chatId.toString(), '202');
+});